@@ -0,0 +1,55 @@
+// /api/consent.js - Consent step: GET describes the policy, POST records consent and issues a token
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { parseJsonBody } from '../lib/http/body.js';
+import { CONSENT_POLICY, issueConsentToken, recordConsent } from '../lib/privacy/consent.js';
+
+export default async function handler(req, res) {
+  const { requestId, log } = requestLogger(req, res);
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, policy: CONSENT_POLICY });
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = loadConfig();
+    if (!config.consent.secret) {
+      log.error('consent.not_configured', { env: 'CONSENT_SECRET' });
+      return res.status(503).json({ success: false, error: 'Consent is not configured (set CONSENT_SECRET)' });
+    }
+
+    // The page echoes the version it displayed, so consent is never recorded
+    // against wording the visitor didn't see
+    const { policyVersion } = parseJsonBody(req.body);
+    if (typeof policyVersion !== 'string' || !policyVersion) {
+      return res.status(400).json({ success: false, error: 'Provide the policyVersion you were shown' });
+    }
+    if (policyVersion !== CONSENT_POLICY.version) {
+      log.warn('consent.policy_mismatch', { shown: policyVersion, current: CONSENT_POLICY.version });
+      return res.status(409).json({
+        success: false,
+        error: 'The consent policy has changed; please review it again',
+        policy: CONSENT_POLICY
+      });
+    }
+
+    const { token, record } = issueConsentToken({ secret: config.consent.secret });
+    await recordConsent({ ...record, requestId }, config.consent, log);
+
+    const expiresAt = new Date(Date.parse(record.consentedAt) + config.consent.maxAgeSeconds * 1000).toISOString();
+    return res.status(200).json({ success: true, token, consent: { ...record, expiresAt } });
+  } catch (err) {
+    log.error('consent.error', { error: err });
+    return res.status(500).json({ success: false, error: 'Internal server error', requestId });
+  }
+}
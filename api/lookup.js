@@ -0,0 +1,79 @@
+// /api/lookup.js - Operator lookups of any address: GET ?ip= for one, POST NDJSON or CSV for many
+//
+//   GET  /api/lookup?ip=8.8.8.8                        scope: lookup
+//   POST /api/lookup  (Content-Type: text/csv or        scope: lookup.bulk
+//        application/x-ndjson, up to LOOKUP_MAX_ROWS addresses)
+//
+// Bulk answers come back in the request's format, one row per address in
+// input order, each with its own status (ok | invalid | reserved | failed).
+// Lookups share the provider chain and cache with /api/log; nothing is
+// notified.
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { redactString } from '../lib/log/redact.js';
+import { authorizeScope } from '../lib/auth/bearer.js';
+import { textBody } from '../lib/http/body.js';
+import { RECORD_FORMATS, formatRecords, parseAddresses, recordFormat } from '../lib/http/records.js';
+import { lookupRow, lookupRows } from '../lib/geo/lookup.js';
+
+// A single lookup's row status as the response status
+const ROW_STATUS = { ok: 200, invalid: 400, reserved: 422, failed: 502 };
+
+export default async function handler(req, res) {
+  const { requestId, log } = requestLogger(req, res);
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const config = loadConfig();
+    const scope = req.method === 'GET' ? 'lookup' : 'lookup.bulk';
+    const grant = authorizeScope(req, { apiTokens: config.auth.apiTokens, adminToken: config.auth.adminToken }, scope);
+    if (grant.error) {
+      log.warn('lookup.unauthorized', { scope, status: grant.status });
+      return res.status(grant.status).json({ success: false, error: grant.error });
+    }
+
+    if (req.method === 'GET') {
+      const ip = req.query?.ip;
+      if (!ip) return res.status(400).json({ success: false, error: 'ip is required' });
+      const row = await lookupRow(ip, { config, log });
+      log.info('lookup.single', { tokenName: grant.name, status: row.status, provider: row.provider, cache: row.cache });
+      return res.status(ROW_STATUS[row.status]).json({ success: row.status === 'ok', data: row, requestId });
+    }
+
+    const format = recordFormat(req.headers['content-type']);
+    if (!format) {
+      return res.status(415).json({
+        success: false,
+        error: `Send ${Object.values(RECORD_FORMATS).join(' or ')} (text/plain is read as CSV)`
+      });
+    }
+    const addresses = parseAddresses(textBody(req.body), format);
+    if (!addresses.length) return res.status(400).json({ success: false, error: 'No addresses in the request body' });
+    if (addresses.length > config.lookup.maxRows) {
+      return res.status(413).json({
+        success: false,
+        error: `Too many addresses: ${addresses.length} (at most ${config.lookup.maxRows} per request)`
+      });
+    }
+
+    const rows = await lookupRows(addresses, { config, concurrency: config.lookup.concurrency, log });
+    const counts = rows.reduce((all, row) => ({ ...all, [row.status]: (all[row.status] || 0) + 1 }), {});
+    log.info('lookup.bulk', { tokenName: grant.name, format, rows: rows.length, counts });
+
+    res.setHeader('Content-Type', `${RECORD_FORMATS[format]}; charset=utf-8`);
+    return res.status(200).send(formatRecords(rows, format));
+  } catch (err) {
+    log.error('request.error', { error: err });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: redactString(err.message),
+      requestId
+    });
+  }
+}
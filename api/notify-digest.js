@@ -0,0 +1,87 @@
+// /api/notify-digest.js - Scheduled route that sends one summary of the visits collected in digest mode
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { authorize } from '../lib/auth/bearer.js';
+import { notifyDigest, notifyMisconfigured, routeNotifiers } from '../lib/notify/index.js';
+import { digestRouteData, summarizeDigest } from '../lib/notify/digest.js';
+import { createDigestStore, digestDisabledReason } from '../lib/notify/digest-store.js';
+
+export default async function handler(req, res) {
+  const startedAt = Date.now();
+  const { requestId, log } = requestLogger(req, res);
+
+  // Vercel cron calls with GET; POST is there for manual runs
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = loadConfig();
+    const misconfigured = notifyMisconfigured(config.notify);
+    if (misconfigured) {
+      log.error('notify.misconfigured', { problems: misconfigured.problems });
+      return res.status(misconfigured.status).json({ success: false, error: misconfigured.error, requestId });
+    }
+    const denied = authorize(req, [config.auth.cronSecret, config.auth.adminToken]);
+    if (denied) {
+      log.warn('digest.unauthorized', { status: denied.status });
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+
+    const store = createDigestStore(config.notify.digest);
+    if (!store) {
+      return res.status(503).json({ success: false, error: `Digest store is disabled (${digestDisabledReason(config.notify.digest)})` });
+    }
+
+    const batch = await store.drain();
+    if (!batch.events.length) {
+      log.info('digest.empty');
+      return res.status(200).json({ success: true, sent: false, total: 0, notifications: {} });
+    }
+
+    // Events still owed to a destination go back for the next run, each
+    // listing the destinations that still owe it; everything goes back if
+    // this run fails before the sends are settled
+    let owed = batch.events;
+    try {
+      // Routed visit by visit, so each destination summarizes only its own
+      const routed = new Map();
+      for (const event of batch.events) {
+        const notifiers = routeNotifiers(config.notify, digestRouteData(event))
+          .filter(notifier => !event.destinations || event.destinations.includes(notifier.name));
+        for (const notifier of notifiers) {
+          if (!routed.has(notifier.name)) routed.set(notifier.name, { notifier, events: [] });
+          routed.get(notifier.name).events.push(event);
+        }
+      }
+      if (!routed.size) {
+        log.warn('webhook.not_configured', { route: 'digest' });
+        return res.status(200).json({ success: true, sent: false, total: 0, notifications: {} });
+      }
+
+      const { top } = config.notify.digest;
+      const deadline = startedAt + config.notify.budgetMs;
+      const summary = summarizeDigest(batch.events, { top });
+      const notifications = Object.assign({}, ...await Promise.all([...routed.values()].map(
+        ({ notifier, events }) => notifyDigest([notifier], summarizeDigest(events, { top }), { log, deadline })
+      )));
+      const failed = new Map();
+      for (const [name, { events }] of routed) {
+        if (notifications[name].sent) continue;
+        for (const event of events) failed.set(event, [...(failed.get(event) || []), name]);
+      }
+      owed = [...failed].map(([event, destinations]) => ({ ...event, destinations }));
+      const sent = Object.values(notifications).some(result => result.sent);
+
+      log.info('digest.sent', { total: summary.total, sent, kept: owed.length, notifications });
+      return res.status(200).json({ success: true, sent, total: summary.total, summary, notifications });
+    } finally {
+      if (owed.length) await batch.rollback(owed);
+      else await batch.commit();
+    }
+  } catch (err) {
+    log.error('digest.error', { error: err });
+    return res.status(500).json({ success: false, error: 'Internal server error', requestId });
+  }
+}
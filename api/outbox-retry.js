@@ -0,0 +1,45 @@
+// /api/outbox-retry.js - Cron-triggered retry of failed notifications that are due
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { authorize } from '../lib/auth/bearer.js';
+import { notifyMisconfigured } from '../lib/notify/index.js';
+import { createOutbox } from '../lib/outbox/index.js';
+
+export default async function handler(req, res) {
+  const startedAt = Date.now();
+  const { requestId, log } = requestLogger(req, res);
+
+  // Vercel cron calls with GET; POST is there for manual runs
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = loadConfig();
+    const misconfigured = notifyMisconfigured(config.notify);
+    if (misconfigured) {
+      log.error('notify.misconfigured', { problems: misconfigured.problems });
+      return res.status(misconfigured.status).json({ success: false, error: misconfigured.error, requestId });
+    }
+    const denied = authorize(req, [config.auth.cronSecret, config.auth.adminToken]);
+    if (denied) {
+      log.warn('outbox.unauthorized', { route: 'retry', status: denied.status });
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+
+    const outbox = createOutbox(config.outbox);
+    if (!outbox) {
+      return res.status(200).json({ success: true, backend: 'none', results: [] });
+    }
+
+    const results = await outbox.retryDue(config.notify, { log, deadline: startedAt + config.notify.budgetMs });
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { attempted: results.length, delivered: count('delivered'), pending: count('pending'), dead: count('dead') };
+    log.info('outbox.retry_run', summary);
+    return res.status(200).json({ success: true, backend: outbox.backend, ...summary, results });
+  } catch (err) {
+    log.error('outbox.error', { route: 'retry', error: err });
+    return res.status(500).json({ success: false, error: 'Internal server error', requestId });
+  }
+}
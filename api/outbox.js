@@ -0,0 +1,72 @@
+// /api/outbox.js - Operator view of the notification outbox: GET inspects, POST replays
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { parseJsonBody } from '../lib/http/body.js';
+import { authorize } from '../lib/auth/bearer.js';
+import { notifyMisconfigured } from '../lib/notify/index.js';
+import { OUTBOX_STATUSES, createOutbox, outboxDisabledReason, summarizeEntry } from '../lib/outbox/index.js';
+
+export default async function handler(req, res) {
+  const startedAt = Date.now();
+  const { requestId, log } = requestLogger(req, res);
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = loadConfig();
+    const misconfigured = notifyMisconfigured(config.notify);
+    if (misconfigured) {
+      log.error('notify.misconfigured', { problems: misconfigured.problems });
+      return res.status(misconfigured.status).json({ success: false, error: misconfigured.error, requestId });
+    }
+    const denied = authorize(req, [config.auth.adminToken]);
+    if (denied) {
+      log.warn('outbox.unauthorized', { route: 'outbox', status: denied.status });
+      return res.status(denied.status).json({ success: false, error: denied.error });
+    }
+
+    const outbox = createOutbox(config.outbox);
+    if (!outbox) {
+      return res.status(503).json({ success: false, error: `Outbox is disabled (${outboxDisabledReason(config.outbox)})` });
+    }
+
+    if (req.method === 'GET') {
+      const { id, status } = req.query || {};
+      // One entry in full, report included
+      if (id) {
+        const entry = await outbox.get(id);
+        if (!entry) return res.status(404).json({ success: false, error: 'Entry not found' });
+        return res.status(200).json({ success: true, entry });
+      }
+      if (status && !OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${OUTBOX_STATUSES.join(', ')}` });
+      }
+      const entries = await outbox.list({ status });
+      const counts = Object.fromEntries(
+        OUTBOX_STATUSES.map(name => [name, entries.filter(entry => entry.status === name).length])
+      );
+      return res.status(200).json({ success: true, backend: outbox.backend, counts, entries: entries.map(summarizeEntry) });
+    }
+
+    // POST { ids: [...] } replays those entries; { status: 'dead' } replays the whole dead-letter list
+    const { ids, status } = parseJsonBody(req.body);
+    let targets;
+    if (Array.isArray(ids) && ids.length) {
+      targets = ids.map(String);
+    } else if (OUTBOX_STATUSES.includes(status)) {
+      targets = (await outbox.list({ status })).map(entry => entry.id);
+    } else {
+      return res.status(400).json({ success: false, error: 'Provide ids or a status to replay' });
+    }
+
+    const results = await outbox.replay(targets, config.notify, { log, deadline: startedAt + config.notify.budgetMs });
+    log.info('outbox.replayed', { requested: targets.length, delivered: results.filter(result => result.status === 'delivered').length });
+    return res.status(200).json({ success: true, results });
+  } catch (err) {
+    log.error('outbox.error', { route: 'outbox', error: err });
+    return res.status(500).json({ success: false, error: 'Internal server error', requestId });
+  }
+}
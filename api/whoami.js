@@ -0,0 +1,123 @@
+// /api/whoami.js - Read-only lookup of the caller's own address: JSON, plain text or one field
+//
+//   GET /api/whoami               JSON or text, from Accept (curl gets text)
+//   GET /api/whoami?format=text   json | text overrides Accept
+//   GET /api/whoami/country       one field (or ?field=country)
+//
+// Nothing is notified, queued or logged beyond the request's own log lines,
+// and without CORS headers other sites can't read the answer from a browser.
+// Opted-out callers (Sec-GPC / DNT) skip the lookup caches as on /api/log.
+import { loadConfig } from '../lib/config.js';
+import { requestLogger } from '../lib/log/logger.js';
+import { redactString } from '../lib/log/redact.js';
+import { negotiate } from '../lib/http/negotiate.js';
+import { resolveClientIp } from '../lib/net/client-ip.js';
+import { classifyIp } from '../lib/net/ip.js';
+import { LOOKUP_FIELDS, destinationView, lookupAddress, recordFields } from '../lib/geo/lookup.js';
+import { buildMainData } from '../lib/geo/normalize.js';
+import { privacyDecision } from '../lib/privacy/signals.js';
+import { anonymizeIp } from '../lib/privacy/anonymize.js';
+
+const FORMATS = { 'application/json': 'json', 'text/plain': 'text' };
+const CLI_AGENT = /^(curl|wget|httpie|xh)\//i;
+
+export default async function handler(req, res) {
+  const { requestId, log } = requestLogger(req, res);
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+  // Per-caller answers: never shared through a cache
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Vary', 'Accept');
+
+  const query = req.query || {};
+  const requested = query.format ? String(query.format).toLowerCase() : null;
+  const format = requested || FORMATS[negotiate(req.headers.accept, Object.keys(FORMATS), {
+    fallback: CLI_AGENT.test(req.headers['user-agent'] || '') ? 'text/plain' : 'application/json'
+  })];
+  if (!Object.values(FORMATS).includes(format)) {
+    return requested
+      ? res.status(400).json({ success: false, error: `format must be one of ${Object.values(FORMATS).join(', ')}` })
+      : res.status(406).json({ success: false, error: 'Not acceptable: application/json or text/plain only' });
+  }
+
+  const field = query.field ? fieldName(String(query.field)) : null;
+  if (query.field && !field) {
+    return reply(res, format, 404, {
+      success: false,
+      error: `Unknown field "${query.field}" (expected ${Object.keys(LOOKUP_FIELDS).join(', ')})`
+    });
+  }
+
+  try {
+    const config = loadConfig();
+    const privacy = privacyDecision(req.headers, config.privacy.signalPolicy);
+    const clientIP = resolveClientIp(req, config.clientIp).ip;
+    log.info('whoami.start', { ip: clientIP, field, format });
+
+    if (!clientIP) {
+      return reply(res, format, 400, { success: false, error: 'Could not determine client IP address' });
+    }
+    const ip = anonymizeIp(clientIP, config.anonymize.response.ip, config.anonymize);
+    // The address alone needs no lookup
+    if (field === 'ip') return reply(res, format, 200, { success: true, data: { ip } }, field);
+
+    const addressClass = classifyIp(clientIP);
+    if (addressClass.reserved) {
+      return reply(res, format, 200, {
+        success: false,
+        error: `Non-routable address (${addressClass.label})`,
+        nonRoutable: true,
+        data: { ip }
+      });
+    }
+
+    const result = await lookupAddress(clientIP, { config, headers: req.headers, optedOut: privacy.optedOut, log });
+    if (result.failure) {
+      return reply(res, format, result.failure.status, { success: false, error: result.failure.error, requestId });
+    }
+    const { geo, asnData, confidenceInfo } = result;
+    const mainData = buildMainData({ ip: clientIP, userAgent: '', geo, asnData, confidenceInfo, requestId });
+    const visible = destinationView(config.anonymize.response, { mainData, geo, asnData, config }).mainData;
+    const data = recordFields(visible);
+
+    log.info('whoami.complete', { provider: geo.provider, cache: result.lookup.cache });
+    return reply(res, format, 200, { success: true, data, provider: geo.provider }, field);
+  } catch (err) {
+    log.error('request.error', { error: err });
+    return reply(res, format, 500, {
+      success: false,
+      error: 'Internal server error',
+      message: redactString(err.message),
+      requestId
+    });
+  }
+}
+
+// --- Helper Functions ---
+
+// Field names match case-insensitively so /api/whoami/countrycode works
+function fieldName(name) {
+  return Object.keys(LOOKUP_FIELDS).find(known => known.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// JSON as is; text is one "name: value" line per field, the bare value for
+// a single field, or the error message
+function reply(res, format, status, body, field = null) {
+  if (format === 'json') {
+    return res.status(status).json(field && body.success ? { success: true, data: { [field]: body.data[field] } } : body);
+  }
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  if (!body.success) return res.status(status).send(`${body.error}\n`);
+  if (field) return res.status(status).send(`${textValue(body.data[field])}\n`);
+  const width = Math.max(...Object.keys(body.data).map(name => name.length)) + 1;
+  return res.status(status).send(
+    Object.entries(body.data).map(([name, value]) => `${`${name}:`.padEnd(width)} ${textValue(value)}`).join('\n') + '\n'
+  );
+}
+
+function textValue(value) {
+  return value === null || value === undefined || value === '' ? 'Unknown' : String(value);
+}
@@ -0,0 +1,43 @@
+// /lib/auth/bearer.js - Bearer-token checks for operator-only routes
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+export function bearerToken(headers = {}) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Constant-time comparison; hashing first gives both sides the same length
+export function tokenMatches(given, expected) {
+  if (!given || !expected) return false;
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+// Resolves to null when the request carries one of the accepted secrets,
+// otherwise to { status, error } for the response. With no secret
+// configured the route stays closed.
+export function authorize(req, secrets) {
+  const accepted = secrets.filter(Boolean);
+  if (!accepted.length) return { status: 503, error: 'Not configured' };
+
+  const token = bearerToken(req.headers);
+  if (!token) return { status: 401, error: 'Authorization required' };
+  if (!accepted.some(secret => tokenMatches(token, secret))) return { status: 403, error: 'Forbidden' };
+  return null;
+}
+
+// Like authorize() for scoped API tokens: resolves to { name, scopes } for
+// the token carrying `scope`, otherwise to { status, error }
+export function authorizeScope(req, { apiTokens = [], adminToken = null }, scope) {
+  const tokens = [...apiTokens, ...(adminToken ? [{ name: 'admin', scopes: ['*'], secret: adminToken }] : [])];
+  if (!tokens.length) return { status: 503, error: 'Not configured' };
+
+  const given = bearerToken(req.headers);
+  if (!given) return { status: 401, error: 'Authorization required' };
+  const token = tokens.find(candidate => tokenMatches(given, candidate.secret));
+  if (!token) return { status: 403, error: 'Forbidden' };
+  if (!token.scopes.includes('*') && !token.scopes.includes(scope)) {
+    return { status: 403, error: `Token lacks the ${scope} scope` };
+  }
+  return { name: token.name, scopes: token.scopes };
+}
@@ -0,0 +1,40 @@
+// /lib/cache/file-store.js - One JSON file per key, for caches that outlive a cold start
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export function createFileStore({ dir, now = Date.now } = {}) {
+  const pathFor = key => join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  let ready = null;
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      try {
+        const entry = JSON.parse(await readFile(pathFor(key), 'utf8'));
+        if (entry.expiresAt <= now()) {
+          await unlink(pathFor(key)).catch(() => {});
+          return undefined;
+        }
+        return entry.value;
+      } catch {
+        return undefined;
+      }
+    },
+
+    async set(key, value, ttlSeconds) {
+      ready = ready || mkdir(dir, { recursive: true });
+      await ready;
+      const path = pathFor(key);
+      const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+      // Write-then-rename so concurrent readers never see a partial file
+      await writeFile(temp, JSON.stringify({ key, expiresAt: now() + ttlSeconds * 1000, value }));
+      await rename(temp, path);
+    },
+
+    async delete(key) {
+      await unlink(pathFor(key)).catch(() => {});
+    }
+  };
+}
@@ -0,0 +1,67 @@
+// /lib/cache/index.js - Two-tier cache: in-memory LRU in front of an optional persistent store
+//
+// Store interface: { name, get(key), set(key, value, ttlSeconds), delete(key) },
+// all async. Persistent store failures are swallowed - a broken cache must
+// never break the request that consulted it.
+import { createLruStore } from './lru.js';
+import { createFileStore } from './file-store.js';
+import { createKvStore } from './kv-store.js';
+
+// Shared across warm invocations of the same function instance
+let memory = null;
+
+function createPersistentStore(cacheConfig) {
+  switch (cacheConfig.backend) {
+    case 'file':
+      return createFileStore({ dir: cacheConfig.dir });
+    case 'kv':
+      if (!cacheConfig.kv.url || !cacheConfig.kv.token) return null;
+      return createKvStore(cacheConfig.kv);
+    default:
+      return null;
+  }
+}
+
+export function createCache(cacheConfig) {
+  if (cacheConfig.backend === 'none') return null;
+
+  memory = memory || createLruStore({ maxEntries: cacheConfig.maxEntries });
+  const persistent = createPersistentStore(cacheConfig);
+
+  return {
+    backends: [memory.name, ...(persistent ? [persistent.name] : [])],
+
+    // Resolves to { value, source } where source is the tier that answered
+    async get(key) {
+      const cached = await memory.get(key);
+      if (cached !== undefined) return { value: cached, source: memory.name };
+      if (!persistent) return { value: undefined, source: null };
+
+      try {
+        const stored = await persistent.get(key);
+        if (stored === undefined) return { value: undefined, source: null };
+        // Warm the memory tier; the persistent tier still holds the real expiry
+        await memory.set(key, stored, cacheConfig.memoryTtlSeconds);
+        return { value: stored, source: persistent.name };
+      } catch {
+        return { value: undefined, source: null };
+      }
+    },
+
+    async set(key, value, ttlSeconds) {
+      // With a persistent tier behind it, memory only holds entries briefly
+      const memoryTtl = persistent ? Math.min(ttlSeconds, cacheConfig.memoryTtlSeconds) : ttlSeconds;
+      await memory.set(key, value, memoryTtl);
+      if (!persistent) return;
+      try {
+        await persistent.set(key, value, ttlSeconds);
+      } catch {
+        // Persistent tier is best-effort
+      }
+    }
+  };
+}
+
+export function resetMemoryCache() {
+  memory = null;
+}
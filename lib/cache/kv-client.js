@@ -0,0 +1,25 @@
+// /lib/cache/kv-client.js - Commands against a Redis-compatible REST store (Vercel KV / Upstash)
+//
+// Shared by the cache tier, the outbox and the digest store. The returned
+// function sends one command such as ['GET', key] and resolves to its result.
+// A store that doesn't answer within timeoutMs fails the command with
+// code ETIMEDOUT; the cache tier counts that as a miss.
+export function createKvClient({ url, token, timeoutMs = 1500 }) {
+  return async function command(args) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) throw new Error(`KV error: ${response.status}`);
+      return (await response.json()).result;
+    } catch (error) {
+      if (error.name !== 'TimeoutError') throw error;
+      const timeout = new Error(`KV error: timed out after ${timeoutMs}ms`);
+      timeout.code = 'ETIMEDOUT';
+      throw timeout;
+    }
+  };
+}
@@ -0,0 +1,23 @@
+// /lib/cache/kv-store.js - Redis-compatible REST key-value store (Vercel KV / Upstash)
+import { createKvClient } from './kv-client.js';
+
+export function createKvStore({ url, token, timeoutMs, prefix = 'ip-logger:' } = {}) {
+  const command = createKvClient({ url, token, timeoutMs });
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const raw = await command(['GET', prefix + key]);
+      return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await command(['SET', prefix + key, JSON.stringify(value), 'EX', String(ttlSeconds)]);
+    },
+
+    async delete(key) {
+      await command(['DEL', prefix + key]);
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// /lib/cache/lru.js - In-memory LRU store with per-entry expiry
+
+export function createLruStore({ maxEntries = 500, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so the Map's insertion order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,253 @@
+// /lib/config.js - Environment-driven configuration shared by all handlers
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+function list(value) {
+  return (value || '')
+    .toString()
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Like list() but keeps case, for values such as email addresses
+function items(value) {
+  return (value || '')
+    .toString()
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function bool(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return /^(1|true|yes|on)$/i.test(value.toString().trim());
+}
+
+function mode(value, fallback) {
+  return (value || fallback).toString().trim().toLowerCase();
+}
+
+// API_TOKENS="oncall:lookup:tok_1,etl:lookup+lookup.bulk:tok_2" - name,
+// '+'-separated scopes and the secret, which may itself contain ':'
+function apiTokens(value) {
+  return items(value)
+    .map(entry => {
+      const [name, scopes, ...secret] = entry.split(':');
+      return { name: name.trim(), scopes: scopes ? list(scopes.replace(/\+/g, ',')) : [], secret: secret.join(':').trim() };
+    })
+    .filter(token => token.name && token.secret);
+}
+
+function int(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export function loadConfig(env = process.env) {
+  return {
+    clientIp: {
+      // CIDRs of proxies whose forwarding headers are believed
+      trustedProxies: list(env.TRUSTED_PROXIES),
+      // Header set by the platform itself; Vercel overwrites client-supplied values
+      trustedHeader: (env.CLIENT_IP_HEADER || (env.VERCEL ? 'x-vercel-forwarded-for' : '')).trim().toLowerCase() || null
+    },
+    geo: {
+      // Fallback order; when unset every registered provider is tried in turn
+      providers: list(env.GEO_PROVIDERS || env.GEO_PROVIDER),
+      // Per-provider timeout and the budget the whole chain shares; both stay
+      // under the 10s maxDuration in vercel.json
+      stepTimeoutMs: int(env.GEO_STEP_TIMEOUT_MS, 3000),
+      budgetMs: int(env.GEO_BUDGET_MS, 8000),
+      breaker: {
+        failureThreshold: int(env.GEO_BREAKER_THRESHOLD, 3),
+        cooldownMs: int(env.GEO_BREAKER_COOLDOWN_MS, 60000)
+      },
+      // Upstream responses that stop matching their schema; the same drift
+      // seen alertThreshold times in a window alerts the notifiers (0 = never)
+      drift: {
+        alertThreshold: int(env.DRIFT_ALERT_THRESHOLD, 5),
+        windowSeconds: int(env.DRIFT_WINDOW_SECONDS, 3600)
+      },
+      bigdatacloud: {
+        apiKey: env.BIGDATACLOUD_API_KEY || null,
+        baseUrl: env.BIGDATACLOUD_BASE_URL || 'https://api-bdc.net/data',
+        language: env.BIGDATACLOUD_LANGUAGE || 'en'
+      },
+      mmdb: {
+        cityPath: env.MMDB_CITY_PATH || null,
+        asnPath: env.MMDB_ASN_PATH || null,
+        language: env.MMDB_LANGUAGE || 'en'
+      },
+      // Saves every BigDataCloud response here as a fixture; it keeps the looked-up addresses
+      record: {
+        dir: env.GEO_RECORD_DIR || null
+      },
+      // Fixtures the replay provider answers from (GEO_PROVIDERS=replay for no network at all)
+      replay: {
+        dir: env.GEO_REPLAY_DIR || null
+      }
+    },
+    cache: {
+      // memory | file | kv | none; memory is always the first tier unless none
+      backend: (env.CACHE_BACKEND || 'memory').trim().toLowerCase(),
+      maxEntries: int(env.CACHE_MAX_ENTRIES, 500),
+      memoryTtlSeconds: int(env.CACHE_MEMORY_TTL_SECONDS, 300),
+      ipTtlSeconds: int(env.CACHE_IP_TTL_SECONDS, 3600),
+      // ASN registration data changes rarely
+      asnTtlSeconds: int(env.CACHE_ASN_TTL_SECONDS, 7 * 24 * 3600),
+      // ip | prefix; prefix shares one entry per /24 (IPv4) or /48 (IPv6)
+      keyMode: (env.CACHE_KEY_MODE || 'ip').trim().toLowerCase(),
+      prefixV4: int(env.CACHE_PREFIX_V4, 24),
+      prefixV6: int(env.CACHE_PREFIX_V6, 48),
+      dir: env.CACHE_DIR || join(tmpdir(), 'ip-logger-cache'),
+      // A KV command that takes longer than timeoutMs is a cache miss
+      kv: {
+        url: env.KV_REST_API_URL || null,
+        token: env.KV_REST_API_TOKEN || null,
+        timeoutMs: int(env.KV_TIMEOUT_MS, 1500)
+      }
+    },
+    consent: {
+      // Signs consent tokens; without it no consent can be given and /api/log refuses
+      secret: env.CONSENT_SECRET || null,
+      maxAgeSeconds: int(env.CONSENT_MAX_AGE_SECONDS, 30 * 24 * 3600),
+      // Optional JSON-lines file that consent records are appended to
+      recordPath: env.CONSENT_RECORD_PATH || null
+    },
+    privacy: {
+      // honor (Sec-GPC or DNT) | gpc (Sec-GPC only) | ignore
+      signalPolicy: (env.PRIVACY_SIGNAL_POLICY || 'honor').trim().toLowerCase()
+    },
+    notify: {
+      // Destinations in delivery order; when unset every configured one is used
+      targets: list(env.NOTIFIERS),
+      timeoutMs: int(env.NOTIFY_TIMEOUT_MS, 5000),
+      // How long after a request starts notifications may still be posted or
+      // retried; below the functions' maxDuration of 10 s in vercel.json
+      budgetMs: int(env.NOTIFY_BUDGET_MS, 9000),
+      // Message layouts as inline JSON or a JSON file; see lib/notify/templates.js
+      templates: env.NOTIFY_TEMPLATES || null,
+      templatesFile: env.NOTIFY_TEMPLATES_FILE || null,
+      // Destinations and routing rules as inline JSON or a JSON file; see lib/notify/routing.js
+      routes: env.NOTIFY_ROUTES || null,
+      routesFile: env.NOTIFY_ROUTES_FILE || null,
+      // instant notifies per visit; digest collects visits for /api/notify-digest
+      mode: mode(env.NOTIFY_MODE, 'instant'),
+      dedup: {
+        // none | ip | prefix | asn | prefix-asn; instant mode sends one
+        // notification per key per window (digests still count every visit)
+        key: mode(env.NOTIFY_DEDUP_KEY, 'none'),
+        windowSeconds: int(env.NOTIFY_DEDUP_WINDOW_SECONDS, 3600),
+        prefixV4: int(env.NOTIFY_DEDUP_PREFIX_V4, 24),
+        prefixV6: int(env.NOTIFY_DEDUP_PREFIX_V6, 48)
+      },
+      digest: {
+        // file | kv; where visits wait for the next digest. kv by default once
+        // KV is set up: the digest cron runs on whichever instance, so a file
+        // is refused on Vercel
+        backend: mode(env.NOTIFY_DIGEST_BACKEND, env.KV_REST_API_URL && env.KV_REST_API_TOKEN ? 'kv' : 'file'),
+        path: env.NOTIFY_DIGEST_PATH || join(tmpdir(), 'ip-logger-digest.jsonl'),
+        serverless: bool(env.VERCEL, false),
+        kv: {
+          url: env.KV_REST_API_URL || null,
+          token: env.KV_REST_API_TOKEN || null,
+          timeoutMs: int(env.KV_TIMEOUT_MS, 1500)
+        },
+        // Rows per breakdown before the rest are folded into Other
+        top: int(env.NOTIFY_DIGEST_TOP, 10)
+      },
+      discord: {
+        webhookUrl: env.DISCORD_WEBHOOK_URL || null,
+        // 429s are retried after retry_after while that and another attempt
+        // fit in NOTIFY_BUDGET_MS
+        maxRetries: int(env.DISCORD_MAX_RETRIES, 2),
+        maxRetryWaitMs: int(env.DISCORD_MAX_RETRY_WAIT_MS, 3000)
+      },
+      slack: {
+        webhookUrl: env.SLACK_WEBHOOK_URL || null
+      },
+      matrix: {
+        homeserverUrl: env.MATRIX_HOMESERVER_URL || null,
+        accessToken: env.MATRIX_ACCESS_TOKEN || null,
+        roomId: env.MATRIX_ROOM_ID || null
+      },
+      webhook: {
+        url: env.NOTIFY_WEBHOOK_URL || null,
+        // HMAC signing secrets, current first; list two while rotating
+        secrets: items(env.NOTIFY_WEBHOOK_SECRET)
+      },
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: int(env.SMTP_PORT, 587),
+        // Implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+        secure: bool(env.SMTP_SECURE, false),
+        startTls: bool(env.SMTP_STARTTLS, true),
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || null,
+        allowInsecureAuth: bool(env.SMTP_ALLOW_INSECURE_AUTH, false),
+        from: env.SMTP_FROM || null,
+        to: items(env.SMTP_TO)
+      }
+    },
+    outbox: {
+      // file | kv | none; failed notifications wait here for /api/outbox-retry.
+      // kv by default once KV is set up: the retry cron runs on whichever
+      // instance, so a file outbox is refused on Vercel
+      backend: mode(env.OUTBOX_BACKEND, env.KV_REST_API_URL && env.KV_REST_API_TOKEN ? 'kv' : 'file'),
+      path: env.OUTBOX_PATH || join(tmpdir(), 'ip-logger-outbox.jsonl'),
+      serverless: bool(env.VERCEL, false),
+      kv: {
+        url: env.KV_REST_API_URL || null,
+        token: env.KV_REST_API_TOKEN || null,
+        timeoutMs: int(env.KV_TIMEOUT_MS, 1500)
+      },
+      // The failed first delivery counts; after the last attempt an entry is dead-lettered
+      maxAttempts: int(env.OUTBOX_MAX_ATTEMPTS, 6),
+      baseDelaySeconds: int(env.OUTBOX_RETRY_BASE_SECONDS, 60),
+      maxDelaySeconds: int(env.OUTBOX_RETRY_MAX_SECONDS, 6 * 3600),
+      batchSize: int(env.OUTBOX_BATCH_SIZE, 20)
+    },
+    auth: {
+      // Bearer token for operator routes such as /api/outbox, and for /api/log?debug=1
+      adminToken: env.ADMIN_TOKEN || null,
+      // Vercel cron sends `Authorization: Bearer $CRON_SECRET`
+      cronSecret: env.CRON_SECRET || null,
+      // Scoped tokens for /api/lookup (scopes: lookup, lookup.bulk); the admin token has every scope
+      apiTokens: apiTokens(env.API_TOKENS)
+    },
+    lookup: {
+      // Addresses per bulk request to /api/lookup, and lookups in flight at once;
+      // uncached bulk requests have to fit the function's maxDuration
+      maxRows: int(env.LOOKUP_MAX_ROWS, 100),
+      concurrency: int(env.LOOKUP_CONCURRENCY, 8)
+    },
+    server: {
+      // Standalone node:http server (scripts/serve.js); unused on Vercel
+      port: int(env.PORT, 3000),
+      // Unset listens on every interface
+      host: env.HOST || null,
+      // In-flight requests get this long to finish after SIGTERM / SIGINT
+      shutdownGraceMs: int(env.SHUTDOWN_GRACE_MS, 10000),
+      // Vercel's own request body limit is 4.5 MB
+      bodyLimitBytes: int(env.BODY_LIMIT_BYTES, 4.5 * 1024 * 1024)
+    },
+    anonymize: {
+      // Keys the hmac IP mode; rotating it breaks correlation with older pseudonyms
+      hmacKey: env.ANONYMIZE_HMAC_KEY || null,
+      // ip: full | truncate | hmac | none; coordinates: exact | city | region | none
+      notifications: {
+        ip: mode(env.ANONYMIZE_NOTIFICATIONS_IP, 'full'),
+        coordinates: mode(env.ANONYMIZE_NOTIFICATIONS_COORDINATES, 'exact')
+      },
+      storage: {
+        ip: mode(env.ANONYMIZE_STORAGE_IP, 'full'),
+        coordinates: mode(env.ANONYMIZE_STORAGE_COORDINATES, 'exact')
+      },
+      response: {
+        ip: mode(env.ANONYMIZE_RESPONSE_IP, 'full'),
+        coordinates: mode(env.ANONYMIZE_RESPONSE_COORDINATES, 'exact')
+      }
+    }
+  };
+}
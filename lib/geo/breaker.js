@@ -0,0 +1,45 @@
+// /lib/geo/breaker.js - Per-provider circuit breaker
+//
+// State lives at module level so it survives across warm invocations of the
+// same function instance. A provider that fails `failureThreshold` times in a
+// row is skipped until `cooldownMs` has passed; the next call is then let
+// through as a trial (half-open) and either closes or re-opens the circuit.
+
+const circuits = new Map();
+
+function circuitFor(name) {
+  if (!circuits.has(name)) circuits.set(name, { failures: 0, openedAt: null });
+  return circuits.get(name);
+}
+
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000, now = Date.now } = {}) {
+  return {
+    state(name) {
+      const circuit = circuitFor(name);
+      if (circuit.openedAt === null) return 'closed';
+      return now() - circuit.openedAt >= cooldownMs ? 'half-open' : 'open';
+    },
+
+    canRequest(name) {
+      return this.state(name) !== 'open';
+    },
+
+    recordSuccess(name) {
+      const circuit = circuitFor(name);
+      circuit.failures = 0;
+      circuit.openedAt = null;
+    },
+
+    recordFailure(name) {
+      const circuit = circuitFor(name);
+      circuit.failures++;
+      if (circuit.openedAt !== null || circuit.failures >= failureThreshold) {
+        circuit.openedAt = now();
+      }
+    }
+  };
+}
+
+export function resetCircuits() {
+  circuits.clear();
+}
@@ -0,0 +1,70 @@
+// /lib/geo/cache.js - Cache geolocation and ASN lookups in front of a provider chain
+import { ipPrefix, parseIp } from '../net/ip.js';
+import { formatAsn } from './normalize.js';
+import { FULL_POLICY, anonymizeFor, anonymizeIp } from '../privacy/anonymize.js';
+
+// Cache keys are stored records too, so they follow the storage IP policy:
+// truncate shares an entry per /24 or /48, hmac keys on a pseudonym and none
+// turns geo caching off
+export function geoCacheKey(ip, cacheConfig, storage = FULL_POLICY, hmacKey = null) {
+  if (storage.ip === 'none') return null;
+  const base = cacheConfig.keyMode === 'prefix'
+    ? ipPrefix(ip, cacheConfig.prefixV4, cacheConfig.prefixV6)
+    : parseIp(ip)?.address;
+  if (!base) return null;
+
+  let key = base;
+  if (storage.ip === 'truncate' && cacheConfig.keyMode !== 'prefix') key = anonymizeIp(base, 'truncate');
+  if (storage.ip === 'hmac') key = anonymizeIp(base, 'hmac', { hmacKey });
+  return `geo:${key}`;
+}
+
+// Same interface as the chain; results gain `cache: 'hit' | 'miss' | 'bypass'`
+// and, for hits, the tier that answered in `cacheSource`. Stored geo records
+// follow the storage policy, so hits come back at its coordinate precision and
+// without the raw payload unless full IPs may be stored.
+export function withLookupCache(chain, cache, cacheConfig, { storage = FULL_POLICY, hmacKey = null } = {}) {
+  if (!cache) {
+    return {
+      ...chain,
+      lookup: async ip => ({ ...(await chain.lookup(ip)), cache: 'bypass' }),
+      lookupAsn: async asn => ({ ...(await chain.lookupAsn(asn)), cache: 'bypass' })
+    };
+  }
+
+  return {
+    ...chain,
+
+    async lookup(ip) {
+      const key = geoCacheKey(ip, cacheConfig, storage, hmacKey);
+      const cached = key ? await cache.get(key) : { value: undefined };
+      if (cached.value) {
+        return { ...cached.value, provider: null, attempts: [], cache: 'hit', cacheSource: cached.source };
+      }
+
+      const result = await chain.lookup(ip);
+      // Results from request-bound providers and degraded fallbacks aren't
+      // stored, so the preferred provider is retried once it recovers
+      if (key && result.geo && result.provider?.cacheable !== false && result.degraded.length === 0) {
+        const { geo, degraded, missing } = result;
+        await cache.set(key, { geo: anonymizeFor(storage, { geo }).geo, degraded, missing }, cacheConfig.ipTtlSeconds);
+      }
+      return { ...result, cache: 'miss' };
+    },
+
+    async lookupAsn(asn) {
+      const formatted = formatAsn(asn);
+      const key = formatted ? `asn:${formatted}` : null;
+      const cached = key ? await cache.get(key) : { value: undefined };
+      if (cached.value) {
+        return { asnData: cached.value, provider: null, attempts: [], cache: 'hit', cacheSource: cached.source };
+      }
+
+      const result = await chain.lookupAsn(asn);
+      if (key && result.asnData) {
+        await cache.set(key, result.asnData, cacheConfig.asnTtlSeconds);
+      }
+      return { ...result, cache: 'miss' };
+    }
+  };
+}
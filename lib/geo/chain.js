@@ -0,0 +1,103 @@
+// /lib/geo/chain.js - Ordered provider fallback with timeouts and a shared budget
+import { missingFields } from './normalize.js';
+
+function timeoutError(provider, ms) {
+  const error = new Error(`${provider} timed out after ${ms}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+// Whether an error says the provider is unhealthy: timeouts, network errors
+// and 5xx. A 4xx, like an MMDB without a record for the address, is an answer
+// about the input and must not open the circuit for every other visitor.
+function providerFailed(error) {
+  return !error.status || error.status >= 500;
+}
+
+// Run one provider call with an abort signal and a hard deadline, so providers
+// that ignore the signal still can't hold the chain past its step timeout
+async function runStep(provider, ms, call) {
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(timeoutError(provider.name, ms));
+    }, ms);
+  });
+  try {
+    return await Promise.race([call(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function createProviderChain(providers, { stepTimeoutMs = 3000, budgetMs = 8000, breaker, now = Date.now } = {}) {
+  const startedAt = now();
+  const remaining = () => budgetMs - (now() - startedAt);
+
+  async function attempt(provider, attempts, call) {
+    if (breaker && !breaker.canRequest(provider.name)) {
+      attempts.push({ provider: provider.name, ok: false, skipped: 'circuit-open' });
+      return undefined;
+    }
+    const left = remaining();
+    if (left <= 0) {
+      attempts.push({ provider: provider.name, ok: false, skipped: 'budget-exhausted' });
+      return undefined;
+    }
+
+    const ms = Math.min(stepTimeoutMs, left);
+    const started = now();
+    try {
+      const result = await runStep(provider, ms, call);
+      breaker?.recordSuccess(provider.name);
+      attempts.push({ provider: provider.name, ok: true, ms: now() - started });
+      return result;
+    } catch (error) {
+      if (providerFailed(error)) breaker?.recordFailure(provider.name);
+      else breaker?.recordSuccess(provider.name);
+      attempts.push({
+        provider: provider.name,
+        ok: false,
+        ms: now() - started,
+        status: error.status || null,
+        error: error.message
+      });
+      return undefined;
+    }
+  }
+
+  return {
+    providers,
+
+    // Resolves to { geo, provider, attempts, degraded, missing }; geo is null
+    // when every provider failed or was skipped
+    async lookup(ip) {
+      const attempts = [];
+      for (const provider of providers) {
+        const geo = await attempt(provider, attempts, signal => provider.lookup(ip, { signal }));
+        if (!geo) continue;
+
+        // Fields a preferred provider would have supplied but this one can't
+        const preferred = providers[0]?.fields || [];
+        const degraded = provider === providers[0]
+          ? []
+          : preferred.filter(field => !(provider.fields || []).includes(field));
+
+        return { geo, provider, attempts, degraded, missing: missingFields(geo) };
+      }
+      return { geo: null, provider: null, attempts, degraded: [], missing: [] };
+    },
+
+    // Resolves to { asnData, provider, attempts }; asnData is null on failure
+    async lookupAsn(asn) {
+      const attempts = [];
+      for (const provider of providers.filter(p => p.lookupAsn)) {
+        const asnData = await attempt(provider, attempts, signal => provider.lookupAsn(asn, { signal }));
+        if (asnData) return { asnData, provider, attempts };
+      }
+      return { asnData: null, provider: null, attempts };
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// /lib/geo/confidence.js - Confidence area polygon processing
+
+function isValidPoint(point) {
+  return Array.isArray(point) && point.length >= 2 &&
+    typeof point[0] === 'number' && typeof point[1] === 'number' &&
+    !isNaN(point[0]) && !isNaN(point[1]);
+}
+
+// Turn a raw [[lon, lat], ...] polygon into the confidenceInfo object
+export function processConfidenceArea(confidenceArea) {
+  const confidenceInfo = {
+    hasData: false,
+    rawCoordinates: [],
+    pointCount: 0,
+    validPointCount: 0,
+    bounds: null,
+    statistics: null,
+    error: null
+  };
+
+  if (!confidenceArea || !Array.isArray(confidenceArea)) return confidenceInfo;
+
+  try {
+    confidenceInfo.hasData = true;
+    confidenceInfo.pointCount = confidenceArea.length;
+
+    // Process all coordinate points
+    confidenceInfo.rawCoordinates = confidenceArea.map((point, index) => {
+      if (!isValidPoint(point)) return null;
+      const lon = point[0];
+      const lat = point[1];
+      confidenceInfo.validPointCount++;
+      return {
+        index: index + 1,
+        longitude: lon,
+        latitude: lat,
+        formatted: `[${lon.toFixed(6)}, ${lat.toFixed(6)}]`
+      };
+    }).filter(point => point !== null);
+
+    if (confidenceInfo.validPointCount === 0) {
+      confidenceInfo.error = 'No valid coordinate points found in confidence area';
+      return confidenceInfo;
+    }
+
+    // Calculate bounds
+    const lats = confidenceInfo.rawCoordinates.map(p => p.latitude);
+    const lons = confidenceInfo.rawCoordinates.map(p => p.longitude);
+
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLon = Math.min(...lons);
+    const maxLon = Math.max(...lons);
+
+    confidenceInfo.bounds = {
+      minLat: minLat.toFixed(6),
+      maxLat: maxLat.toFixed(6),
+      minLon: minLon.toFixed(6),
+      maxLon: maxLon.toFixed(6),
+      latRange: (maxLat - minLat).toFixed(6),
+      lonRange: (maxLon - minLon).toFixed(6)
+    };
+
+    // Calculate area statistics
+    const latKm = (maxLat - minLat) * 111.32;
+    const avgLat = (minLat + maxLat) / 2;
+    const lonKm = (maxLon - minLon) * (111.32 * Math.cos(avgLat * Math.PI / 180));
+    const areaKm = Math.abs(latKm * lonKm);
+
+    confidenceInfo.statistics = {
+      centerLat: ((minLat + maxLat) / 2).toFixed(6),
+      centerLon: ((minLon + maxLon) / 2).toFixed(6),
+      areaKm2: areaKm.toFixed(2),
+      widthKm: lonKm.toFixed(2),
+      heightKm: latKm.toFixed(2)
+    };
+  } catch (error) {
+    confidenceInfo.error = error.message;
+  }
+
+  return confidenceInfo;
+}
@@ -0,0 +1,105 @@
+// /lib/geo/drift.js - Counts upstream schema drift and alerts operators when it repeats
+//
+// Providers check every live response against their declared schema (see
+// ./schema.js) and report what drifted to a monitor. Each drifted field is
+// counted per provider, endpoint, path and kind within a window of
+// `windowSeconds`; reaching `alertThreshold` sends one alert for that window
+// through the notifiers (a 'drift' event, see ../notify/routing.js).
+//
+// Counts live at module level, like the circuit breaker's, so drift seen by
+// earlier warm invocations of the same instance adds up.
+import { logger } from '../log/logger.js';
+import { notifyAll, routeNotifiers } from '../notify/index.js';
+import { processConfidenceArea } from './confidence.js';
+import { buildMainData, createGeoRecord } from './normalize.js';
+import { describeDrift } from './schema.js';
+
+const counts = new Map();
+
+// "bigdatacloud ip-geolocation-full: network.asn renamed to … (5 times in 60 min)"
+export function driftSummary({ provider, endpoint, fields, windowSeconds }) {
+  const window = windowSeconds >= 60 ? `${Math.round(windowSeconds / 60)} min` : `${windowSeconds} s`;
+  const described = fields.map(field => `${describeDrift(field)} (${field.count} times in ${window})`);
+  return `${provider} ${endpoint}: ${described.join('; ')}`;
+}
+
+export function createDriftMonitor({ config, log = logger, now = Date.now }) {
+  const { alertThreshold, windowSeconds } = config.geo.drift;
+  // Alerts due, one per provider and endpoint, until flush() sends them
+  const pending = new Map();
+
+  function count(signature) {
+    const at = now();
+    let entry = counts.get(signature);
+    if (!entry || at - entry.since >= windowSeconds * 1000) {
+      entry = { count: 0, since: at, alerted: false };
+      counts.set(signature, entry);
+    }
+    entry.count++;
+    return entry;
+  }
+
+  return {
+    // Called by providers with what a response's schema check found
+    observe({ provider, endpoint, drift }) {
+      if (!drift.length) return;
+      log.warn('upstream.drift', { provider, endpoint, drift });
+
+      for (const field of drift) {
+        const entry = count([provider, endpoint, field.path, field.kind].join(' '));
+        if (!alertThreshold || entry.alerted || entry.count < alertThreshold) continue;
+        entry.alerted = true;
+        const id = `${provider} ${endpoint}`;
+        if (!pending.has(id)) pending.set(id, { provider, endpoint, fields: [], windowSeconds });
+        pending.get(id).fields.push({ ...field, count: entry.count });
+      }
+    },
+
+    // Sends the alerts observe() queued. Kept apart so slow delivery never
+    // counts against a provider's lookup timeout, and waits at most
+    // timeoutMs: alerts still going then finish in the background. Never throws.
+    async flush({ timeoutMs = Infinity } = {}) {
+      const alerts = [...pending.values()];
+      pending.clear();
+      if (!alerts.length) return;
+      const sending = (async () => {
+        for (const drift of alerts) await sendDriftAlert(drift, { config, log });
+      })();
+      if (timeoutMs === Infinity) return sending;
+
+      let timer;
+      const deadline = new Promise(resolve => {
+        timer = setTimeout(resolve, Math.max(0, timeoutMs), 'timeout');
+      });
+      const outcome = await Promise.race([sending, deadline]);
+      clearTimeout(timer);
+      if (outcome === 'timeout') log.warn('drift.flush_timeout', { timeoutMs: Math.max(0, timeoutMs), alerts: alerts.length });
+    }
+  };
+}
+
+async function sendDriftAlert(drift, { config, log }) {
+  try {
+    const confidenceInfo = processConfidenceArea(null);
+    const mainData = buildMainData({
+      ip: 'N/A',
+      userAgent: '',
+      geo: createGeoRecord('none'),
+      confidenceInfo,
+      event: { kind: 'drift', drift: { ...drift, summary: driftSummary(drift) } }
+    });
+    const notifiers = routeNotifiers(config.notify, mainData);
+    if (!notifiers.length) {
+      log.warn('notify.unrouted', { kind: 'drift', provider: drift.provider, endpoint: drift.endpoint });
+      return;
+    }
+    const notifications = await notifyAll(notifiers, { mainData, asnData: {}, confidenceInfo }, { log });
+    log.info('notify.alert', { kind: 'drift', notifications });
+  } catch (error) {
+    log.error('notify.alert_failed', { kind: 'drift', error: error.message });
+  }
+}
+
+export function resetDrift() {
+  counts.clear();
+}
@@ -0,0 +1,171 @@
+// /lib/geo/fixtures.js - Recorded upstream responses: sanitized, content-hashed, one file each
+//
+// A fixture is
+//   { endpoint: 'ip-geolocation-full' | 'asn-info-full', key: '8.8.8.8' | 'AS15169',
+//     provider, recordedAt, response, hash: 'sha256-…' }
+// saved as <endpoint>-<16 hex digits of the hash>.json. The hash covers the
+// endpoint, key and response, so recording the same answer again rewrites
+// one file while a changed upstream shape adds another, and a fixture edited
+// by hand fails to load until it is rehashed.
+//
+// Recording (GEO_RECORD_DIR) wraps the BigDataCloud provider and passes every
+// successful response through redact() first, which drops credentials but
+// keeps the looked-up addresses; anonymizeFixtures() replaces those.
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { logger } from '../log/logger.js';
+import { redact } from '../log/redact.js';
+import { ipPrefix, parseIp } from '../net/ip.js';
+import { formatAsn } from './normalize.js';
+
+export const FIXTURE_ENDPOINTS = ['ip-geolocation-full', 'asn-info-full'];
+
+// JSON with object keys sorted, so the hash doesn't depend on key order
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fixtureHash({ endpoint, key, response }) {
+  return `sha256-${createHash('sha256').update(canonical({ endpoint, key, response })).digest('hex')}`;
+}
+
+export function fixtureFileName(fixture) {
+  return `${fixture.endpoint}-${fixture.hash.substring('sha256-'.length, 'sha256-'.length + 16)}.json`;
+}
+
+export function createFixture({ endpoint, key, response, provider = 'bigdatacloud', recordedAt = new Date().toISOString() }) {
+  if (!FIXTURE_ENDPOINTS.includes(endpoint)) throw new Error(`Unknown fixture endpoint: ${endpoint}`);
+  const fixture = { endpoint, key: String(key), provider, recordedAt, response: redact(response) };
+  return { ...fixture, hash: fixtureHash(fixture) };
+}
+
+// Resolves to the path written
+export async function writeFixture(dir, fixture) {
+  await mkdir(dir, { recursive: true });
+  const path = join(dir, fixtureFileName(fixture));
+  await writeFile(path, `${JSON.stringify(fixture, null, 2)}\n`);
+  return path;
+}
+
+// Every fixture in dir as [{ path, fixture }] in file name order. Throws
+// listing every file that doesn't parse or whose hash doesn't match.
+export async function readFixtures(dir) {
+  const names = (await readdir(dir)).filter(name => name.endsWith('.json')).sort();
+  const entries = [];
+  const problems = [];
+  for (const name of names) {
+    const path = join(dir, name);
+    try {
+      const fixture = JSON.parse(await readFile(path, 'utf8'));
+      if (!FIXTURE_ENDPOINTS.includes(fixture.endpoint)) problems.push(`${name}: unknown endpoint ${JSON.stringify(fixture.endpoint)}`);
+      else if (fixture.hash !== fixtureHash(fixture)) problems.push(`${name}: content doesn't match its hash`);
+      else entries.push({ path, fixture });
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+    }
+  }
+  if (problems.length) {
+    const error = new Error(`Invalid fixtures in ${dir}:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return entries;
+}
+
+// (endpoint, key) → the most recently recorded fixture
+export function indexFixtures(entries) {
+  const index = new Map();
+  for (const { fixture } of entries) {
+    const id = `${fixture.endpoint} ${fixture.key}`;
+    if (!index.has(id) || index.get(id).recordedAt < fixture.recordedAt) index.set(id, fixture);
+  }
+  return {
+    get: (endpoint, key) => index.get(`${endpoint} ${key}`) || null
+  };
+}
+
+// The provider with every successful response saved to dir. Recording
+// problems are logged, never passed on to the lookup. Lookups for visitors
+// who opted out (GPC / DNT) are never recorded.
+export function withRecording(provider, { dir, optedOut = false, log = logger } = {}) {
+  if (!dir || optedOut || !provider.available) return provider;
+
+  async function save(endpoint, key, response) {
+    try {
+      const path = await writeFixture(dir, createFixture({ endpoint, key, response, provider: provider.name }));
+      log.debug('fixture.recorded', { endpoint, path });
+    } catch (error) {
+      log.warn('fixture.record_failed', { endpoint, error: error.message });
+    }
+  }
+
+  return {
+    ...provider,
+    async lookup(ip, options) {
+      const record = await provider.lookup(ip, options);
+      if (record?.raw) await save('ip-geolocation-full', parseIp(ip)?.address || ip, record.raw);
+      return record;
+    },
+    ...(provider.lookupAsn && {
+      async lookupAsn(asn, options) {
+        const asnData = await provider.lookupAsn(asn, options);
+        if (asnData) await save('asn-info-full', formatAsn(asn), asnData);
+        return asnData;
+      }
+    })
+  };
+}
+
+// --- IP anonymization ---
+
+const IPV4 = /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?![\d.])/g;
+const IPV6 = /(?<![0-9a-f:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![0-9a-f:])/gi;
+
+// An address's network (/24 or /48) as a plain address: 8.8.8.8 → 8.8.8.0.
+// Still public, so anonymized fixtures replay through the whole pipeline.
+export function networkAddress(ip) {
+  return ipPrefix(ip, 24, 48)?.split('/')[0] ?? null;
+}
+
+function anonymizeText(text) {
+  const replace = match => (parseIp(match) ? networkAddress(match) : match);
+  return text.replace(IPV4, replace).replace(IPV6, replace);
+}
+
+function anonymizeValue(value) {
+  if (typeof value === 'string') return anonymizeText(value);
+  if (Array.isArray(value)) return value.map(anonymizeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, anonymizeValue(item)]));
+  }
+  return value;
+}
+
+// Replaces every address in the ip-geolocation-full fixtures in dir with its
+// network address and rehashes and renames the files that changed.
+// asn-info-full responses describe networks rather than visitors and are
+// left alone. Resolves to [{ from, to, key }] for the rewritten fixtures;
+// running it again changes nothing.
+export async function anonymizeFixtures(dir) {
+  const changed = [];
+  for (const { path, fixture } of await readFixtures(dir)) {
+    if (fixture.endpoint !== 'ip-geolocation-full') continue;
+    const anonymized = {
+      ...fixture,
+      key: anonymizeText(fixture.key),
+      response: anonymizeValue(fixture.response)
+    };
+    anonymized.hash = fixtureHash(anonymized);
+    if (anonymized.hash === fixture.hash) continue;
+
+    const to = await writeFixture(dir, anonymized);
+    if (to !== path) await rm(path);
+    changed.push({ from: path, to, key: anonymized.key });
+  }
+  return changed;
+}
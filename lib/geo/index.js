@@ -0,0 +1,58 @@
+// /lib/geo/index.js - Geolocation provider registry
+//
+// A provider is { name, available, fields, lookup(ip, { signal }),
+// lookupAsn?(asn, { signal }) }. lookup() resolves to the record built by
+// createGeoRecord(); lookupAsn() resolves to asn-info-full shaped data and is
+// optional. `fields` lists the geo record fields the provider can fill.
+//
+// Factories receive the geo config plus a per-request context ({ headers,
+// optedOut, onDrift }) for providers that read from the incoming request or
+// check upstream responses against a schema (see ./drift.js). BigDataCloud
+// responses are recorded as fixtures when GEO_RECORD_DIR is set (see
+// ./fixtures.js), except for visitors who opted out.
+import { createBigDataCloudProvider } from './providers/bigdatacloud.js';
+import { createMmdbProvider } from './providers/mmdb.js';
+import { createReplayProvider } from './providers/replay.js';
+import { createVercelProvider } from './providers/vercel.js';
+import { withRecording } from './fixtures.js';
+import { createCircuitBreaker } from './breaker.js';
+import { createProviderChain } from './chain.js';
+import { withLookupCache } from './cache.js';
+import { createCache } from '../cache/index.js';
+
+export const PROVIDERS = {
+  bigdatacloud: (geoConfig, context) => withRecording(
+    createBigDataCloudProvider({ ...geoConfig.bigdatacloud, onDrift: context.onDrift }),
+    { ...geoConfig.record, optedOut: context.optedOut }
+  ),
+  mmdb: geoConfig => createMmdbProvider(geoConfig.mmdb),
+  vercel: (geoConfig, context) => createVercelProvider({ headers: context.headers }),
+  replay: geoConfig => createReplayProvider(geoConfig.replay)
+};
+
+export function createProvider(name, geoConfig, context = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown geolocation provider: ${name}`);
+  return factory(geoConfig, context);
+}
+
+// Configured providers in fallback order, minus any without credentials / data files
+export function resolveProviders(geoConfig, context = {}) {
+  const names = geoConfig.providers.length ? geoConfig.providers : Object.keys(PROVIDERS);
+  return names
+    .map(name => createProvider(name, geoConfig, context))
+    .filter(provider => provider.available);
+}
+
+// The provider chain behind the lookup cache, built from the full config.
+// Lookups for visitors who opted out skip every cache tier so nothing about
+// them is stored.
+export function createGeoChain(config, context = {}) {
+  const chain = createProviderChain(resolveProviders(config.geo, context), {
+    stepTimeoutMs: config.geo.stepTimeoutMs,
+    budgetMs: config.geo.budgetMs,
+    breaker: createCircuitBreaker(config.geo.breaker)
+  });
+  const cacheConfig = context.optedOut ? { ...config.cache, backend: 'none' } : config.cache;
+  return withLookupCache(chain, createCache(cacheConfig), cacheConfig, config.anonymize);
+}
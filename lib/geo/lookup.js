@@ -0,0 +1,232 @@
+// /lib/geo/lookup.js - Geolocation, ASN details and confidence area for one address
+//
+// The lookup every handler shares. Resolves to { failure: { status, error,
+// attempts? } } when no provider could answer, otherwise to { geo, lookup,
+// asnData, asnLookup, degraded, attempts, confidenceInfo }.
+// destinationView() then shapes the result for whoever receives it, and
+// lookupRows() runs it for a list of addresses given by an operator.
+// Live upstream responses are checked for schema drift along the way, and
+// drift that keeps repeating alerts the notifiers (see ./drift.js).
+import { createGeoChain } from './index.js';
+import { processConfidenceArea } from './confidence.js';
+import { buildMainData, formatAsn } from './normalize.js';
+import { extractAsnNumber, normalizeIpData } from './providers/bigdatacloud.js';
+import { indexFixtures, readFixtures } from './fixtures.js';
+import { createDriftMonitor } from './drift.js';
+import { classifyIp, parseIp } from '../net/ip.js';
+import { anonymizeFor } from '../privacy/anonymize.js';
+import { logger } from '../log/logger.js';
+
+// Flat fields of a normalized record, in output order
+export const LOOKUP_FIELDS = {
+  ip: data => data.ip,
+  continent: data => data.location.continent,
+  country: data => data.location.country,
+  countryCode: data => data.location.countryCode,
+  region: data => data.location.region,
+  city: data => data.location.city,
+  latitude: data => data.location.latitude,
+  longitude: data => data.location.longitude,
+  accuracyRadius: data => data.location.accuracyRadius,
+  asn: data => data.network.asn,
+  organisation: data => data.network.organisation,
+  connectionType: data => data.network.connectionType,
+  timezone: data => data.timezone.name
+};
+
+export function recordFields(mainData) {
+  return Object.fromEntries(Object.entries(LOOKUP_FIELDS).map(([name, read]) => [name, read(mainData) ?? null]));
+}
+
+// Time left of the geo budget for a lookup started at startedAt
+const budgetLeft = (config, startedAt) => config.geo.budgetMs - (Date.now() - startedAt);
+
+export async function lookupAddress(ip, { config, headers = {}, optedOut = false, log = logger }) {
+  const startedAt = Date.now();
+  const drift = createDriftMonitor({ config, log });
+  try {
+    return await lookupWithChain(ip, { config, headers, optedOut, log, onDrift: drift.observe });
+  } finally {
+    // Alerts about repeated upstream drift go out once the lookup is done,
+    // holding the response no longer than the rest of the geo budget
+    await drift.flush({ timeoutMs: budgetLeft(config, startedAt) });
+  }
+}
+
+async function lookupWithChain(ip, { config, headers, optedOut, log, onDrift }) {
+  // Opted-out lookups skip every cache tier and fixture recording so
+  // nothing about them is stored
+  const chain = createGeoChain(config, { headers, optedOut, onDrift });
+  if (!chain.providers.length) {
+    log.error('geo.no_provider');
+    return {
+      failure: {
+        status: 500,
+        error: 'No geolocation provider configured (set BIGDATACLOUD_API_KEY or MMDB_CITY_PATH, or deploy on Vercel)'
+      }
+    };
+  }
+  log.debug('geo.chain', { providers: chain.providers.map(p => p.name) });
+
+  // --- Main geolocation record ---
+  const lookup = await chain.lookup(ip);
+  const geo = lookup.geo;
+  if (!geo) {
+    log.error('geo.lookup_failed', { attempts: lookup.attempts });
+    return { failure: { status: 502, error: 'All geolocation providers failed', attempts: lookup.attempts } };
+  }
+  log.info('geo.lookup', {
+    provider: geo.provider,
+    cache: lookup.cache,
+    attempts: lookup.attempts,
+    degraded: lookup.degraded,
+    missing: lookup.missing
+  });
+  log.debug('geo.raw', {
+    rawKeys: geo.raw ? Object.keys(geo.raw) : null,
+    location: geo.location,
+    confidenceAreaPoints: Array.isArray(geo.confidenceArea) ? geo.confidenceArea.length : null
+  });
+
+  // --- ASN details, when the record names an ASN ---
+  const asnNumber = geo.network.asn;
+  if (!asnNumber) {
+    log.warn('asn.not_found', { provider: geo.provider });
+  }
+
+  let asnData = {};
+  let asnLookup = null;
+  const degraded = [...lookup.degraded];
+  const attempts = [...lookup.attempts];
+
+  if (asnNumber) {
+    asnLookup = await chain.lookupAsn(asnNumber);
+    attempts.push(...asnLookup.attempts.map(a => ({ ...a, step: 'asn' })));
+    if (asnLookup.asnData) {
+      asnData = asnLookup.asnData;
+      log.info('asn.lookup', { asn: asnNumber, cache: asnLookup.cache, organisation: asnData.organisation || null });
+    } else if (asnLookup.attempts.length) {
+      degraded.push('network.asnDetails');
+      log.warn('asn.lookup_failed', { asn: asnNumber, attempts: asnLookup.attempts });
+    }
+  }
+
+  // --- Confidence area ---
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  log.debug('confidence_area.processed', {
+    points: confidenceInfo.pointCount,
+    validPoints: confidenceInfo.validPointCount,
+    error: confidenceInfo.error
+  });
+
+  return { geo, lookup, asnData, asnLookup, degraded, attempts, confidenceInfo };
+}
+
+// mainData and confidenceInfo rebuilt from the anonymized IP and geo record
+export function destinationView(policy, { mainData, geo, asnData, config }) {
+  const view = anonymizeFor(policy, { ip: mainData.ip, geo }, config.anonymize);
+  const confidenceInfo = processConfidenceArea(view.geo.confidenceArea);
+  return {
+    confidenceInfo,
+    mainData: buildMainData({
+      ...mainData,
+      ip: view.ip,
+      geo: view.geo,
+      asnData,
+      confidenceInfo
+    })
+  };
+}
+
+// --- Operator lookups of arbitrary addresses ---
+
+const EMPTY_ROW = Object.fromEntries(Object.keys(LOOKUP_FIELDS).map(name => [name, null]));
+
+// One flat row for an address, with status ok | invalid | reserved | failed
+// and the error for the others. The caller's own request headers are never
+// passed on, so header-based providers (Vercel) don't answer for it.
+export async function lookupRow(input, { config, log = logger }) {
+  const text = String(input ?? '').trim();
+  const parsed = parseIp(text);
+  const row = { ...EMPTY_ROW, ip: parsed ? parsed.address : text, provider: null, cache: null };
+  if (!parsed) return { ...row, status: 'invalid', error: 'Not an IP address' };
+
+  const addressClass = classifyIp(parsed.address);
+  if (addressClass.reserved) return { ...row, status: 'reserved', error: `Non-routable address (${addressClass.label})` };
+
+  const result = await lookupAddress(parsed.address, { config, log });
+  if (result.failure) return { ...row, status: 'failed', error: result.failure.error };
+
+  const { geo, asnData, confidenceInfo } = result;
+  const mainData = buildMainData({ ip: parsed.address, userAgent: '', geo, asnData, confidenceInfo });
+  const visible = destinationView(config.anonymize.response, { mainData, geo, asnData, config }).mainData;
+  return {
+    ...recordFields(visible),
+    // The operator supplied the address, so it comes back as given
+    ip: parsed.address,
+    provider: geo.provider,
+    cache: result.lookup.cache,
+    status: 'ok',
+    error: null
+  };
+}
+
+// Rows in input order with at most `concurrency` lookups in flight; repeated
+// addresses and shared ASNs are answered by the lookup cache
+export async function lookupRows(inputs, { config, concurrency = 4, log = logger }) {
+  const rows = new Array(inputs.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < inputs.length) {
+      const index = next++;
+      try {
+        rows[index] = await lookupRow(inputs[index], { config, log });
+      } catch (error) {
+        log.error('lookup.row_failed', { row: index + 1, error: error.message });
+        rows[index] = { ...EMPTY_ROW, ip: String(inputs[index] ?? ''), provider: null, cache: null, status: 'failed', error: error.message };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, inputs.length)) }, worker));
+  return rows.map((row, index) => ({ row: index + 1, ...row }));
+}
+
+// asn-info-full details for one ASN through the same chain and cache
+export async function lookupAsnDetails(asn, { config, log = logger }) {
+  const formatted = formatAsn(asn);
+  if (!/^AS\d+$/.test(formatted || '')) return { asn: asn ?? null, status: 'invalid', error: 'Not an ASN', asnData: null };
+  const startedAt = Date.now();
+  const drift = createDriftMonitor({ config, log });
+  const chain = createGeoChain(config, { onDrift: drift.observe });
+  const result = await chain.lookupAsn(formatted);
+  await drift.flush({ timeoutMs: budgetLeft(config, startedAt) });
+  log.debug('asn.lookup', { asn: formatted, cache: result.cache, attempts: result.attempts });
+  return result.asnData
+    ? { asn: formatted, status: 'ok', error: null, cache: result.cache, asnData: result.asnData }
+    : { asn: formatted, status: 'failed', error: 'No provider returned ASN details', cache: result.cache, attempts: result.attempts, asnData: null };
+}
+
+// The row a recorded BigDataCloud exchange normalizes to, without any
+// network access: { ip, geo: <ip-geolocation-full>, asn?: <asn-info-full> }
+export function replayRow(fixture, { config }) {
+  const geo = normalizeIpData(fixture?.geo);
+  const asnData = fixture?.asn || {};
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  const mainData = buildMainData({ ip: fixture?.ip ?? null, userAgent: '', geo, asnData, confidenceInfo });
+  const visible = destinationView(config.anonymize.response, { mainData, geo, asnData, config }).mainData;
+  return { ...recordFields(visible), ip: fixture?.ip ?? null, provider: 'replay', cache: null, status: 'ok', error: null };
+}
+
+// One replayed row per ip-geolocation-full recording in a fixture directory,
+// each with the recorded asn-info-full answer for its ASN when there is one
+export async function replayRecordings(dir, { config }) {
+  const entries = await readFixtures(dir);
+  const fixtures = indexFixtures(entries);
+  return entries
+    .filter(({ fixture }) => fixture.endpoint === 'ip-geolocation-full')
+    .map(({ fixture }) => {
+      const asn = formatAsn(extractAsnNumber(fixture.response)?.value);
+      const asnFixture = asn ? fixtures.get('asn-info-full', asn) : null;
+      return replayRow({ ip: fixture.key, geo: fixture.response, asn: asnFixture?.response }, { config });
+    });
+}
@@ -0,0 +1,174 @@
+// /lib/geo/mmdb.js - Minimal MaxMind DB (.mmdb) reader
+// Format: https://maxmind.github.io/MaxMind-DB/
+import { readFileSync } from 'node:fs';
+import { ipToBytes } from '../net/ip.js';
+
+const METADATA_MARKER = Buffer.from('\xab\xcd\xefMaxMind.com', 'latin1');
+const DATA_SECTION_SEPARATOR = 16;
+
+// Data field types
+const POINTER = 1;
+const UTF8_STRING = 2;
+const DOUBLE = 3;
+const BYTES = 4;
+const UINT16 = 5;
+const UINT32 = 6;
+const MAP = 7;
+const INT32 = 8;
+const UINT64 = 9;
+const UINT128 = 10;
+const ARRAY = 11;
+const BOOLEAN = 14;
+const FLOAT = 15;
+
+function createDecoder(buffer, baseOffset) {
+  function readUInt(offset, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + buffer[offset + i];
+    return value;
+  }
+
+  function readBigUInt(offset, size) {
+    let value = 0n;
+    for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(buffer[offset + i]);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+
+  function decodePointer(ctrl, offset) {
+    const size = (ctrl >> 3) & 0x3;
+    const vvv = ctrl & 0x7;
+    let pointer;
+    if (size === 0) pointer = (vvv << 8) | buffer[offset];
+    else if (size === 1) pointer = ((vvv << 16) | readUInt(offset, 2)) + 2048;
+    else if (size === 2) pointer = (vvv * 0x1000000 + readUInt(offset, 3)) + 526336;
+    else pointer = readUInt(offset, 4);
+    return { pointer: baseOffset + pointer, offset: offset + size + 1 };
+  }
+
+  function decode(offset) {
+    const ctrl = buffer[offset++];
+    let type = ctrl >> 5;
+
+    if (type === POINTER) {
+      const { pointer, offset: next } = decodePointer(ctrl, offset);
+      return { value: decode(pointer).value, offset: next };
+    }
+
+    if (type === 0) type = 7 + buffer[offset++];
+
+    let size = ctrl & 0x1f;
+    if (size === 29) {
+      size = 29 + buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + readUInt(offset, 2);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + readUInt(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case UTF8_STRING:
+        return { value: buffer.toString('utf8', offset, offset + size), offset: offset + size };
+      case DOUBLE:
+        return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      case BYTES:
+        return { value: buffer.subarray(offset, offset + size), offset: offset + size };
+      case UINT16:
+      case UINT32:
+        return { value: readUInt(offset, size), offset: offset + size };
+      case INT32:
+        return { value: size ? buffer.readIntBE(offset, size) : 0, offset: offset + size };
+      case UINT64:
+      case UINT128:
+        return { value: readBigUInt(offset, size), offset: offset + size };
+      case MAP: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = decode(offset);
+          const entry = decode(key.offset);
+          map[key.value] = entry.value;
+          offset = entry.offset;
+        }
+        return { value: map, offset };
+      }
+      case ARRAY: {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const entry = decode(offset);
+          array.push(entry.value);
+          offset = entry.offset;
+        }
+        return { value: array, offset };
+      }
+      case BOOLEAN:
+        return { value: size !== 0, offset };
+      case FLOAT:
+        return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      default:
+        throw new Error(`Unsupported MMDB data type: ${type}`);
+    }
+  }
+
+  return decode;
+}
+
+export function createMmdbReader(buffer) {
+  const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+  if (markerAt === -1) throw new Error('Invalid MMDB file: metadata marker not found');
+
+  const metadata = createDecoder(buffer, 0)(markerAt + METADATA_MARKER.length).value;
+  const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+  if (![24, 28, 32].includes(recordSize)) throw new Error(`Unsupported MMDB record size: ${recordSize}`);
+
+  const nodeBytes = (recordSize * 2) / 8;
+  const searchTreeSize = nodeCount * nodeBytes;
+  const decode = createDecoder(buffer, searchTreeSize + DATA_SECTION_SEPARATOR);
+
+  function readRecord(node, bit) {
+    const offset = node * nodeBytes;
+    if (recordSize === 24) {
+      const at = offset + bit * 3;
+      return (buffer[at] << 16) | (buffer[at + 1] << 8) | buffer[at + 2];
+    }
+    if (recordSize === 28) {
+      if (bit === 0) {
+        return ((buffer[offset + 3] & 0xf0) << 20) | (buffer[offset] << 16) | (buffer[offset + 1] << 8) | buffer[offset + 2];
+      }
+      return ((buffer[offset + 3] & 0x0f) << 24) | (buffer[offset + 4] << 16) | (buffer[offset + 5] << 8) | buffer[offset + 6];
+    }
+    return buffer.readUInt32BE(offset + bit * 4);
+  }
+
+  // IPv4 addresses live under ::/96 in IPv6 databases
+  let ipv4Start = 0;
+  if (ipVersion === 6) {
+    for (let i = 0; i < 96 && ipv4Start < nodeCount; i++) ipv4Start = readRecord(ipv4Start, 0);
+  }
+
+  function get(ip) {
+    const bytes = ipToBytes(ip);
+    if (!bytes) throw new Error(`Invalid IP address: ${ip}`);
+    if (bytes.length === 16 && ipVersion === 4) return null;
+
+    let node = bytes.length === 4 ? ipv4Start : 0;
+    const bitCount = bytes.length * 8;
+    for (let i = 0; i < bitCount && node < nodeCount; i++) {
+      const bit = (bytes[i >> 3] >> (7 - (i % 8))) & 1;
+      node = readRecord(node, bit);
+    }
+
+    if (node <= nodeCount) return null;
+    return decode(searchTreeSize + (node - nodeCount)).value;
+  }
+
+  return { metadata, get };
+}
+
+const readers = new Map();
+
+// Readers are cached per path so warm invocations skip the file read
+export function openMmdb(path) {
+  if (!readers.has(path)) readers.set(path, createMmdbReader(readFileSync(path)));
+  return readers.get(path);
+}
@@ -0,0 +1,116 @@
+// /lib/geo/normalize.js - Provider-independent record shapes
+
+// Format any ASN representation (123, '123', 'AS123') as 'AS123'
+export function formatAsn(asn) {
+  if (asn === null || asn === undefined || asn === '') return null;
+  const clean = String(asn).trim().replace(/^AS/i, '');
+  return clean ? `AS${clean}` : null;
+}
+
+// Fields of the geo record, used to report what a provider could not fill
+export const GEO_FIELDS = [
+  'location.continent',
+  'location.country',
+  'location.countryCode',
+  'location.region',
+  'location.city',
+  'location.locality',
+  'location.latitude',
+  'location.longitude',
+  'location.accuracyRadius',
+  'location.confidence',
+  'network.asn',
+  'network.organisation',
+  'network.connectionType',
+  'timezone.name',
+  'confidenceArea'
+];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === 'Unknown' || value === 'unknown' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+export function missingFields(geo) {
+  return GEO_FIELDS.filter(field => isEmpty(field.split('.').reduce((value, key) => value?.[key], geo)));
+}
+
+// Every provider's lookup() resolves to this shape
+export function createGeoRecord(provider, { location = {}, network = {}, timezone = {}, confidenceArea = null, raw = null } = {}) {
+  const city = location.city || 'Unknown';
+  return {
+    provider,
+    location: {
+      continent: location.continent || 'Unknown',
+      country: location.country || 'Unknown',
+      countryCode: location.countryCode || 'Unknown',
+      region: location.region || 'Unknown',
+      city,
+      locality: location.locality || city,
+      latitude: location.latitude ?? null,
+      longitude: location.longitude ?? null,
+      accuracyRadius: location.accuracyRadius || null,
+      confidence: location.confidence || 'unknown'
+    },
+    network: {
+      asn: network.asn || null,
+      organisation: network.organisation || null,
+      connectionType: network.connectionType || 'Unknown'
+    },
+    timezone: {
+      name: timezone.name || 'Unknown'
+    },
+    confidenceArea,
+    raw
+  };
+}
+
+// What a report is about: a visit, a reserved (non-routable) address, a
+// request that failed or upstream schema drift (event.drift, see
+// ./drift.js); notification routing and templates read it
+export const VISIT_EVENT = { kind: 'visit', range: null, error: null };
+
+// Build the mainData object the handlers respond with and notify about
+export function buildMainData({
+  ip,
+  userAgent,
+  geo,
+  asnData = {},
+  confidenceInfo,
+  requestId = null,
+  consent = null,
+  event = VISIT_EVENT,
+  timestamp = new Date().toISOString()
+}) {
+  const asnInfo = asnData || {};
+  const organisation = asnInfo.organisation || geo.network.organisation || 'Unknown';
+
+  return {
+    ip,
+    requestId,
+    consent,
+    event: { ...VISIT_EVENT, ...event },
+    timestamp,
+    userAgent,
+    location: { ...geo.location },
+    network: {
+      asn: asnInfo.asn || formatAsn(geo.network.asn) || 'Unknown',
+      organisation,
+      registry: asnInfo.registry || 'Unknown',
+      registeredCountry: asnInfo.registeredCountryName || 'Unknown',
+      registrationDate: asnInfo.registrationLastChange || 'Unknown',
+      totalIpv4Addresses: asnInfo.totalIpv4Addresses || 0,
+      totalIpv6Prefixes: asnInfo.totalIpv6Prefixes || 0,
+      rank: asnInfo.rankText || 'Unknown',
+      connectionType: geo.network.connectionType,
+      isp: organisation
+    },
+    timezone: { ...geo.timezone },
+    confidenceArea: {
+      hasData: confidenceInfo?.hasData || false,
+      pointCount: confidenceInfo?.pointCount || 0,
+      validPoints: confidenceInfo?.validPointCount || 0,
+      error: confidenceInfo?.error || null
+    }
+  };
+}
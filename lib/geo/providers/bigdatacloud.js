@@ -0,0 +1,126 @@
+// /lib/geo/providers/bigdatacloud.js - BigDataCloud ip-geolocation-full / asn-info-full
+import { GEO_FIELDS, createGeoRecord, formatAsn } from '../normalize.js';
+import { checkSchema, readPath } from '../schema.js';
+
+// Places the ASN has been seen in ip-geolocation-full responses
+export const ASN_PATHS = [
+  'autonomousSystemNumber',
+  'asn',
+  'asnNumeric',
+  'network.autonomousSystemNumber',
+  'network.asn',
+  'network.asnNumeric',
+  'network.carriers[0].asn',
+  'network.carriers[0].asnNumeric'
+];
+
+// What each endpoint is expected to send, for the fields we read (see ../schema.js)
+export const RESPONSE_SCHEMAS = {
+  'ip-geolocation-full': [
+    { path: 'country.name', type: 'string' },
+    { path: 'country.isoAlpha2', type: 'string' },
+    { path: 'location.continent', type: 'string' },
+    { path: 'location.principalSubdivision', type: 'string', optional: true },
+    { path: 'location.city', type: 'string', optional: true },
+    { path: 'location.localityName', type: 'string', optional: true },
+    { path: 'location.latitude', type: 'number' },
+    { path: 'location.longitude', type: 'number' },
+    { path: 'location.accuracyRadius', type: 'number', optional: true },
+    { path: 'location.timeZone.ianaTimeId', type: 'string' },
+    { path: 'network.organisation', type: 'string', alternatives: ['network.carrier.name'] },
+    { path: 'network.connectionType', type: 'string', optional: true },
+    { path: 'network.carriers[0].asn', type: ['string', 'number'], alternatives: ASN_PATHS.filter(path => path !== 'network.carriers[0].asn') },
+    { path: 'confidence', type: 'string' },
+    { path: 'confidenceArea', type: 'array', items: 'array' }
+  ],
+  'asn-info-full': [
+    { path: 'asn', type: 'string' },
+    { path: 'asnNumeric', type: 'number', optional: true },
+    { path: 'organisation', type: 'string' },
+    { path: 'registry', type: 'string' },
+    { path: 'registeredCountryName', type: 'string' },
+    { path: 'registrationLastChange', type: 'string', optional: true },
+    { path: 'totalIpv4Addresses', type: 'number', optional: true },
+    { path: 'totalIpv6Prefixes', type: 'number', optional: true },
+    { path: 'rankText', type: 'string', optional: true }
+  ]
+};
+
+export function extractAsnNumber(ipData) {
+  for (const path of ASN_PATHS) {
+    const value = readPath(ipData, path);
+    if (value) return { value, path };
+  }
+  return null;
+}
+
+async function getJson(url, signal) {
+  const response = await fetch(url, { signal });
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`API error: ${response.status}`);
+    error.status = response.status;
+    error.body = text.substring(0, 200);
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+export function normalizeIpData(ipData) {
+  const asn = extractAsnNumber(ipData);
+  return createGeoRecord('bigdatacloud', {
+    location: {
+      continent: ipData?.location?.continent,
+      country: ipData?.country?.name,
+      countryCode: ipData?.country?.isoAlpha2,
+      region: ipData?.location?.principalSubdivision,
+      city: ipData?.location?.city,
+      locality: ipData?.location?.localityName,
+      latitude: ipData?.location?.latitude || null,
+      longitude: ipData?.location?.longitude || null,
+      accuracyRadius: ipData?.location?.accuracyRadius,
+      confidence: ipData?.confidence
+    },
+    network: {
+      asn: asn ? asn.value : null,
+      organisation: ipData?.network?.organisation || ipData?.network?.carrier?.name,
+      connectionType: ipData?.network?.connectionType
+    },
+    timezone: {
+      name: ipData?.location?.timeZone?.ianaTimeId
+    },
+    confidenceArea: ipData?.confidenceArea || null,
+    raw: ipData
+  });
+}
+
+// onDrift({ provider, endpoint, drift }) hears about every live response
+// that doesn't match its schema (see ../drift.js)
+export function createBigDataCloudProvider({ apiKey, baseUrl = 'https://api-bdc.net/data', language = 'en', onDrift = null } = {}) {
+  function check(endpoint, body) {
+    const drift = checkSchema(RESPONSE_SCHEMAS[endpoint], body);
+    if (drift.length && onDrift) onDrift({ provider: 'bigdatacloud', endpoint, drift });
+    return body;
+  }
+
+  return {
+    name: 'bigdatacloud',
+
+    available: !!apiKey,
+
+    fields: GEO_FIELDS,
+
+    async lookup(ip, { signal } = {}) {
+      const url = `${baseUrl}/ip-geolocation-full?ip=${encodeURIComponent(ip)}&localityLanguage=${language}&key=${apiKey}`;
+      const ipData = check('ip-geolocation-full', await getJson(url, signal));
+      return normalizeIpData(ipData);
+    },
+
+    async lookupAsn(asn, { signal } = {}) {
+      const formatted = formatAsn(asn);
+      if (!formatted) return null;
+      const url = `${baseUrl}/asn-info-full?asn=${formatted}&localityLanguage=${language}&key=${apiKey}`;
+      return check('asn-info-full', await getJson(url, signal));
+    }
+  };
+}
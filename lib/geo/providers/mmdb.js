@@ -0,0 +1,66 @@
+// /lib/geo/providers/mmdb.js - Offline lookups from MaxMind-format City / ASN databases
+import { openMmdb } from '../mmdb.js';
+import { createGeoRecord } from '../normalize.js';
+
+function name(entity, language) {
+  return entity?.names?.[language] || entity?.names?.en || null;
+}
+
+export function normalizeMmdbRecord(city, asn, language = 'en') {
+  return createGeoRecord('mmdb', {
+    location: {
+      continent: name(city?.continent, language),
+      country: name(city?.country, language),
+      countryCode: city?.country?.iso_code,
+      region: name(city?.subdivisions?.[0], language),
+      city: name(city?.city, language),
+      latitude: city?.location?.latitude,
+      longitude: city?.location?.longitude,
+      accuracyRadius: city?.location?.accuracy_radius
+    },
+    network: {
+      asn: asn?.autonomous_system_number || null,
+      organisation: asn?.autonomous_system_organization || null,
+      connectionType: city?.traits?.connection_type
+    },
+    timezone: {
+      name: city?.location?.time_zone
+    },
+    raw: { city, asn }
+  });
+}
+
+export function createMmdbProvider({ cityPath, asnPath, language = 'en' } = {}) {
+  return {
+    name: 'mmdb',
+
+    available: !!(cityPath || asnPath),
+
+    fields: [
+      ...(cityPath ? [
+        'location.continent',
+        'location.country',
+        'location.countryCode',
+        'location.region',
+        'location.city',
+        'location.locality',
+        'location.latitude',
+        'location.longitude',
+        'location.accuracyRadius',
+        'timezone.name'
+      ] : []),
+      ...(asnPath ? ['network.asn', 'network.organisation'] : [])
+    ],
+
+    async lookup(ip) {
+      const city = cityPath ? openMmdb(cityPath).get(ip) : null;
+      const asn = asnPath ? openMmdb(asnPath).get(ip) : null;
+      if (!city && !asn) {
+        const error = new Error(`No MMDB record for ${ip}`);
+        error.status = 404;
+        throw error;
+      }
+      return normalizeMmdbRecord(city, asn, language);
+    }
+  };
+}
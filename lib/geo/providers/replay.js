@@ -0,0 +1,45 @@
+// /lib/geo/providers/replay.js - Recorded BigDataCloud responses served back without network access
+//
+// Answers from the fixtures in GEO_REPLAY_DIR (see ../fixtures.js) through
+// the same normalization as the live provider. An address without a
+// recording of its own falls back to one for its network, which is what
+// anonymized fixtures are keyed by.
+import { GEO_FIELDS, formatAsn } from '../normalize.js';
+import { indexFixtures, networkAddress, readFixtures } from '../fixtures.js';
+import { parseIp } from '../../net/ip.js';
+import { normalizeIpData } from './bigdatacloud.js';
+
+function notRecorded(endpoint, key) {
+  const error = new Error(`No recorded ${endpoint} response for ${key}`);
+  error.status = 404;
+  return error;
+}
+
+export function createReplayProvider({ dir } = {}) {
+  // Read on every lookup so fixtures recorded or edited meanwhile are picked up
+  const load = async () => indexFixtures(await readFixtures(dir));
+
+  return {
+    name: 'replay',
+
+    available: !!dir,
+
+    fields: GEO_FIELDS,
+
+    async lookup(ip) {
+      const address = parseIp(ip)?.address || String(ip);
+      const fixtures = await load();
+      const fixture = fixtures.get('ip-geolocation-full', address) || fixtures.get('ip-geolocation-full', networkAddress(address));
+      if (!fixture) throw notRecorded('ip-geolocation-full', address);
+      return { ...normalizeIpData(fixture.response), provider: 'replay' };
+    },
+
+    async lookupAsn(asn) {
+      const formatted = formatAsn(asn);
+      if (!formatted) return null;
+      const fixture = (await load()).get('asn-info-full', formatted);
+      if (!fixture) throw notRecorded('asn-info-full', formatted);
+      return fixture.response;
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// /lib/geo/providers/vercel.js - Zero-cost lookups from Vercel's x-vercel-ip-* request headers
+import { createGeoRecord } from '../normalize.js';
+
+const CONTINENTS = {
+  AF: 'Africa',
+  AN: 'Antarctica',
+  AS: 'Asia',
+  EU: 'Europe',
+  NA: 'North America',
+  OC: 'Oceania',
+  SA: 'South America'
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function header(headers, name) {
+  const value = headers?.[name];
+  return (Array.isArray(value) ? value[0] : value)?.toString().trim() || null;
+}
+
+// Vercel URL-encodes non-ASCII city names (e.g. S%C3%A3o%20Paulo)
+export function decodeHeaderValue(value) {
+  if (!value) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function countryName(code) {
+  if (!code) return null;
+  try {
+    return regionNames.of(code.toUpperCase());
+  } catch {
+    return null;
+  }
+}
+
+// Only a plain decimal within range; parseFloat would take '12abc' as 12
+function coordinate(value, limit) {
+  if (!/^[-+]?\d+(\.\d+)?$/.test(value || '')) return null;
+  const parsed = Number(value);
+  return Math.abs(parsed) <= limit ? parsed : null;
+}
+
+export function normalizeVercelHeaders(headers) {
+  const countryCode = header(headers, 'x-vercel-ip-country');
+  const continentCode = header(headers, 'x-vercel-ip-continent');
+  const latitude = coordinate(header(headers, 'x-vercel-ip-latitude'), 90);
+  const longitude = coordinate(header(headers, 'x-vercel-ip-longitude'), 180);
+  // Half a coordinate pair places nobody
+  const located = latitude !== null && longitude !== null;
+  return createGeoRecord('vercel', {
+    location: {
+      continent: CONTINENTS[continentCode?.toUpperCase()],
+      country: countryName(countryCode),
+      countryCode,
+      region: decodeHeaderValue(header(headers, 'x-vercel-ip-country-region')),
+      city: decodeHeaderValue(header(headers, 'x-vercel-ip-city')),
+      latitude: located ? latitude : null,
+      longitude: located ? longitude : null
+    },
+    timezone: {
+      name: header(headers, 'x-vercel-ip-timezone')
+    },
+    raw: Object.fromEntries(
+      Object.entries(headers || {}).filter(([name]) => name.startsWith('x-vercel-ip-'))
+    )
+  });
+}
+
+// The headers describe the connecting client, so the provider is only built
+// per request and only answers for that request's own address
+export function createVercelProvider({ headers } = {}) {
+  return {
+    name: 'vercel',
+
+    available: !!header(headers, 'x-vercel-ip-country'),
+
+    // Free and bound to one request; never worth caching
+    cacheable: false,
+
+    fields: [
+      'location.continent',
+      'location.country',
+      'location.countryCode',
+      'location.region',
+      'location.city',
+      'location.locality',
+      'location.latitude',
+      'location.longitude',
+      'timezone.name'
+    ],
+
+    async lookup() {
+      return normalizeVercelHeaders(headers);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// /lib/geo/schema.js - Check a provider response against the fields it is declared to have
+//
+// A schema is a list of field declarations:
+//   { path: 'location.latitude', type: 'number' }
+//   { path: 'network.carriers[0].asn', type: ['string', 'number'], alternatives: ['network.asn', …] }
+//   { path: 'confidenceArea', type: 'array', items: 'array' }
+//   { path: 'location.city', type: 'string', optional: true }
+// `type` is one or more of string, number, boolean, object, array and null;
+// `items` is checked against the first element of an array. Optional fields
+// may be absent or null. Alternatives are places the field has been seen
+// instead, so finding it there reports a rename rather than a loss.
+//
+// checkSchema() lists what drifted as { path, kind, expected, actual, foundAt }
+// with kind missing | renamed | retyped.
+
+export const DRIFT_KINDS = ['missing', 'renamed', 'retyped'];
+
+export function readPath(obj, path) {
+  const parts = path.split(/[.[\]]+/).filter(Boolean);
+  let value = obj;
+  for (const part of parts) {
+    if (value && typeof value === 'object' && part in value) {
+      value = value[part];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+export function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export function checkSchema(schema, body) {
+  const drift = [];
+  for (const field of schema) {
+    const expected = [].concat(field.type);
+    const value = readPath(body, field.path);
+
+    if (value === undefined || (value === null && field.optional)) {
+      const foundAt = (field.alternatives || []).find(path => readPath(body, path) !== undefined);
+      if (foundAt) drift.push({ path: field.path, kind: 'renamed', expected, actual: null, foundAt });
+      else if (!field.optional) drift.push({ path: field.path, kind: 'missing', expected, actual: null, foundAt: null });
+      continue;
+    }
+
+    const actual = typeOf(value);
+    if (!expected.includes(actual)) {
+      drift.push({ path: field.path, kind: 'retyped', expected, actual, foundAt: null });
+    } else if (field.items && actual === 'array' && value.length && !([].concat(field.items)).includes(typeOf(value[0]))) {
+      drift.push({ path: `${field.path}[0]`, kind: 'retyped', expected: [].concat(field.items), actual: typeOf(value[0]), foundAt: null });
+    }
+  }
+  return drift;
+}
+
+// One line for a drifted field: "network.asn renamed to network.carriers[0].asn"
+export function describeDrift({ path, kind, expected, actual, foundAt }) {
+  if (kind === 'renamed') return `${path} renamed to ${foundAt}`;
+  if (kind === 'retyped') return `${path} is ${actual}, expected ${expected.join(' or ')}`;
+  return `${path} missing`;
+}
@@ -0,0 +1,22 @@
+// /lib/http/body.js - Request body helpers shared by the API handlers
+
+// Vercel parses JSON bodies already; plain Node hands over a string. Always
+// an object, so `null`, arrays and other valid JSON come back as {}
+export function parseJsonBody(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return {};
+    }
+  }
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+// Raw text of a non-JSON body (CSV, NDJSON); Vercel may hand over a Buffer
+export function textBody(body) {
+  if (body === undefined || body === null) return '';
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return typeof body === 'string' ? body : '';
+}
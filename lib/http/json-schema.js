@@ -0,0 +1,71 @@
+// /lib/http/json-schema.js - The JSON Schema subset our response contracts use
+//
+// Supports type (one or a list, including integer and null), enum, const,
+// properties, required, additionalProperties (boolean or schema), items,
+// anyOf, oneOf, minimum and $ref to '#/$defs/…' within the same document.
+// Anything else in a schema is ignored, so keep contracts to this subset.
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  const target = ref.substring(2).split('/').reduce((node, key) => node?.[key], root);
+  if (!target) throw new Error(`Unresolved $ref: ${ref}`);
+  return target;
+}
+
+function check(schema, value, at, root, problems) {
+  if (schema.$ref) return check(resolveRef(root, schema.$ref), value, at, root, problems);
+
+  if (schema.type && ![].concat(schema.type).some(type => typeMatches(type, value))) {
+    problems.push(`${at}: expected ${[].concat(schema.type).join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+    return;
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    problems.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    problems.push(`${at}: must be at least ${schema.minimum}`);
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!schema[keyword]) continue;
+    const matching = schema[keyword].filter(option => !validate(option, value, { at, root }).length).length;
+    if (keyword === 'anyOf' ? !matching : matching !== 1) {
+      problems.push(`${at}: must match ${keyword === 'anyOf' ? 'at least one' : 'exactly one'} of ${schema[keyword].length} schemas (matched ${matching})`);
+    }
+  }
+
+  if (typeMatches('object', value)) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) problems.push(`${at}.${name}: required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (schema.properties?.[name]) check(schema.properties[name], item, `${at}.${name}`, root, problems);
+      else if (schema.additionalProperties === false) problems.push(`${at}.${name}: unknown property`);
+      else if (typeof schema.additionalProperties === 'object') check(schema.additionalProperties, item, `${at}.${name}`, root, problems);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, `${at}[${index}]`, root, problems));
+  }
+}
+
+// Every way value breaks the schema as 'path: problem', [] when it conforms
+export function validate(schema, value, { at = '$', root = schema } = {}) {
+  const problems = [];
+  check(schema, value, at, root, problems);
+  return problems;
+}
@@ -0,0 +1,98 @@
+// /lib/http/log-contract.js - The versioned /api/log response
+//
+// Each version is pinned by a JSON Schema in public/schemas/log-v<n>.json
+// (served at /schemas/log-v<n>.json):
+//   v1  the original shape and still the default; unknown values are
+//       'Unknown' and Discord's per-section results sit under `webhooks`
+//   v2  unknown values are null, the timezone comes with its UTC offset and
+//       the request id is included; Discord reports under `notifications`
+//       like every other destination
+// A client picks one with /api/v<n>/log (?version=n) or an X-Api-Version
+// header; the path wins. The `debug` block is only added for an admin who
+// asks for it (?debug=1 with the admin bearer token). Failure bodies are the
+// same in every version.
+
+export const LOG_VERSIONS = [1, 2];
+export const DEFAULT_LOG_VERSION = 1;
+export const VERSION_HEADER = 'x-api-version';
+
+// Resolves to { version } or, for a version we don't serve, { status, error }
+export function requestedLogVersion(req) {
+  const requested = req.query?.version ?? req.headers[VERSION_HEADER];
+  if (requested === undefined || requested === '') return { version: DEFAULT_LOG_VERSION };
+  const version = Number(String(requested).trim().replace(/^v/i, ''));
+  if (!LOG_VERSIONS.includes(version)) {
+    return { status: 400, error: `Unsupported API version "${requested}" (expected ${LOG_VERSIONS.join(' or ')})` };
+  }
+  return { version };
+}
+
+// 'America/Los_Angeles' → 'UTC-07:00' (or -08:00, depending on the date)
+export function utcOffset(timeZone, date = new Date()) {
+  if (!timeZone || timeZone === 'Unknown') return null;
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName').value;
+    return name === 'GMT' ? 'UTC+00:00' : name.replace('GMT', 'UTC');
+  } catch {
+    return null;
+  }
+}
+
+// 'Unknown' placeholders as null, for v2
+function knownValues(record) {
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [
+    key,
+    value === 'Unknown' || value === 'unknown' || value === undefined ? null : value
+  ]));
+}
+
+function confidenceSummary(confidenceInfo) {
+  return {
+    hasData: confidenceInfo.hasData,
+    totalPoints: confidenceInfo.pointCount,
+    validPoints: confidenceInfo.validPointCount,
+    bounds: confidenceInfo.bounds,
+    statistics: confidenceInfo.statistics,
+    error: confidenceInfo.error
+  };
+}
+
+// The success body for a version. `visible` is the response view from
+// destinationView(); debug is null unless an admin asked for it.
+export function logResponse(version, { requestId, visible, ipSource, consent, privacy, lookup, webhooks, notifications, debug = null }) {
+  const { mainData, confidenceInfo } = visible;
+  const shared = { ip: mainData.ip, ipSource, consent, privacy, lookup };
+
+  if (version === 1) {
+    return {
+      success: true,
+      data: {
+        ...shared,
+        location: mainData.location,
+        network: mainData.network,
+        confidenceArea: confidenceSummary(confidenceInfo),
+        ...(debug ? { debug } : {})
+      },
+      webhooks,
+      notifications
+    };
+  }
+
+  const timezone = knownValues(mainData.timezone);
+  return {
+    success: true,
+    version,
+    requestId,
+    data: {
+      ...shared,
+      location: knownValues(mainData.location),
+      network: knownValues(mainData.network),
+      timezone: { name: timezone.name ?? null, utcOffset: utcOffset(timezone.name) },
+      confidenceArea: confidenceSummary(confidenceInfo)
+    },
+    notifications,
+    ...(debug ? { debug } : {})
+  };
+}
@@ -0,0 +1,38 @@
+// /lib/http/negotiate.js - Accept-header content negotiation
+
+// Media ranges from an Accept header, best first: [{ type, q }]
+export function parseAccept(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.split(';').map(piece => piece.trim().toLowerCase());
+      const q = params.find(param => param.startsWith('q='));
+      return { type, q: q ? Number(q.substring(2)) : 1, index };
+    })
+    .filter(range => range.type && Number.isFinite(range.q) && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ type, q }) => ({ type, q }));
+}
+
+function covers(range, type) {
+  if (range === '*/*' || range === type) return true;
+  return range.endsWith('/*') && type.startsWith(range.slice(0, -1));
+}
+
+// The offered media type the client prefers, `fallback` when it accepts
+// anything (or sent no Accept header), null when it accepts none of them.
+// Exact types beat wildcards at the same quality.
+export function negotiate(header, offered, { fallback = offered[0] } = {}) {
+  const ranges = parseAccept(header);
+  if (!ranges.length) return fallback;
+  let best = null;
+  for (const type of offered) {
+    const match = ranges.find(range => covers(range.type, type));
+    if (!match) continue;
+    const exact = match.type === type;
+    const score = match.q + (exact ? 0.0001 : 0);
+    if (!best || score > best.score) best = { type: match.type === '*/*' ? null : type, score };
+  }
+  if (!best) return null;
+  return best.type ?? fallback;
+}
@@ -0,0 +1,86 @@
+// /lib/http/records.js - Address lists in and result rows out as NDJSON or CSV
+//
+// NDJSON input lines are {"ip": "…"} objects or bare JSON strings. CSV input
+// uses the `ip` column when the first row names one, otherwise the first
+// column of every row, which also covers plain one-address-per-line text.
+// Blank lines and lines starting with # are skipped.
+
+export const RECORD_FORMATS = { ndjson: 'application/x-ndjson', csv: 'text/csv' };
+
+// ndjson | csv for a Content-Type, null for anything else
+export function recordFormat(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/x-ndjson' || type === 'application/ndjson' || type === 'application/jsonl') return 'ndjson';
+  if (type === 'text/csv' || type === 'text/plain') return 'csv';
+  return null;
+}
+
+function lines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// One CSV line into fields; quoted fields may hold commas and "" quotes
+export function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// The addresses to look up, in order. Unreadable entries are kept as their
+// raw text so they come back as invalid rows instead of shifting the rest.
+export function parseAddresses(text, format) {
+  if (format === 'ndjson') {
+    return lines(text).map(line => {
+      try {
+        const value = JSON.parse(line);
+        return typeof value === 'string' ? value : String(value?.ip ?? line);
+      } catch {
+        return line;
+      }
+    });
+  }
+  const rows = lines(text).map(parseCsvLine);
+  const column = rows.length ? rows[0].findIndex(name => name.toLowerCase() === 'ip') : -1;
+  return (column === -1 ? rows : rows.slice(1)).map(row => row[Math.max(column, 0)] ?? '');
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows (flat objects sharing their keys) as NDJSON or CSV with a header
+export function formatRecords(rows, format) {
+  if (format === 'ndjson') return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvValue).join(','))
+    .join('\n') + '\n';
+}
@@ -0,0 +1,168 @@
+// /lib/http/server.js - The handlers on plain node:http, for running off Vercel
+//
+// Routes are read from vercel.json's rewrites so both deployments answer on
+// the same paths, including `:param` segments that become query parameters
+// (/api/whoami/:field → ?field=). pages/api/debug-ip.js, which Vercel serves
+// from its own path, is mounted at /api/debug-ip. A destination ending in .js
+// is a handler; anything else is a file sent as-is.
+//
+// Not emulated: the maxDuration limit and the crons. Call /api/outbox-retry
+// and /api/notify-digest from a system timer instead, with
+// `Authorization: Bearer $CRON_SECRET`.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { logger } from '../log/logger.js';
+import { readBody, withVercelHelpers } from './vercel.js';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+const EXTRA_ROUTES = [{ source: '/api/debug-ip', destination: '/pages/api/debug-ip.js' }];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// '/api/whoami/:field' as a function of a pathname to its params, or null
+function compileSource(source) {
+  const names = [];
+  const pattern = source
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${pattern}/?$`);
+  return pathname => {
+    const match = regex.exec(pathname);
+    if (!match) return null;
+    try {
+      return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    } catch {
+      return null;
+    }
+  };
+}
+
+// [{ source, match, file, query }] from <root>/vercel.json plus the extra routes
+export function vercelRoutes(root = ROOT) {
+  const { rewrites = [] } = JSON.parse(readFileSync(join(root, 'vercel.json'), 'utf8'));
+  return [...rewrites, ...EXTRA_ROUTES].map(({ source, destination }) => {
+    const [path, query = ''] = destination.split('?');
+    return { source, match: compileSource(source), file: join(root, path), query };
+  });
+}
+
+// The first route matching the pathname with its rewrite query filled in
+function resolveRoute(routes, pathname) {
+  for (const route of routes) {
+    const params = route.match(pathname);
+    if (!params) continue;
+    const query = route.query.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name] ?? ''));
+    return { route, query: Object.fromEntries(new URLSearchParams(query)) };
+  }
+  return null;
+}
+
+const handlers = new Map();
+function loadHandler(file) {
+  if (!handlers.has(file)) handlers.set(file, import(pathToFileURL(file).href).then(module => module.default));
+  return handlers.get(file);
+}
+
+async function serveFile(req, res, file) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+  const body = await readFile(file);
+  res.setHeader('Content-Type', CONTENT_TYPES[extname(file)] || 'application/octet-stream');
+  return res.status(200).send(body);
+}
+
+// { server, listen(port, host), close() }. close() stops accepting
+// connections and resolves once in-flight requests have finished, cutting
+// off whatever is still running after shutdownGraceMs.
+export function createAppServer({ config, routes = vercelRoutes(), log = logger }) {
+  let closing = null;
+  const active = new Set();
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const found = resolveRoute(routes, url.pathname);
+    if (!found) return res.status(404).json({ success: false, error: 'Not found' });
+
+    // The rewrite's parameters win over the request's own
+    req.query = { ...Object.fromEntries(url.searchParams), ...found.query };
+    if (!found.route.file.endsWith('.js')) return serveFile(req, res, found.route.file);
+
+    req.body = await readBody(req, { limit: config.bodyLimitBytes });
+    const handler = await loadHandler(found.route.file);
+    return handler(req, res);
+  }
+
+  const server = createServer(async (req, res) => {
+    const started = Date.now();
+    withVercelHelpers(res);
+    if (closing) res.setHeader('Connection', 'close');
+    active.add(res);
+    res.on('close', () => active.delete(res));
+    // Path only: query strings may carry addresses
+    const path = req.url.split('?')[0];
+    res.on('finish', () => {
+      log.info('http.request', {
+        requestId: res.getHeader('X-Request-Id'),
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs: Date.now() - started
+      });
+    });
+
+    try {
+      await handle(req, res);
+    } catch (err) {
+      log.error('http.error', { method: req.method, path, error: err });
+      if (res.headersSent) return res.destroy();
+      if (err.status) res.setHeader('Connection', 'close');
+      res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Internal server error' });
+    }
+  });
+
+  return {
+    server,
+    // Resolves to the bound { address, port }; port 0 picks a free one
+    listen(port = config.port, host = config.host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host || undefined, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+    close() {
+      closing ||= new Promise(resolve => {
+        const timer = setTimeout(() => {
+          log.warn('server.shutdown_forced', { graceMs: config.shutdownGraceMs });
+          server.closeAllConnections();
+        }, config.shutdownGraceMs);
+        timer.unref();
+        // Keep-alive connections end with the response they are serving
+        for (const res of active) if (!res.headersSent) res.setHeader('Connection', 'close');
+        server.close(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+        server.closeIdleConnections();
+      });
+      return closing;
+    }
+  };
+}
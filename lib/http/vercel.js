@@ -0,0 +1,70 @@
+// /lib/http/vercel.js - The request and response helpers Vercel's Node runtime adds, for plain node:http
+//
+// Handlers call res.status().json() / send() and read req.query and a
+// parsed req.body; outside Vercel these have to be supplied by the server.
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Adds status(), json() and send() to a node:http response
+export function withVercelHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  // Objects go out as JSON, Buffers as octet-stream and strings as HTML
+  // unless the handler already set a Content-Type
+  res.send = body => {
+    if (body === null || body === undefined) {
+      res.end();
+      return res;
+    }
+    if (Buffer.isBuffer(body)) {
+      if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+    } else if (typeof body === 'object') {
+      return res.json(body);
+    } else {
+      body = String(body);
+      if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    }
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+// The body as Vercel hands it over: JSON and form bodies parsed, other text/*
+// as a string, anything else as a Buffer, and null when there is none.
+// Throws with .status 413 past `limit` bytes and 400 on malformed JSON.
+export async function readBody(req, { limit }) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw httpError(413, `Request body larger than ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  if (!size) return null;
+
+  const raw = Buffer.concat(chunks);
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/json' || type.endsWith('+json')) {
+    try {
+      return JSON.parse(raw.toString('utf8'));
+    } catch {
+      throw httpError(400, 'Invalid JSON body');
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+  if (type.startsWith('text/')) return raw.toString('utf8');
+  return raw;
+}
@@ -0,0 +1,72 @@
+// /lib/log/logger.js - Structured JSON logger with levels and request correlation
+//
+// Every call writes one JSON line: { time, level, msg, requestId?, ...fields }.
+// Messages and fields are redacted before they are written. LOG_LEVEL picks
+// the minimum level (debug | info | warn | error, default info).
+import { randomUUID } from 'node:crypto';
+import { redact, redactString, secretValues } from './redact.js';
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SINKS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+function levelFrom(value) {
+  const name = (value || '').toString().trim().toLowerCase();
+  return LEVELS[name] ? name : 'info';
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+// Without an explicit level, LOG_LEVEL is read on every call. `output` is
+// where lines go (console by default; the CLI keeps stdout for results).
+export function createLogger({ level, bindings = {}, output = console } = {}) {
+  const currentLevel = () => levelFrom(level ?? process.env.LOG_LEVEL);
+  const isEnabled = levelName => LEVELS[levelName] >= LEVELS[currentLevel()];
+
+  function write(levelName, msg, fields = {}) {
+    if (!isEnabled(levelName)) return;
+    const secrets = secretValues();
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: redactString(msg, secrets),
+      ...redact(bindings, secrets),
+      ...redact(
+        Object.fromEntries(
+          Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+        ),
+        secrets
+      )
+    };
+    output[SINKS[levelName]](JSON.stringify(entry));
+  }
+
+  return {
+    bindings,
+    isEnabled,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: extra => createLogger({ level, bindings: { ...bindings, ...extra }, output })
+  };
+}
+
+export const logger = createLogger();
+
+const SAFE_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Reuse an upstream request ID when it's well-formed, otherwise mint one
+export function requestIdFor(req) {
+  const incoming = (req.headers?.['x-request-id'] || '').toString().trim();
+  return SAFE_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+}
+
+// Logger bound to this request; also sets the X-Request-Id response header
+export function requestLogger(req, res) {
+  const requestId = requestIdFor(req);
+  res.setHeader('X-Request-Id', requestId);
+  return { requestId, log: logger.child({ requestId }) };
+}
@@ -0,0 +1,69 @@
+// /lib/log/redact.js - Strip secrets from log messages and objects
+
+export const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SENSITIVE_KEYS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|key|token|access[-_]?token|secret|password|webhook[-_]?url|signature)$/i;
+
+// Environment variables whose values are secrets wherever they show up.
+// Named one by one: settings such as CACHE_KEY_MODE=prefix are not secrets,
+// and scrubbing their values would mask that word in every log line.
+const SECRET_ENV = /^(BIGDATACLOUD_API_KEY|ANONYMIZE_HMAC_KEY|ADMIN_TOKEN|KV_REST_API_TOKEN|MATRIX_ACCESS_TOKEN|SMTP_PASSWORD|[A-Z0-9_]+_SECRET|[A-Z0-9_]+_WEBHOOK_URL)$/;
+
+const PATTERNS = [
+  // Discord / Slack webhook URLs carry their credential in the path
+  [/https?:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\/[^\s"'<>]+/gi, `https://discord.com/api/webhooks/${REDACTED}`],
+  [/https?:\/\/hooks\.slack\.com\/services\/[^\s"'<>]+/gi, `https://hooks.slack.com/services/${REDACTED}`],
+  // Credentials in query strings
+  [/([?&](?:key|api_key|apikey|token|access_token|secret|password|sig|signature)=)[^&\s"'<>]+/gi, `$1${REDACTED}`],
+  // Authorization schemes
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, `$1 ${REDACTED}`],
+  // Serialized headers: "cookie": "...", authorization: ...
+  [/("?(?:authorization|proxy-authorization|cookie|set-cookie|x-api-key)"?\s*[:=]\s*)("[^"]*"|[^\s,}]+)/gi, `$1"${REDACTED}"`]
+];
+
+export function secretValues(env = process.env) {
+  const values = Object.entries(env)
+    .filter(([name]) => SECRET_ENV.test(name))
+    .map(([, value]) => value);
+  // API_TOKENS is name:scopes:secret,… and only the secrets are secret
+  const apiTokens = String(env.API_TOKENS || '').split(',').map(entry => entry.split(':').slice(2).join(':').trim());
+  return [...values, ...apiTokens].filter(value => typeof value === 'string' && value.length >= 6);
+}
+
+export function redactString(text, secrets = secretValues()) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+// Deep copy with sensitive keys masked and every string scrubbed
+export function redact(value, secrets = secretValues(), seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value, secrets);
+  if (value instanceof Error) {
+    const error = new Error(redactString(value.message, secrets));
+    error.name = value.name;
+    error.stack = value.stack ? redactString(value.stack, secrets) : undefined;
+    return error;
+  }
+  if (!value || typeof value !== 'object') return value;
+  // seen holds the current path only, so a value shared by two branches is copied twice
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  try {
+    if (Array.isArray(value)) return value.map(item => redact(item, secrets, seen));
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_KEYS.test(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, secrets, seen)
+      ])
+    );
+  } finally {
+    seen.delete(value);
+  }
+}
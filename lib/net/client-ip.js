@@ -0,0 +1,110 @@
+// /lib/net/client-ip.js - Trusted-proxy-aware client IP resolution
+//
+// Forwarding headers are only believed when the connection comes from a
+// trusted proxy. The chain is then walked right to left (nearest hop first),
+// skipping trusted proxies, and the first untrusted hop is the client.
+import { cidrContains, parseCidr, parseIp } from './ip.js';
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  if (Array.isArray(value)) return value.join(',');
+  return value === undefined || value === null ? '' : value.toString();
+}
+
+// Split on commas that aren't inside a quoted string
+function splitOutsideQuotes(value, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Strip quotes, IPv6 brackets and ports from a node identifier and return the
+// canonical address: 192.0.2.60, "192.0.2.60:8080", "[2001:db8::17]:4711"
+export function parseNodeIdentifier(value) {
+  let node = (value || '').trim().replace(/^"(.*)"$/, '$1').trim();
+  if (node.startsWith('[')) {
+    const end = node.indexOf(']');
+    if (end === -1) return null;
+    node = node.substring(1, end);
+  } else if (/^[\d.]+:\d+$/.test(node)) {
+    node = node.substring(0, node.lastIndexOf(':'));
+  }
+  return parseIp(node)?.address || null;
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8:cafe::17]:4711"
+export function parseForwardedHeader(value) {
+  return splitOutsideQuotes(value, ',').map(element => {
+    const pairs = splitOutsideQuotes(element, ';');
+    const forPair = pairs.find(pair => /^for\s*=/i.test(pair));
+    if (!forPair) return null;
+    return forPair.substring(forPair.indexOf('=') + 1).trim();
+  });
+}
+
+export function parseForwardedFor(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+export function createTrustChecker(trustedProxies = []) {
+  const ranges = trustedProxies.map(parseCidr);
+  return ip => !!ip && ranges.some(range => cidrContains(range, ip));
+}
+
+// Resolves to { ip, method, peer, chain }. ip is null when nothing usable was
+// found; method says which source the address came from.
+export function resolveClientIp(req, { trustedProxies = [], trustedHeader = null } = {}) {
+  const headers = req.headers || {};
+  const peer = parseNodeIdentifier(req.socket?.remoteAddress || '');
+
+  // A header set by the hosting platform itself (e.g. x-vercel-forwarded-for)
+  if (trustedHeader) {
+    const entries = parseForwardedFor(headerValue(headers, trustedHeader));
+    const ip = parseNodeIdentifier(entries[0]);
+    if (ip) return { ip, method: `header:${trustedHeader}`, peer, chain: entries };
+  }
+
+  // Without a peer nothing vouches for the forwarding headers: any client could have set them
+  if (!peer) return { ip: null, method: 'none', peer, chain: [] };
+
+  const isTrusted = createTrustChecker(trustedProxies);
+  if (!isTrusted(peer)) {
+    return { ip: peer, method: 'socket', peer, chain: [] };
+  }
+
+  let method = null;
+  let chain = [];
+  const forwarded = headerValue(headers, 'forwarded');
+  const xForwardedFor = headerValue(headers, 'x-forwarded-for');
+  const xRealIp = headerValue(headers, 'x-real-ip');
+  if (forwarded) {
+    method = 'forwarded';
+    chain = parseForwardedHeader(forwarded);
+  } else if (xForwardedFor) {
+    method = 'x-forwarded-for';
+    chain = parseForwardedFor(xForwardedFor);
+  } else if (xRealIp) {
+    method = 'x-real-ip';
+    chain = [xRealIp.trim()];
+  }
+
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const ip = parseNodeIdentifier(chain[i]);
+    // An obfuscated or garbled hop ends the walk: nothing left of it can be trusted
+    if (!ip) return { ip: null, method: `${method}:unparseable`, peer, chain };
+    if (!isTrusted(ip) || i === 0) return { ip, method, peer, chain };
+  }
+
+  return { ip: peer, method: 'socket', peer, chain };
+}
@@ -0,0 +1,182 @@
+// /lib/net/ip.js - IP address parsing, canonical formatting and range classification
+
+function ipv4ToBytes(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  // Leading zeros are rejected: some parsers read them as octal
+  if (parts.some(part => !/^(0|[1-9]\d{0,2})$/.test(part))) return null;
+  const bytes = parts.map(Number);
+  if (bytes.some(b => b > 255)) return null;
+  return bytes;
+}
+
+function ipv6ToBytes(ip) {
+  let address = ip.replace(/%.*$/, '');
+  let tail = [];
+  const lastColon = address.lastIndexOf(':');
+  if (address.includes('.', lastColon)) {
+    tail = ipv4ToBytes(address.substring(lastColon + 1));
+    if (!tail) return null;
+    address = address.substring(0, lastColon + 1) + '0:0';
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+  if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+  if (halves.length === 2 && missing === 0) return null;
+
+  const groups = [...head, ...Array(missing).fill('0'), ...rest];
+  const bytes = [];
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  }
+  if (tail.length) bytes.splice(12, 4, ...tail);
+  return bytes;
+}
+
+// 4 bytes for IPv4, 16 for IPv6, null when the string isn't an address
+export function ipToBytes(ip) {
+  const value = (ip || '').toString().trim();
+  if (!value) return null;
+  return value.includes(':') ? ipv6ToBytes(value) : ipv4ToBytes(value);
+}
+
+function isIpv4Mapped(bytes) {
+  return bytes.length === 16 && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) is treated as the IPv4 address it carries
+function comparableBytes(bytes) {
+  return isIpv4Mapped(bytes) ? bytes.slice(12) : bytes;
+}
+
+// RFC 5952 text form: lowercase, no leading zeros, longest zero run as '::'
+export function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push((bytes[i] << 8) | bytes[i + 1]);
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+export function formatIp(bytes) {
+  return bytes.length === 4 ? bytes.join('.') : formatIpv6(bytes);
+}
+
+// { address, version, bytes, zone } with the address in canonical form, or
+// null when the value isn't an IP. Zone IDs (fe80::1%eth0) are split off and
+// IPv4-mapped IPv6 addresses come back as plain IPv4.
+export function parseIp(value) {
+  const text = (value || '').toString().trim();
+  const zoneAt = text.includes(':') ? text.indexOf('%') : -1;
+  const zone = zoneAt === -1 ? null : text.substring(zoneAt + 1) || null;
+  let bytes = ipToBytes(zoneAt === -1 ? text : text.substring(0, zoneAt));
+  if (!bytes) return null;
+  bytes = comparableBytes(bytes);
+  return {
+    address: formatIp(bytes),
+    version: bytes.length === 4 ? 4 : 6,
+    bytes,
+    zone
+  };
+}
+
+// Network containing the address, as CIDR text: ipPrefix('1.2.3.4', 24, 48) -> '1.2.3.0/24'
+export function ipPrefix(value, v4Bits = 24, v6Bits = 48) {
+  const parsed = parseIp(value);
+  if (!parsed) return null;
+  const bits = parsed.version === 4 ? v4Bits : v6Bits;
+  const masked = parsed.bytes.map((byte, i) => {
+    const keep = Math.max(0, Math.min(8, bits - i * 8));
+    return byte & (0xff << (8 - keep)) & 0xff;
+  });
+  return `${formatIp(masked)}/${bits}`;
+}
+
+export function isValidIp(value) {
+  return parseIp(value) !== null;
+}
+
+export function parseCidr(cidr) {
+  const [address, prefix] = cidr.toString().trim().split('/');
+  const bytes = ipToBytes(address);
+  if (!bytes) throw new Error(`Invalid CIDR: ${cidr}`);
+  const maxBits = bytes.length * 8;
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) throw new Error(`Invalid CIDR: ${cidr}`);
+  const bits = prefix === undefined ? maxBits : Number(prefix);
+  if (bits > maxBits) throw new Error(`Invalid CIDR: ${cidr}`);
+  return { bytes, bits };
+}
+
+export function cidrContains(range, ip) {
+  const bytes = ipToBytes(ip);
+  if (!bytes) return false;
+  const { bytes: network, bits } = typeof range === 'string' ? parseCidr(range) : range;
+  const candidate = comparableBytes(bytes);
+  if (candidate.length !== network.length) return false;
+
+  for (let i = 0; i < bits; i++) {
+    const mask = 0x80 >> (i % 8);
+    if ((candidate[i >> 3] & mask) !== (network[i >> 3] & mask)) return false;
+  }
+  return true;
+}
+
+// Special-purpose ranges (RFC 6890 and friends) that never geolocate. The
+// first match wins, so a range sits before any range that contains it.
+const RESERVED_RANGES = [
+  ['0.0.0.0/8', 'unspecified'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'cgnat'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'ietf-protocol'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.88.99.0/24', 'relay-anycast'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['255.255.255.255/32', 'broadcast'],
+  ['240.0.0.0/4', 'reserved'],
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['64:ff9b:1::/48', 'private'],
+  ['100::/64', 'discard'],
+  ['2001:db8::/32', 'documentation'],
+  ['3fff::/20', 'documentation'],
+  ['fc00::/7', 'private'],
+  ['fe80::/10', 'link-local'],
+  ['ff00::/8', 'multicast']
+].map(([cidr, label]) => ({ range: parseCidr(cidr), cidr, label }));
+
+// { reserved, label, cidr } - label is null for publicly routable addresses
+export function classifyIp(value) {
+  const parsed = parseIp(value);
+  if (!parsed) return { reserved: true, label: 'invalid', cidr: null };
+  const match = RESERVED_RANGES.find(({ range }) => cidrContains(range, parsed.address));
+  return match
+    ? { reserved: true, label: match.label, cidr: match.cidr }
+    : { reserved: false, label: null, cidr: null };
+}
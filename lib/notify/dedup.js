@@ -0,0 +1,45 @@
+// /lib/notify/dedup.js - At most one instant notification per key (IP, prefix, ASN) and time window
+import { createHash } from 'node:crypto';
+import { ipPrefix, parseIp } from '../net/ip.js';
+
+export const DEDUP_KEYS = ['none', 'ip', 'prefix', 'asn', 'prefix-asn'];
+
+// null when the key mode is none or the visit lacks a part of the key
+export function dedupKey({ ip, asn }, dedupConfig) {
+  const prefix = () => ipPrefix(ip, dedupConfig.prefixV4, dedupConfig.prefixV6);
+  let parts;
+  switch (dedupConfig.key) {
+    case 'ip':
+      parts = [parseIp(ip)?.address];
+      break;
+    case 'prefix':
+      parts = [prefix()];
+      break;
+    case 'asn':
+      parts = [asn];
+      break;
+    case 'prefix-asn':
+      parts = [prefix(), asn];
+      break;
+    default:
+      return null;
+  }
+  if (parts.some(part => !part)) return null;
+  // Hashed, so the stored key never carries an address
+  return `notify:dedup:${createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 32)}`;
+}
+
+// Resolves to { duplicate, key, firstSeenAt }. The first visit for a key
+// claims the window; the check-then-set isn't atomic, so two simultaneous
+// first visits may both notify.
+export async function checkDuplicate(cache, visit, dedupConfig, { now = Date.now } = {}) {
+  const key = dedupKey(visit, dedupConfig);
+  if (!key || !cache) return { duplicate: false, key: null, firstSeenAt: null };
+
+  const { value } = await cache.get(key);
+  if (value) return { duplicate: true, key, firstSeenAt: value.firstSeenAt };
+
+  const firstSeenAt = new Date(now()).toISOString();
+  await cache.set(key, { firstSeenAt }, dedupConfig.windowSeconds);
+  return { duplicate: false, key, firstSeenAt };
+}
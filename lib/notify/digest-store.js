@@ -0,0 +1,108 @@
+// /lib/notify/digest-store.js - Where digest events wait for the next summary: a JSON-lines file or a KV list
+//
+// Store interface: { name, add(event), drain() }. drain() takes every
+// collected event at once and resolves to { events, commit(), rollback(kept) }:
+// commit forgets them after a successful send, rollback puts `kept` (all of
+// them by default) back for the next run and forgets the rest.
+// The file backend only works where every request shares a disk: on Vercel
+// each instance has its own temporary one, so it is refused there.
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir, readFile, rename, unlink } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createKvClient } from '../cache/kv-client.js';
+
+function createFileDigestStore({ path }) {
+  let ready = null;
+
+  async function append(events) {
+    if (!events.length) return;
+    ready = ready || mkdir(dirname(path), { recursive: true });
+    await ready;
+    await appendFile(path, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+  }
+
+  return {
+    name: 'file',
+
+    add: event => append([event]),
+
+    async drain() {
+      // Moving the file aside first means visits arriving mid-send start a new one
+      const draining = `${path}.${process.pid}.${randomUUID()}.draining`;
+      try {
+        await rename(path, draining);
+      } catch (error) {
+        if (error.code === 'ENOENT') return { events: [], commit: async () => {}, rollback: async () => {} };
+        throw error;
+      }
+      const events = (await readFile(draining, 'utf8'))
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            return [];
+          }
+        });
+      return {
+        events,
+        commit: () => unlink(draining).catch(() => {}),
+        rollback: async (kept = events) => {
+          await append(kept);
+          await unlink(draining).catch(() => {});
+        }
+      };
+    }
+  };
+}
+
+function createKvDigestStore({ url, token, timeoutMs, key = 'ip-logger:digest' } = {}) {
+  const command = createKvClient({ url, token, timeoutMs });
+
+  return {
+    name: 'kv',
+
+    async add(event) {
+      await command(['RPUSH', key, JSON.stringify(event)]);
+    },
+
+    async drain() {
+      if (!(await command(['EXISTS', key]))) return { events: [], commit: async () => {}, rollback: async () => {} };
+      const draining = `${key}:draining:${randomUUID()}`;
+      await command(['RENAME', key, draining]);
+      const raw = (await command(['LRANGE', draining, '0', '-1'])) || [];
+      const events = raw.map(item => JSON.parse(item));
+      return {
+        events,
+        commit: () => command(['DEL', draining]),
+        rollback: async (kept = events) => {
+          if (kept.length) await command(['RPUSH', key, ...kept.map(event => JSON.stringify(event))]);
+          await command(['DEL', draining]);
+        }
+      };
+    }
+  };
+}
+
+export function createDigestStore(digestConfig) {
+  switch (digestConfig.backend) {
+    case 'file':
+      if (digestConfig.serverless) return null;
+      return createFileDigestStore({ path: digestConfig.path });
+    case 'kv':
+      if (!digestConfig.kv.url || !digestConfig.kv.token) return null;
+      return createKvDigestStore(digestConfig.kv);
+    default:
+      return null;
+  }
+}
+
+// Why createDigestStore() gives null, for operators
+export function digestDisabledReason(digestConfig) {
+  if (digestConfig.backend === 'file' && digestConfig.serverless) {
+    return 'a file digest is not shared between Vercel instances; set KV_REST_API_URL and KV_REST_API_TOKEN';
+  }
+  if (digestConfig.backend === 'kv') return 'KV_REST_API_URL and KV_REST_API_TOKEN are not set';
+  return `NOTIFY_DIGEST_BACKEND=${digestConfig.backend}`;
+}
@@ -0,0 +1,77 @@
+// /lib/notify/digest.js - Digest mode: visits are collected and summarized once per period
+//
+// Events carry no address or coordinates, only what the summary counts.
+
+export function digestEvent(mainData) {
+  const { location, network } = mainData;
+  return {
+    at: mainData.timestamp,
+    country: location.country || 'Unknown',
+    countryCode: location.countryCode || null,
+    continent: location.continent || null,
+    asn: network.asn || 'Unknown',
+    organisation: network.organisation || 'Unknown',
+    connectionType: network.connectionType || 'Unknown'
+  };
+}
+
+// The visit as routing rules read it (see ./routing.js), so each destination
+// summarizes the visits /api/log would have sent it
+export function digestRouteData(event) {
+  return {
+    location: { countryCode: event.countryCode, continent: event.continent },
+    network: { asn: event.asn, connectionType: event.connectionType }
+  };
+}
+
+// Most frequent first; anything past `top` is folded into one Other row
+function tally(events, keyOf, labelOf, top) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = keyOf(event);
+    const row = counts.get(key) || { key, label: labelOf(event), count: 0 };
+    row.count++;
+    counts.set(key, row);
+  }
+  const rows = [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  if (rows.length <= top) return rows;
+  const other = rows.slice(top).reduce((sum, row) => sum + row.count, 0);
+  return [...rows.slice(0, top), { key: 'other', label: 'Other', count: other }];
+}
+
+export function summarizeDigest(events, { top = 10, now = Date.now() } = {}) {
+  const times = events.map(event => Date.parse(event.at)).filter(Number.isFinite);
+  return {
+    from: times.length ? new Date(Math.min(...times)).toISOString() : null,
+    to: new Date(now).toISOString(),
+    total: events.length,
+    byCountry: tally(events, event => event.countryCode || event.country, event => event.countryCode ? `${event.country} (${event.countryCode})` : event.country, top),
+    byAsn: tally(events, event => event.asn, event => `${event.asn} ${event.organisation}`, top),
+    byConnectionType: tally(events, event => event.connectionType, event => event.connectionType, top)
+  };
+}
+
+export function digestTitle(summary) {
+  return `IP Logger digest: ${summary.total} visit(s)`;
+}
+
+// Titled groups of label/count rows, for notifiers to lay out
+export function digestSections(summary) {
+  return [
+    { title: 'By country', rows: summary.byCountry },
+    { title: 'By ASN', rows: summary.byAsn },
+    { title: 'By connection type', rows: summary.byConnectionType }
+  ];
+}
+
+export function digestPeriod(summary) {
+  return `${summary.from || 'n/a'} to ${summary.to}`;
+}
+
+export function digestText(summary) {
+  const lines = [digestTitle(summary), digestPeriod(summary)];
+  for (const section of digestSections(summary)) {
+    lines.push('', `${section.title}:`, ...section.rows.map(row => `  ${row.label}: ${row.count}`));
+  }
+  return lines.join('\n');
+}
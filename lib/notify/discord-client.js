@@ -0,0 +1,190 @@
+// /lib/notify/discord-client.js - Discord webhook client: embed limits, packing and rate limits
+import { setTimeout as delay } from 'node:timers/promises';
+import { logger } from '../log/logger.js';
+
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+export const DISCORD_LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  authorName: 256,
+  embedsPerMessage: 10,
+  charactersPerMessage: 6000
+};
+
+const ELLIPSIS = '…';
+
+function trim(text, max) {
+  if (text === undefined || text === null) return text;
+  const value = String(text);
+  return value.length > max ? `${value.substring(0, max - ELLIPSIS.length)}${ELLIPSIS}` : value;
+}
+
+// Characters Discord counts towards the 6000 per-message total
+export function embedLength(embed) {
+  return (embed.title || '').length +
+    (embed.description || '').length +
+    (embed.footer?.text || '').length +
+    (embed.author?.name || '').length +
+    (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+// A copy of the embed that fits every per-embed limit. Extra fields are
+// replaced by a note, and fields are dropped from the end until the embed
+// fits inside one message on its own.
+export function fitEmbed(embed) {
+  const fitted = {
+    ...embed,
+    title: trim(embed.title, DISCORD_LIMITS.title),
+    description: trim(embed.description, DISCORD_LIMITS.description),
+    footer: embed.footer ? { ...embed.footer, text: trim(embed.footer.text, DISCORD_LIMITS.footer) } : embed.footer,
+    author: embed.author ? { ...embed.author, name: trim(embed.author.name, DISCORD_LIMITS.authorName) } : embed.author
+  };
+
+  const fields = (embed.fields || []).map(field => ({
+    ...field,
+    // Discord rejects empty names and values
+    name: trim(field.name || '\u200b', DISCORD_LIMITS.fieldName),
+    value: trim(field.value === '' || field.value === undefined || field.value === null ? 'N/A' : field.value, DISCORD_LIMITS.fieldValue)
+  }));
+  // `count` fields in total; when some are left out the last one says how many
+  const firstFields = count => count >= fields.length
+    ? fields
+    : [...fields.slice(0, count - 1), { name: '📝 Note', value: `${fields.length - count + 1} more field(s) not shown`, inline: false }];
+
+  let count = Math.min(fields.length, DISCORD_LIMITS.fields);
+  fitted.fields = firstFields(count);
+  while (count > 1 && embedLength(fitted) > DISCORD_LIMITS.charactersPerMessage) {
+    fitted.fields = firstFields(--count);
+  }
+  if (embedLength(fitted) > DISCORD_LIMITS.charactersPerMessage) {
+    const room = DISCORD_LIMITS.charactersPerMessage - (embedLength(fitted) - (fitted.description || '').length);
+    fitted.description = trim(fitted.description, Math.max(room, 1));
+  }
+  if (!fitted.fields.length) delete fitted.fields;
+  return fitted;
+}
+
+// Greedily pack embeds, in order, into as few messages as the per-message
+// embed and character limits allow. Resolves to arrays of embeds.
+export function packEmbeds(embeds) {
+  const messages = [];
+  let current = [];
+  let length = 0;
+  for (const embed of embeds.map(fitEmbed)) {
+    const size = embedLength(embed);
+    if (current.length && (current.length >= DISCORD_LIMITS.embedsPerMessage || length + size > DISCORD_LIMITS.charactersPerMessage)) {
+      messages.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(embed);
+    length += size;
+  }
+  if (current.length) messages.push(current);
+  return messages;
+}
+
+// How long a 429 asks us to wait, from the body (retry_after, seconds) or the Retry-After header
+async function retryAfterMs(response) {
+  const body = await response.json().catch(() => ({}));
+  const seconds = Number(body.retry_after ?? response.headers.get('retry-after'));
+  return { waitMs: Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : 1000, global: !!body.global };
+}
+
+// Shortest time worth starting another attempt with before the deadline
+const MIN_ATTEMPT_MS = 500;
+
+function deadlineError(attempts) {
+  const error = new Error('Discord API: out of time');
+  error.attempts = attempts;
+  return error;
+}
+
+// A webhook client that honors 429 retry_after (up to maxRetries waits of at
+// most maxRetryWaitMs each) and the X-RateLimit-* headers between messages.
+// Nothing runs past a send's deadline: no wait or retry that would overrun
+// it starts, and each attempt times out by then at the latest.
+export function createDiscordClient({
+  webhookUrl,
+  maxRetries = 2,
+  maxRetryWaitMs = 5000,
+  timeoutMs = 5000,
+  sleep = delay
+} = {}) {
+  let nextAllowedAt = 0;
+
+  // Resolves to { status, attempts }; throws `Discord API: <status>` with
+  // .status, .attempts and, for rate limits, .retryAfterMs, or `Discord API:
+  // out of time` when the deadline leaves no room for an attempt
+  async function post(payload, { log = logger, deadline = Infinity } = {}) {
+    const remaining = () => deadline - Date.now();
+    for (let attempt = 1; ; attempt++) {
+      const waitMs = Math.max(nextAllowedAt - Date.now(), 0);
+      if (waitMs + MIN_ATTEMPT_MS > remaining()) throw deadlineError(attempt - 1);
+      if (waitMs > 0) await sleep(waitMs);
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(Math.min(timeoutMs, remaining()))
+      });
+
+      if (response.headers.get('x-ratelimit-remaining') === '0') {
+        const resetAfter = Number(response.headers.get('x-ratelimit-reset-after'));
+        if (Number.isFinite(resetAfter)) nextAllowedAt = Date.now() + Math.ceil(resetAfter * 1000);
+      }
+
+      if (response.status === 429) {
+        const { waitMs, global } = await retryAfterMs(response);
+        log.warn('webhook.rate_limited', { attempt, retryAfterMs: waitMs, global });
+        if (attempt <= maxRetries && waitMs <= maxRetryWaitMs && waitMs + MIN_ATTEMPT_MS <= remaining()) {
+          nextAllowedAt = Date.now() + waitMs;
+          continue;
+        }
+        const error = new Error('Discord API: 429');
+        error.status = 429;
+        error.attempts = attempt;
+        error.retryAfterMs = waitMs;
+        throw error;
+      }
+
+      log.debug('webhook.response', { status: response.status, attempt });
+      if (!response.ok) {
+        const errorText = await response.text();
+        log.error('webhook.error_response', { status: response.status, body: errorText.substring(0, 200) });
+        const error = new Error(`Discord API: ${response.status}`);
+        error.status = response.status;
+        error.attempts = attempt;
+        throw error;
+      }
+      return { status: response.status, attempts: attempt };
+    }
+  }
+
+  // Packs the embeds and posts each message in order; a failed message
+  // doesn't stop the rest. Resolves to one result per message, with the
+  // positions of the embeds it carried in embedIndexes.
+  async function deliver(embeds, { log = logger, deadline = Infinity } = {}) {
+    const results = [];
+    let offset = 0;
+    for (const [index, batch] of packEmbeds(embeds).entries()) {
+      const embedIndexes = batch.map((_, position) => offset + position);
+      offset += batch.length;
+      const result = { message: index + 1, embedIndexes, sent: false, status: null, attempts: 0, error: null };
+      try {
+        Object.assign(result, await post({ embeds: batch }, { log, deadline }), { sent: true });
+      } catch (error) {
+        Object.assign(result, { status: error.status ?? null, attempts: error.attempts ?? 1, error: error.message });
+        if (error.retryAfterMs !== undefined) result.retryAfterMs = error.retryAfterMs;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  return { post, deliver };
+}
@@ -0,0 +1,460 @@
+// /lib/notify/discord.js - Discord webhook notifier (location, ASN details and confidence area embeds)
+import { logger } from '../log/logger.js';
+import { eventSummary, formatCoordinates, parseUserAgent } from './format.js';
+import { createDiscordClient } from './discord-client.js';
+import { digestPeriod, digestSections, digestTitle } from './digest.js';
+import { countryFlag, renderMessage, templateContext } from './templates.js';
+
+// Footer suffix that ties a Discord message back to the request's log lines
+function withRequestId(text, requestId) {
+  return requestId ? `${text} • Request ${requestId}` : text;
+}
+
+// --- Embed 1: MAIN LOCATION & BASIC ASN ---
+export function buildMainEmbed(data) {
+  const summary = eventSummary(data);
+  return {
+    title: '🌐 IP Location Report',
+    ...(summary ? { description: summary } : {}),
+    color: summary ? 0xe74c3c : 0x3498db,
+    timestamp: data.timestamp,
+    fields: [
+      { 
+        name: '📍 IP Address', 
+        value: `\`${data.ip}\``, 
+        inline: false 
+      },
+      { 
+        name: '🌍 Continent', 
+        value: data.location.continent,
+        inline: true 
+      },
+      { 
+        name: `${countryFlag(data.location.countryCode)} Country`, 
+        value: `${data.location.country} (${data.location.countryCode})`,
+        inline: true 
+      },
+      { 
+        name: '🏙️ Region', 
+        value: data.location.region,
+        inline: true 
+      },
+      { 
+        name: '🏙️ City', 
+        value: data.location.city,
+        inline: true 
+      },
+      { 
+        name: '📍 Locality', 
+        value: data.location.locality,
+        inline: true 
+      },
+      { 
+        name: '🎯 Coordinates', 
+        value: formatCoordinates(data.location),
+        inline: true 
+      },
+      { 
+        name: '📏 Accuracy Radius', 
+        value: data.location.accuracyRadius ? `${data.location.accuracyRadius} km` : 'N/A',
+        inline: true 
+      },
+      { 
+        name: '✅ Confidence Level', 
+        value: data.location.confidence.toUpperCase(),
+        inline: true 
+      },
+      { 
+        name: '🔢 ASN', 
+        value: data.network.asn,
+        inline: true 
+      },
+      { 
+        name: '🏢 Organization', 
+        value: data.network.organisation,
+        inline: true 
+      },
+      { 
+        name: '📡 Connection Type', 
+        value: data.network.connectionType,
+        inline: true 
+      },
+      { 
+        name: '🕒 Timezone', 
+        value: data.timezone.name,
+        inline: true 
+      },
+      { 
+        name: '🖥️ Device', 
+        value: `${parseUserAgent(data.userAgent).browser} / ${parseUserAgent(data.userAgent).os}`,
+        inline: true
+      },
+      {
+        name: '📝 Consent',
+        value: data.consent ? `Policy ${data.consent.policyVersion} • ${data.consent.consentedAt}` : 'N/A',
+        inline: false
+      }
+    ],
+    footer: { 
+      text: withRequestId('Main Report • ASN details and confidence area follow', data.requestId)
+    }
+  };
+}
+
+// --- Embed 2: ASN DETAILS (from asn-info-full API) ---
+export function buildAsnDetailsEmbed(mainData, asnData) {
+  const fields = [
+    { 
+      name: '📍 Target IP', 
+      value: `\`${mainData.ip}\``, 
+      inline: false 
+    },
+    { 
+      name: '🔢 ASN', 
+      value: asnData.asn || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '🔢 ASN Numeric', 
+      value: asnData.asnNumeric ? String(asnData.asnNumeric) : 'N/A',
+      inline: true 
+    },
+    { 
+      name: '🏢 Organization', 
+      value: asnData.organisation || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '🏷️ Name', 
+      value: asnData.name || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '📋 Registry', 
+      value: asnData.registry || 'N/A',
+      inline: true 
+    },
+    { 
+      name: `${countryFlag(asnData.registeredCountry)} Registered Country`, 
+      value: asnData.registeredCountryName || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '📅 Registration Date', 
+      value: asnData.registrationLastChange || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '📊 IPv4 Addresses', 
+      value: asnData.totalIpv4Addresses ? asnData.totalIpv4Addresses.toLocaleString() : '0',
+      inline: true 
+    },
+    { 
+      name: '📊 IPv4 Prefixes', 
+      value: asnData.totalIpv4Prefixes ? String(asnData.totalIpv4Prefixes) : '0',
+      inline: true 
+    },
+    { 
+      name: '📊 IPv6 Prefixes', 
+      value: asnData.totalIpv6Prefixes ? String(asnData.totalIpv6Prefixes) : '0',
+      inline: true 
+    },
+    { 
+      name: '🏆 Rank', 
+      value: asnData.rankText || 'N/A',
+      inline: true 
+    },
+    { 
+      name: '🔗 Total Receiving From', 
+      value: asnData.totalReceivingFrom ? String(asnData.totalReceivingFrom) : '0',
+      inline: true 
+    },
+    { 
+      name: '🔗 Total Transit To', 
+      value: asnData.totalTransitTo ? String(asnData.totalTransitTo) : '0',
+      inline: true 
+    }
+  ];
+
+  return {
+    title: '📡 ASN Detailed Information',
+    description: `Complete ASN data for ${mainData.ip}`,
+    color: 0x2ecc71, // Green color
+    timestamp: mainData.timestamp,
+    fields: fields,
+    footer: { 
+      text: withRequestId('ASN Details • From BigDataCloud asn-info-full API', mainData.requestId)
+    }
+  };
+}
+
+// --- Templated embeds: a rendered template in place of embed 1, 2 or 3 ---
+function templateEmbed(template, context, { color, timestamp }) {
+  const message = renderMessage(template, context);
+  return {
+    ...(message.title ? { title: message.title } : {}),
+    ...(message.description ? { description: message.description } : {}),
+    color: message.color ?? color,
+    timestamp,
+    fields: message.fields,
+    ...(message.footer ? { footer: { text: message.footer } } : {})
+  };
+}
+
+// --- Embed 3: CONFIDENCE AREA STATISTICS ---
+export function buildConfidenceStatsEmbed(mainData, confidenceInfo) {
+  // Part 1: Confidence Area Statistics
+  const statsEmbed = {
+    title: '📊 Confidence Area Analysis - Part 1: Statistics',
+    description: `Confidence analysis for IP: \`${mainData.ip}\``,
+    color: 0x9b59b6, // Purple color
+    timestamp: mainData.timestamp,
+    fields: [
+      { 
+        name: '🎯 Confidence Level', 
+        value: mainData.location.confidence.toUpperCase(),
+        inline: true 
+      },
+      { 
+        name: '📐 Total Points', 
+        value: String(confidenceInfo.pointCount),
+        inline: true 
+      },
+      { 
+        name: '✅ Valid Points', 
+        value: String(confidenceInfo.validPointCount),
+        inline: true 
+      },
+      { 
+        name: '📏 Data Quality', 
+        value: `${((confidenceInfo.validPointCount / confidenceInfo.pointCount) * 100).toFixed(1)}%`,
+        inline: true 
+      }
+    ],
+    footer: { 
+      text: withRequestId('Confidence Area Analysis Part 1 of 3', mainData.requestId)
+    }
+  };
+
+  // Add bounds if available
+  if (confidenceInfo.bounds) {
+    statsEmbed.fields.push(
+      { 
+        name: '📍 Bounding Box - Min', 
+        value: `Lat: ${confidenceInfo.bounds.minLat}°\nLon: ${confidenceInfo.bounds.minLon}°`,
+        inline: true 
+      },
+      { 
+        name: '📍 Bounding Box - Max', 
+        value: `Lat: ${confidenceInfo.bounds.maxLat}°\nLon: ${confidenceInfo.bounds.maxLon}°`,
+        inline: true 
+      },
+      { 
+        name: '📏 Ranges', 
+        value: `Lat: ${confidenceInfo.bounds.latRange}°\nLon: ${confidenceInfo.bounds.lonRange}°`,
+        inline: true 
+      }
+    );
+  }
+
+  // Add statistics if available
+  if (confidenceInfo.statistics) {
+    statsEmbed.fields.push(
+      { 
+        name: '📍 Calculated Center', 
+        value: `${confidenceInfo.statistics.centerLat}°, ${confidenceInfo.statistics.centerLon}°`,
+        inline: true 
+      },
+      { 
+        name: '📐 Area Dimensions', 
+        value: `Width: ${confidenceInfo.statistics.widthKm} km\nHeight: ${confidenceInfo.statistics.heightKm} km`,
+        inline: true 
+      },
+      { 
+        name: '📏 Area Size', 
+        value: `${confidenceInfo.statistics.areaKm2} km²`,
+        inline: true 
+      }
+    );
+  }
+
+  return statsEmbed;
+}
+
+// --- Embeds 3-5: CONFIDENCE AREA DATA (statistics, then up to 30 coordinates) ---
+export function buildConfidenceAreaEmbeds(mainData, confidenceInfo, statsEmbed = buildConfidenceStatsEmbed(mainData, confidenceInfo)) {
+  const totalPoints = confidenceInfo.rawCoordinates.length;
+  const embeds = [statsEmbed];
+
+  // Part 2: First 15 Coordinate Points
+  if (totalPoints > 0) {
+    const batch1 = confidenceInfo.rawCoordinates.slice(0, Math.min(15, totalPoints));
+    const coordEmbed1 = {
+      title: `📊 Confidence Area - Part 2: Coordinates 1-${batch1.length}`,
+      description: `Coordinate points [Longitude, Latitude] for ${mainData.ip}`,
+      color: 0xe74c3c, // Red color
+      timestamp: mainData.timestamp,
+      fields: [],
+      footer: { 
+        text: withRequestId('Confidence Area Analysis Part 2 of 3 • Format: [Lon, Lat]', mainData.requestId)
+      }
+    };
+
+    // Add coordinates in groups of 5
+    for (let i = 0; i < batch1.length; i += 5) {
+      const group = batch1.slice(i, i + 5);
+      const coordText = group.map(p => `${p.index}. ${p.formatted}`).join('\n');
+      coordEmbed1.fields.push({
+        name: `Points ${i + 1}-${i + group.length}`,
+        value: `\`\`\`${coordText}\`\`\``,
+        inline: false
+      });
+    }
+
+    embeds.push(coordEmbed1);
+
+    // Part 3: More coordinates if available
+    if (totalPoints > 15) {
+      const batch2 = confidenceInfo.rawCoordinates.slice(15, Math.min(30, totalPoints));
+      const coordEmbed2 = {
+        title: `📊 Confidence Area - Part 3: Coordinates 16-${15 + batch2.length}`,
+        description: `Additional coordinate points for ${mainData.ip}`,
+        color: 0xf39c12, // Orange color
+        timestamp: mainData.timestamp,
+        fields: [],
+        footer: { 
+          text: withRequestId(`Confidence Area Analysis Part 3 of 3 • Showing ${batch2.length} of ${totalPoints} total points`, mainData.requestId)
+        }
+      };
+
+      // Add coordinates in groups of 5
+      for (let i = 0; i < batch2.length; i += 5) {
+        const group = batch2.slice(i, i + 5);
+        const coordText = group.map(p => `${p.index}. ${p.formatted}`).join('\n');
+        coordEmbed2.fields.push({
+          name: `Points ${i + 16}-${i + 16 + group.length - 1}`,
+          value: `\`\`\`${coordText}\`\`\``,
+          inline: false
+        });
+      }
+
+      // Add note if there are more points
+      if (totalPoints > 30) {
+        coordEmbed2.fields.push({
+          name: '📝 Note',
+          value: `${totalPoints - 30} additional coordinate points not shown\nTotal polygon has ${totalPoints} points`,
+          inline: false
+        });
+      }
+
+      embeds.push(coordEmbed2);
+    }
+  }
+
+  return embeds;
+}
+
+// --- Digest: one embed summarizing a period ---
+export function buildDigestEmbed(summary) {
+  return {
+    title: `📬 ${digestTitle(summary)}`,
+    description: digestPeriod(summary),
+    color: 0x95a5a6,
+    timestamp: summary.to,
+    fields: digestSections(summary).map(section => ({
+      name: section.title,
+      value: section.rows.map(row => `${row.label} — **${row.count}**`).join('\n') || 'None',
+      inline: false
+    }))
+  };
+}
+
+// Per-section results in the shape /api/log has always reported as
+// `webhooks`, plus the status of every message actually posted
+export function emptyDiscordResults() {
+  return {
+    main: { sent: false, error: null },
+    confidence: { sent: false, error: null },
+    asnDetails: { sent: false, error: null },
+    messages: []
+  };
+}
+
+export const DISCORD_SECTIONS = ['main', 'confidence', 'asnDetails'];
+
+export function createDiscordNotifier({ webhookUrl, maxRetries, maxRetryWaitMs, timeoutMs, sleep, templates = {} } = {}) {
+  return {
+    name: 'discord',
+
+    available: !!webhookUrl,
+
+    // All sections are packed into as few messages as Discord's limits allow.
+    // `only` limits delivery to some sections (the outbox uses it to resend
+    // just what failed). Resolves to { sent, error, results } where results
+    // is the per-section and per-message breakdown.
+    async send({ mainData, asnData, confidenceInfo }, { log = logger, only = DISCORD_SECTIONS, deadline } = {}) {
+      const context = templateContext(mainData, asnData, confidenceInfo);
+      let sections = [['main', [
+        templates.report
+          ? templateEmbed(templates.report, context, { color: 0x3498db, timestamp: mainData.timestamp })
+          : buildMainEmbed(mainData)
+      ]]];
+
+      if (asnData && Object.keys(asnData).length > 0) {
+        sections.push(['asnDetails', [
+          templates.asnDetails
+            ? templateEmbed(templates.asnDetails, context, { color: 0x2ecc71, timestamp: mainData.timestamp })
+            : buildAsnDetailsEmbed(mainData, asnData)
+        ]]);
+      } else {
+        log.debug('webhook.skipped', { webhook: 'asnDetails', reason: 'no ASN data' });
+      }
+
+      if (confidenceInfo.hasData && confidenceInfo.validPointCount > 0) {
+        // A template replaces the statistics; the coordinate lists follow as usual
+        const statsEmbed = templates.confidenceArea
+          ? templateEmbed(templates.confidenceArea, context, { color: 0x9b59b6, timestamp: mainData.timestamp })
+          : undefined;
+        sections.push(['confidence', buildConfidenceAreaEmbeds(mainData, confidenceInfo, statsEmbed)]);
+      } else {
+        log.debug('webhook.skipped', {
+          webhook: 'confidence',
+          hasData: confidenceInfo.hasData,
+          validPoints: confidenceInfo.validPointCount,
+          error: confidenceInfo.error
+        });
+      }
+
+      sections = sections.filter(([section]) => only.includes(section));
+      const embeds = sections.flatMap(([, sectionEmbeds]) => sectionEmbeds);
+      const sectionOf = sections.flatMap(([section, sectionEmbeds]) => sectionEmbeds.map(() => section));
+
+      const client = createDiscordClient({ webhookUrl, maxRetries, maxRetryWaitMs, timeoutMs, sleep });
+      const messages = await client.deliver(embeds, { log, deadline });
+
+      // A section counts as sent once every message carrying part of it was
+      const results = emptyDiscordResults();
+      results.messages = messages.map(({ embedIndexes, ...message }) => ({
+        ...message,
+        sections: [...new Set(embedIndexes.map(index => sectionOf[index]))]
+      }));
+      for (const [section] of sections) {
+        const carrying = results.messages.filter(message => message.sections.includes(section));
+        const failed = carrying.find(message => !message.sent);
+        results[section] = { sent: !failed, error: failed ? failed.error : null };
+        if (failed) log.error('webhook.failed', { webhook: section, error: failed.error });
+      }
+
+      // Main decides the summary unless this delivery left it out
+      const lead = sections.some(([section]) => section === 'main') ? results.main : results[sections[0]?.[0]];
+      return { sent: lead?.sent ?? false, error: lead?.error ?? null, results };
+    },
+
+    async sendDigest(summary, { log = logger, deadline } = {}) {
+      const client = createDiscordClient({ webhookUrl, maxRetries, maxRetryWaitMs, timeoutMs, sleep });
+      const [message] = await client.deliver([buildDigestEmbed(summary)], { log, deadline });
+      if (!message.sent) throw new Error(message.error);
+      return { sent: true, error: null, attempts: message.attempts };
+    }
+  };
+}
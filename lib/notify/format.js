@@ -0,0 +1,95 @@
+// /lib/notify/format.js - Formatting shared by notifiers
+
+export function parseUserAgent(ua) {
+  const s = (ua || '').toString();
+  let browser = 'Unknown', os = 'Unknown', device = 'Desktop';
+  
+  if (/OPR|Opera/.test(s)) browser = 'Opera';
+  else if (/Edg\//.test(s)) browser = 'Edge';
+  else if (/Chrome\/\d+/i.test(s) && !/Edg\//i.test(s)) browser = 'Chrome';
+  else if (/Firefox\/\d+/i.test(s)) browser = 'Firefox';
+  else if (/Safari\/\d+/i.test(s) && !/Chrome\//i.test(s)) browser = 'Safari';
+  
+  if (/\bWindows\b/i.test(s)) os = 'Windows';
+  else if (/\bMacintosh\b|\bMac OS\b/i.test(s)) os = 'Mac OS';
+  else if (/\bAndroid\b/i.test(s)) os = 'Android';
+  else if (/\b(iPhone|iPad|iPod)\b/i.test(s)) os = 'iOS';
+  else if (/\bLinux\b/i.test(s)) os = 'Linux';
+  
+  if (/\bMobile\b/i.test(s) || (/Android/i.test(s) && /Mobile/i.test(s))) device = 'Mobile';
+  else if (/\bTablet\b/i.test(s) || /iPad/i.test(s)) device = 'Tablet';
+  
+  return { browser, os, device, raw: s.substring(0, 150) };
+}
+
+// "lat, lon", or Unknown when the lookup had no position
+export function formatCoordinates(location) {
+  const { latitude, longitude } = location;
+  return latitude === null || latitude === undefined || longitude === null || longitude === undefined
+    ? 'Unknown'
+    : `${latitude}, ${longitude}`;
+}
+
+// Label/value rows describing one report, for notifiers without a richer layout
+export function reportFields(mainData) {
+  const { location, network, timezone } = mainData;
+  const userAgent = parseUserAgent(mainData.userAgent);
+  return [
+    { label: 'IP Address', value: mainData.ip },
+    { label: 'Location', value: [location.city, location.region, location.country].filter(Boolean).join(', ') },
+    { label: 'Country Code', value: location.countryCode },
+    { label: 'Coordinates', value: formatCoordinates(location) },
+    { label: 'Accuracy Radius', value: location.accuracyRadius ? `${location.accuracyRadius} km` : 'N/A' },
+    { label: 'ASN', value: network.asn },
+    { label: 'Organization', value: network.organisation },
+    { label: 'Connection Type', value: network.connectionType },
+    { label: 'Timezone', value: timezone.name },
+    { label: 'Device', value: `${userAgent.browser} / ${userAgent.os}` },
+    { label: 'Request ID', value: mainData.requestId || 'N/A' }
+  ].map(field => ({ ...field, value: String(field.value ?? 'N/A') }));
+}
+
+export function reportTitle(mainData) {
+  return `IP Location Report: ${mainData.ip}`;
+}
+
+// One line on why a report that isn't a visit was sent; null for visits
+export function eventSummary(mainData) {
+  const event = mainData.event;
+  if (event?.kind === 'reserved') return `Non-routable address (${event.range})`;
+  if (event?.kind === 'error') return `Request failed: ${event.error}`;
+  if (event?.kind === 'drift') return `Upstream schema drift: ${event.drift.summary}`;
+  return null;
+}
+
+export function reportText(mainData) {
+  return messageText(reportMessage(mainData));
+}
+
+// The built-in report as a message, the shape a rendered template has too
+export function reportMessage(mainData) {
+  return {
+    title: reportTitle(mainData),
+    description: eventSummary(mainData),
+    footer: null,
+    color: null,
+    fields: reportFields(mainData).map(field => ({ name: field.label, value: field.value, inline: true }))
+  };
+}
+
+export function messageText(message) {
+  return [
+    ...[message.title, message.description].filter(Boolean),
+    '',
+    ...message.fields.map(field => `${field.name}: ${field.value}`),
+    ...(message.footer ? ['', message.footer] : [])
+  ].join('\n');
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
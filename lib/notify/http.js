@@ -0,0 +1,25 @@
+// /lib/notify/http.js - JSON delivery shared by the HTTP-based notifiers
+import { logger } from '../log/logger.js';
+
+// Throws `<label> API: <status>` with .status and .body on non-2xx responses.
+// `sign(text)` returns extra headers computed from the exact body sent.
+export async function sendJson(url, body, { label, method = 'POST', headers = {}, sign = null, timeoutMs = 5000, log = logger } = {}) {
+  const text = JSON.stringify(body);
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers, ...(sign ? sign(text) : {}) },
+    body: text,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  log.debug('notify.response', { notifier: label, status: response.status });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    log.error('notify.error_response', { notifier: label, status: response.status, body: errorText.substring(0, 200) });
+    const error = new Error(`${label} API: ${response.status}`);
+    error.status = response.status;
+    error.body = errorText.substring(0, 200);
+    throw error;
+  }
+  return response;
+}
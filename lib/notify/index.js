@@ -0,0 +1,106 @@
+// /lib/notify/index.js - Notifier registry
+//
+// A notifier is { name, available, send(report, { log, only, deadline }),
+// sendDigest(summary, { log, deadline }) }. The report is { mainData, asnData,
+// confidenceInfo }, already anonymized for notifications. Both send methods
+// resolve to { sent, error, ...details } and throw on delivery failure;
+// Discord's send() also honors `only`, a list of its sections, and Discord
+// retries rate-limited posts only while they fit before `deadline` (epoch ms).
+//
+// A destination is a notifier by name or one declared in the routing rules
+// (see ./routing.js), which is a notifier with its own settings.
+import { logger } from '../log/logger.js';
+import { createDiscordNotifier } from './discord.js';
+import { createMatrixNotifier } from './matrix.js';
+import { createSlackNotifier } from './slack.js';
+import { createSmtpNotifier } from './smtp.js';
+import { createWebhookNotifier } from './webhook.js';
+import { loadTemplates } from './templates.js';
+import { loadRoutes, routeEvent, routeFields } from './routing.js';
+
+export const NOTIFIERS = {
+  discord: (notifyConfig, templates) => createDiscordNotifier({ ...notifyConfig.discord, timeoutMs: notifyConfig.timeoutMs, templates }),
+  slack: (notifyConfig, templates) => createSlackNotifier({ ...notifyConfig.slack, timeoutMs: notifyConfig.timeoutMs, templates }),
+  matrix: (notifyConfig, templates) => createMatrixNotifier({ ...notifyConfig.matrix, timeoutMs: notifyConfig.timeoutMs, templates }),
+  webhook: notifyConfig => createWebhookNotifier({ ...notifyConfig.webhook, timeoutMs: notifyConfig.timeoutMs }),
+  smtp: (notifyConfig, templates) => createSmtpNotifier({ ...notifyConfig.smtp, timeoutMs: notifyConfig.timeoutMs, templates })
+};
+
+// Throws when the configured templates are invalid, listing every problem
+export function createNotifier(name, notifyConfig) {
+  const factory = NOTIFIERS[name];
+  if (!factory) throw new Error(`Unknown notifier: ${name}`);
+  return factory(notifyConfig, loadTemplates(notifyConfig).forDestination(name));
+}
+
+// Configured destinations, minus any without a URL / credentials
+export function resolveNotifiers(notifyConfig) {
+  const names = notifyConfig.targets.length ? notifyConfig.targets : Object.keys(NOTIFIERS);
+  return names
+    .map(name => createNotifier(name, notifyConfig))
+    .filter(notifier => notifier.available);
+}
+
+// Throws when the routing rules are invalid, listing every problem
+export function loadRouting(notifyConfig) {
+  return loadRoutes(notifyConfig, { types: Object.keys(NOTIFIERS) });
+}
+
+// Checked in every handler's config step, so a bad template or rule fails
+// the request that would use it instead of the first notification. Null when
+// both load, otherwise { status, error, problems } with every problem listed.
+export function notifyMisconfigured(notifyConfig) {
+  const problems = [];
+  for (const load of [loadTemplates, loadRouting]) {
+    try {
+      load(notifyConfig);
+    } catch (error) {
+      problems.push(...(error.problems || [error.message]));
+    }
+  }
+  return problems.length ? { status: 503, error: 'Notification settings are invalid', problems } : null;
+}
+
+// A notifier, or a declared destination: its type's notifier with the
+// declared options over that type's env settings, under the declared name
+export function createDestination(name, notifyConfig) {
+  const declared = loadRouting(notifyConfig).destinations[name];
+  if (!declared) return createNotifier(name, notifyConfig);
+  const { type, ...options } = declared;
+  const notifier = createNotifier(type, { ...notifyConfig, [type]: { ...notifyConfig[type], ...options } });
+  return { ...notifier, name };
+}
+
+// The available destinations the rules pick for a report's mainData.
+// Without rules every configured notifier gets visits and drift alerts.
+export function routeNotifiers(notifyConfig, mainData) {
+  const { rules } = loadRouting(notifyConfig);
+  const fields = routeFields(mainData);
+  if (!rules.length) return ['visit', 'drift'].includes(fields.kind) ? resolveNotifiers(notifyConfig) : [];
+  return routeEvent(rules, fields)
+    .map(name => createDestination(name, notifyConfig))
+    .filter(notifier => notifier.available);
+}
+
+// Runs deliver(notifier) for every notifier in parallel; one failing
+// destination never blocks the others. Resolves to results keyed by name.
+async function fanOut(notifiers, deliver, log) {
+  const results = await Promise.all(notifiers.map(async notifier => {
+    try {
+      return [notifier.name, await deliver(notifier)];
+    } catch (error) {
+      log.error('notify.failed', { notifier: notifier.name, error: error.message });
+      return [notifier.name, { sent: false, error: error.message }];
+    }
+  }));
+  return Object.fromEntries(results);
+}
+
+export function notifyAll(notifiers, report, { log = logger, deadline } = {}) {
+  return fanOut(notifiers, notifier => notifier.send(report, { log, deadline }), log);
+}
+
+// Same fan-out for a digest summary (see ./digest.js)
+export function notifyDigest(notifiers, summary, { log = logger, deadline } = {}) {
+  return fanOut(notifiers, notifier => notifier.sendDigest(summary, { log, deadline }), log);
+}
@@ -0,0 +1,77 @@
+// /lib/notify/matrix.js - Matrix notifier sending m.room.message events via the client-server API
+import { createHash } from 'node:crypto';
+import { logger } from '../log/logger.js';
+import { escapeHtml, messageText } from './format.js';
+import { reportMessageFor } from './templates.js';
+import { sendJson } from './http.js';
+import { digestPeriod, digestSections, digestText, digestTitle } from './digest.js';
+
+// `message` is a built-in or rendered report (see ./templates.js)
+export function buildMatrixMessage(message) {
+  const rows = message.fields
+    .map(field => `<li><strong>${escapeHtml(field.name)}:</strong> ${escapeHtml(field.value)}</li>`)
+    .join('');
+  const paragraph = text => (text ? `<p>${escapeHtml(text)}</p>` : '');
+  return {
+    msgtype: 'm.text',
+    body: messageText(message),
+    format: 'org.matrix.custom.html',
+    formatted_body: `${message.title ? `<h4>${escapeHtml(message.title)}</h4>` : ''}${paragraph(message.description)}` +
+      `<ul>${rows}</ul>${paragraph(message.footer)}`
+  };
+}
+
+export function buildMatrixDigest(summary) {
+  const sections = digestSections(summary)
+    .map(section => `<p><strong>${escapeHtml(section.title)}</strong></p><ul>${
+      section.rows.map(row => `<li>${escapeHtml(row.label)}: ${row.count}</li>`).join('')
+    }</ul>`)
+    .join('');
+  return {
+    msgtype: 'm.text',
+    body: digestText(summary),
+    format: 'org.matrix.custom.html',
+    formatted_body: `<h4>${escapeHtml(digestTitle(summary))}</h4><p>${escapeHtml(digestPeriod(summary))}</p>${sections}`
+  };
+}
+
+// Matrix ignores a PUT whose transaction ID it has already seen. Deriving the
+// ID from what is being reported (the request ID plus a hash of the report,
+// whose timestamp tells visits apart) means a resend of the same report, such
+// as an outbox retry, posts one event, while a client reusing a request ID
+// can't suppress a different one.
+function matrixTransactionId(source, requestId = null) {
+  const digest = createHash('sha256').update(JSON.stringify(source)).digest('hex').substring(0, 16);
+  return requestId ? `${requestId}.${digest}` : digest;
+}
+
+export function createMatrixNotifier({ homeserverUrl, accessToken, roomId, timeoutMs, templates } = {}) {
+  async function sendEvent(content, txnId, log) {
+    const url = `${homeserverUrl.replace(/\/+$/, '')}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}` +
+      `/send/m.room.message/${encodeURIComponent(txnId)}`;
+    const response = await sendJson(url, content, {
+      label: 'Matrix',
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeoutMs,
+      log
+    });
+    const { event_id: eventId = null } = await response.json().catch(() => ({}));
+    return { sent: true, error: null, eventId };
+  }
+
+  return {
+    name: 'matrix',
+
+    available: !!(homeserverUrl && accessToken && roomId),
+
+    async send(report, { log = logger } = {}) {
+      const txnId = matrixTransactionId(report.mainData, report.mainData.requestId);
+      return sendEvent(buildMatrixMessage(reportMessageFor(templates, report)), txnId, log);
+    },
+
+    async sendDigest(summary, { log = logger } = {}) {
+      return sendEvent(buildMatrixDigest(summary), matrixTransactionId(summary), log);
+    }
+  };
+}
@@ -0,0 +1,175 @@
+// /lib/notify/routing.js - Rules that pick the destinations for each event
+//
+// NOTIFY_ROUTES (inline JSON) or NOTIFY_ROUTES_FILE (path to JSON):
+//
+//   {
+//     "destinations": {
+//       "eu": { "type": "discord", "webhookUrl": "https://discord.com/api/webhooks/…" },
+//       "alerts": { "type": "slack", "webhookUrl": "https://hooks.slack.com/…" },
+//       "siem": { "type": "webhook", "url": "https://siem.example.org/in", "secrets": ["…"] }
+//     },
+//     "rules": [
+//       { "name": "failures", "when": { "error": true }, "to": ["alerts"], "stop": true },
+//       { "when": { "continent": "Europe" }, "to": ["eu"] },
+//       { "when": { "kind": "visit" }, "unless": { "asn": "AS15169" }, "to": ["discord"] }
+//     ]
+//   }
+//
+// Destinations are the env-configured notifiers by name (discord, slack, …)
+// plus any declared here; a declared one is a notifier `type` whose options
+// override that type's env settings. Rules run in order and every matching
+// rule adds its `to`; a matching rule with `stop` ends the evaluation. A rule
+// matches when every `when` condition holds and no `unless` condition does.
+// A condition value may be a list (any of). Strings compare case-insensitively.
+//
+// Events are visits, reserved (non-routable) addresses, errors and drift
+// (an upstream API repeatedly answering outside its schema, see
+// ../geo/drift.js). Without rules, visits and drift go to every configured
+// notifier and the rest go nowhere. In digest mode each destination gets a
+// summary of the visits routed to it; reserved addresses and errors are still
+// routed as they happen.
+import { readFileSync } from 'node:fs';
+import { formatAsn } from '../geo/normalize.js';
+
+// Fields a rule can test, read from a report's mainData
+export const ROUTE_FIELDS = {
+  kind: mainData => mainData.event?.kind || 'visit',
+  country: mainData => mainData.location?.countryCode,
+  continent: mainData => mainData.location?.continent,
+  asn: mainData => formatAsn(mainData.network?.asn === 'Unknown' ? null : mainData.network?.asn),
+  connectionType: mainData => mainData.network?.connectionType,
+  reserved: mainData => mainData.event?.kind === 'reserved',
+  range: mainData => mainData.event?.range || null,
+  error: mainData => !!mainData.event?.error
+};
+export const EVENT_KINDS = ['visit', 'reserved', 'error', 'drift'];
+const RULE_KEYS = ['name', 'when', 'unless', 'to', 'stop'];
+
+export function routeFields(mainData) {
+  return Object.fromEntries(Object.entries(ROUTE_FIELDS).map(([field, read]) => [field, read(mainData) ?? null]));
+}
+
+function normalize(field, value) {
+  if (typeof value === 'boolean' || value === null) return value;
+  return field === 'asn' ? formatAsn(value) : String(value).trim().toLowerCase();
+}
+
+function conditionsHold(conditions, fields) {
+  return Object.entries(conditions).every(([field, expected]) => {
+    const actual = normalize(field, fields[field]);
+    return [].concat(expected).some(value => normalize(field, value) === actual);
+  });
+}
+
+export function ruleMatches(rule, fields) {
+  return conditionsHold(rule.when || {}, fields) && !(rule.unless && conditionsHold(rule.unless, fields));
+}
+
+// Destination names for one event's fields, in rule order without repeats
+export function routeEvent(rules, fields) {
+  const destinations = [];
+  for (const rule of rules) {
+    if (!ruleMatches(rule, fields)) continue;
+    for (const name of rule.to) if (!destinations.includes(name)) destinations.push(name);
+    if (rule.stop) break;
+  }
+  return destinations;
+}
+
+function validateConditions(conditions, at, problems) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    problems.push(`${at}: must be an object`);
+    return;
+  }
+  for (const [field, expected] of Object.entries(conditions)) {
+    if (!ROUTE_FIELDS[field]) {
+      problems.push(`${at}.${field}: unknown field (expected ${Object.keys(ROUTE_FIELDS).join(', ')})`);
+      continue;
+    }
+    const values = [].concat(expected);
+    const boolean = field === 'reserved' || field === 'error';
+    if (!values.length || values.some(value => (boolean ? typeof value !== 'boolean' : typeof value !== 'string' && typeof value !== 'number'))) {
+      problems.push(`${at}.${field}: must be ${boolean ? 'true or false' : 'a string or a list of strings'}`);
+    } else if (field === 'kind' && values.some(value => !EVENT_KINDS.includes(value))) {
+      problems.push(`${at}.kind: must be one of ${EVENT_KINDS.join(', ')}`);
+    }
+  }
+}
+
+// Resolves to { destinations, rules, problems }; `types` are the notifier
+// names, which are also the built-in destinations
+export function validateRoutes(notifyConfig, { types }) {
+  const problems = [];
+  let raw = {};
+  try {
+    const text = notifyConfig.routes || (notifyConfig.routesFile ? readFileSync(notifyConfig.routesFile, 'utf8') : null);
+    if (text) {
+      try {
+        raw = JSON.parse(text);
+      } catch (error) {
+        problems.push(`${notifyConfig.routes ? 'NOTIFY_ROUTES' : notifyConfig.routesFile}: invalid JSON (${error.message})`);
+      }
+    }
+  } catch (error) {
+    problems.push(`NOTIFY_ROUTES_FILE: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('routes: must be a JSON object');
+    raw = {};
+  }
+  for (const key of Object.keys(raw)) {
+    if (key !== 'destinations' && key !== 'rules') problems.push(`${key}: unknown key (expected destinations, rules)`);
+  }
+
+  const destinations = {};
+  for (const [name, declared] of Object.entries(raw.destinations || {})) {
+    const at = `destinations.${name}`;
+    if (types.includes(name)) problems.push(`${at}: ${name} is a built-in destination; pick another name`);
+    else if (!declared || typeof declared !== 'object' || !types.includes(declared.type)) {
+      problems.push(`${at}.type: must be one of ${types.join(', ')}`);
+    } else {
+      destinations[name] = declared;
+    }
+  }
+
+  const known = [...types, ...Object.keys(raw.destinations || {})];
+  const rules = Array.isArray(raw.rules) ? raw.rules : [];
+  if (raw.rules !== undefined && !Array.isArray(raw.rules)) problems.push('rules: must be an array');
+  rules.forEach((rule, index) => {
+    const at = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${at}: must be an object`);
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) problems.push(`${at}.${key}: unknown key (expected ${RULE_KEYS.join(', ')})`);
+    }
+    if (rule.when !== undefined) validateConditions(rule.when, `${at}.when`, problems);
+    if (rule.unless !== undefined) validateConditions(rule.unless, `${at}.unless`, problems);
+    if (!Array.isArray(rule.to)) problems.push(`${at}.to: must be a list of destinations`);
+    else {
+      for (const name of rule.to) {
+        if (!known.includes(name)) problems.push(`${at}.to: unknown destination "${name}"`);
+      }
+    }
+    if (rule.stop !== undefined && typeof rule.stop !== 'boolean') problems.push(`${at}.stop: must be true or false`);
+  });
+
+  return { destinations, rules, problems };
+}
+
+// Validated once per distinct source; throws listing every problem
+const loaded = new Map();
+export function loadRoutes(notifyConfig, { types }) {
+  const key = `${notifyConfig.routes || ''}\u0000${notifyConfig.routesFile || ''}`;
+  if (!loaded.has(key)) {
+    const result = validateRoutes(notifyConfig, { types });
+    if (result.problems.length) {
+      const error = new Error(`Invalid notification routes:\n  - ${result.problems.join('\n  - ')}`);
+      error.problems = result.problems;
+      throw error;
+    }
+    loaded.set(key, result);
+  }
+  return loaded.get(key);
+}
@@ -0,0 +1,96 @@
+// /lib/notify/signature.js - HMAC-SHA256 signatures for generic webhook deliveries
+//
+// Every delivery carries three headers:
+//
+//   X-Webhook-Id         unique per delivery attempt
+//   X-Webhook-Timestamp  Unix seconds when it was signed
+//   X-Webhook-Signature  v1=<hex>[,v1=<hex>…], one per sending secret
+//
+// A signature is HMAC-SHA256(secret, `${id}.${timestamp}.${rawBody}`) in hex.
+// To rotate a secret, add the new one to the sender (it signs with both),
+// then to receivers, then drop the old one from the sender; a receiver
+// accepts a delivery when any of its secrets matches any signature.
+//
+// Receivers import verifyWebhook (and createReplayGuard) from this file; it
+// only depends on node:crypto. Verify the raw request body: re-serialized
+// JSON won't match.
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+export const SIGNATURE_VERSION = 'v1';
+export const ID_HEADER = 'X-Webhook-Id';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+export function computeSignature(secret, { id, timestamp, body }) {
+  return createHmac('sha256', secret).update(`${id}.${timestamp}.${body}`).digest('hex');
+}
+
+// Headers for one delivery of `body` (the exact string that is sent)
+export function signPayload(body, { secrets, id = randomUUID(), now = Date.now() }) {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    [ID_HEADER]: id,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: secrets
+      .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, { id, timestamp, body })}`)
+      .join(',')
+  };
+}
+
+// Remembers delivery ids until their timestamp leaves the tolerance window,
+// so a captured request can't be sent again. Single process only; receivers
+// running several instances need a shared store with the same check.
+export function createReplayGuard({ toleranceSeconds = 300 } = {}) {
+  const seen = new Map();
+  return {
+    // true the first time an id is seen, false for a replay
+    check(id, timestamp, now = Date.now()) {
+      for (const [seenId, expiresAt] of seen) {
+        if (expiresAt <= now) seen.delete(seenId);
+      }
+      if (seen.has(id)) return false;
+      seen.set(id, (timestamp + toleranceSeconds) * 1000);
+      return true;
+    }
+  };
+}
+
+function header(headers, name) {
+  const value = typeof headers?.get === 'function' ? headers.get(name) : headers?.[name.toLowerCase()] ?? headers?.[name];
+  return Array.isArray(value) ? value[0] : value || null;
+}
+
+function matches(expected, given) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(given, 'hex');
+  return a.length === b.length && a.length > 0 && timingSafeEqual(a, b);
+}
+
+// Resolves to { valid: true, id, timestamp } or { valid: false, reason }.
+// `headers` is a Node headers object or a fetch Headers; `body` the raw
+// body as a string or Buffer.
+export function verifyWebhook({ body, headers, secrets, toleranceSeconds = 300, replayGuard = null, now = Date.now() }) {
+  const accepted = [].concat(secrets || []).filter(Boolean);
+  if (!accepted.length) return { valid: false, reason: 'not-configured' };
+  if (typeof body !== 'string' && !Buffer.isBuffer(body)) throw new TypeError('verifyWebhook needs the raw request body');
+
+  const id = header(headers, ID_HEADER);
+  const timestamp = Number(header(headers, TIMESTAMP_HEADER));
+  const signatures = (header(headers, SIGNATURE_HEADER) || '')
+    .split(',')
+    .map(part => part.trim().split('='))
+    .filter(([version, value]) => version === SIGNATURE_VERSION && value)
+    .map(([, value]) => value);
+  if (!id || !Number.isInteger(timestamp) || !signatures.length) return { valid: false, reason: 'missing' };
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return { valid: false, reason: 'expired' };
+
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  const valid = accepted.some(secret => {
+    const expected = computeSignature(secret, { id, timestamp, body: text });
+    return signatures.some(given => matches(expected, given));
+  });
+  if (!valid) return { valid: false, reason: 'bad-signature' };
+  if (replayGuard && !replayGuard.check(id, timestamp, now)) return { valid: false, reason: 'replayed' };
+
+  return { valid: true, id, timestamp };
+}
@@ -0,0 +1,63 @@
+// /lib/notify/slack.js - Slack incoming-webhook notifier using Block Kit
+import { logger } from '../log/logger.js';
+import { messageText } from './format.js';
+import { reportMessageFor } from './templates.js';
+import { digestPeriod, digestSections, digestText, digestTitle } from './digest.js';
+import { sendJson } from './http.js';
+
+// Block Kit allows at most 10 fields per section block
+const FIELDS_PER_SECTION = 10;
+
+// `message` is a built-in or rendered report (see ./templates.js)
+export function buildSlackMessage(message, { timestamp } = {}) {
+  const fields = message.fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` }));
+  const sections = [];
+  for (let i = 0; i < fields.length; i += FIELDS_PER_SECTION) {
+    sections.push({ type: 'section', fields: fields.slice(i, i + FIELDS_PER_SECTION) });
+  }
+
+  return {
+    // Fallback for notifications and clients that don't render blocks
+    text: messageText(message),
+    blocks: [
+      ...(message.title ? [{ type: 'header', text: { type: 'plain_text', text: message.title.substring(0, 150), emoji: true } }] : []),
+      ...(message.description ? [{ type: 'section', text: { type: 'mrkdwn', text: message.description.substring(0, 3000) } }] : []),
+      ...sections,
+      { type: 'context', elements: [{ type: 'mrkdwn', text: message.footer || `Reported ${timestamp}` }] }
+    ]
+  };
+}
+
+export function buildSlackDigest(summary) {
+  return {
+    text: digestText(summary),
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: digestTitle(summary), emoji: true } },
+      ...digestSections(summary).map(section => ({
+        type: 'section',
+        // Section text is capped at 3000 characters
+        text: { type: 'mrkdwn', text: [`*${section.title}*`, ...section.rows.map(row => `${row.label}: ${row.count}`)].join('\n').substring(0, 3000) }
+      })),
+      { type: 'context', elements: [{ type: 'mrkdwn', text: digestPeriod(summary) }] }
+    ]
+  };
+}
+
+export function createSlackNotifier({ webhookUrl, timeoutMs, templates } = {}) {
+  return {
+    name: 'slack',
+
+    available: !!webhookUrl,
+
+    async send(report, { log = logger } = {}) {
+      const message = buildSlackMessage(reportMessageFor(templates, report), { timestamp: report.mainData.timestamp });
+      await sendJson(webhookUrl, message, { label: 'Slack', timeoutMs, log });
+      return { sent: true, error: null };
+    },
+
+    async sendDigest(summary, { log = logger } = {}) {
+      await sendJson(webhookUrl, buildSlackDigest(summary), { label: 'Slack', timeoutMs, log });
+      return { sent: true, error: null };
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// /lib/notify/smtp-client.js - Minimal SMTP client: EHLO, STARTTLS, AUTH PLAIN and one message
+import net from 'node:net';
+import tls from 'node:tls';
+import { randomUUID } from 'node:crypto';
+import { hostname } from 'node:os';
+
+// Hands out complete replies; "250-..." continues a reply, "250 ..." ends it
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const flush = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+  };
+  const fail = error => {
+    failure = failure || error;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, index).replace(/\r$/, '');
+      buffer = buffer.substring(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.substring(0, 3), 10), lines: lines.map(l => l.substring(4)) });
+        lines = [];
+      }
+    }
+    flush();
+  };
+  const onError = error => fail(error);
+  const onClose = () => fail(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure, timeoutMs, socket: plain }) {
+  return new Promise((resolve, reject) => {
+    const socket = plain
+      ? tls.connect({ socket: plain, servername: host })
+      : secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once('error', reject);
+    socket.once(plain || secure ? 'secureConnect' : 'connect', () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+  });
+}
+
+// Addresses end up inside SMTP commands and headers
+function address(value) {
+  const text = String(value || '').trim();
+  if (!text || /[\r\n<>]/.test(text)) throw new Error(`Invalid email address: ${JSON.stringify(text)}`);
+  return text;
+}
+
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+export function buildMessage({ from, to, subject, text, messageId, date = new Date() }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${address(from)}`,
+    `To: ${to.map(address).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Resolves to { messageId, response }; SMTP errors carry the reply code in .status
+export async function sendMail({
+  host,
+  port = 587,
+  secure = false,
+  startTls = true,
+  user = null,
+  password = null,
+  allowInsecureAuth = false,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = 10000,
+  clientName = hostname()
+}) {
+  const recipients = (Array.isArray(to) ? to : [to]).map(address);
+  const messageId = `${randomUUID()}@${clientName}`;
+  const message = buildMessage({ from, to: recipients, subject, text, messageId });
+
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = createReplyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const error = new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`.substring(0, 200));
+      error.status = reply.code;
+      throw error;
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${clientName}`, [250]);
+    let encrypted = secure;
+
+    if (!secure && startTls && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await connect({ host, timeoutMs, socket });
+      reader = createReplyReader(socket);
+      encrypted = true;
+      ehlo = await command(`EHLO ${clientName}`, [250]);
+    }
+
+    if (user) {
+      if (!encrypted && !allowInsecureAuth) {
+        throw new Error('SMTP server offered no TLS; refusing to send credentials in clear text');
+      }
+      await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${password || ''}`).toString('base64')}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${address(from)}>`, [250]);
+    for (const recipient of recipients) await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    await command('DATA', [354]);
+    // Dot-stuffing: a line starting with "." gets a second one
+    const accepted = await command(`${message.replace(/^\./gm, '..')}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+
+    return { messageId, response: accepted.lines.join(' ') };
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
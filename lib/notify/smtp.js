@@ -0,0 +1,29 @@
+// /lib/notify/smtp.js - Email notifier over SMTP
+import { logger } from '../log/logger.js';
+import { messageText } from './format.js';
+import { reportMessageFor } from './templates.js';
+import { sendMail } from './smtp-client.js';
+import { digestText, digestTitle } from './digest.js';
+
+export function createSmtpNotifier({ host, from, to = [], templates, ...options } = {}) {
+  async function mail(subject, text, log) {
+    const { messageId, response } = await sendMail({ ...options, host, from, to, subject, text });
+    log.debug('notify.response', { notifier: 'smtp', response });
+    return { sent: true, error: null, messageId };
+  }
+
+  return {
+    name: 'smtp',
+
+    available: !!(host && from && to.length),
+
+    async send(report, { log = logger } = {}) {
+      const message = reportMessageFor(templates, report);
+      return mail(message.title || `IP Location Report: ${report.mainData.ip}`, messageText(message), log);
+    },
+
+    async sendDigest(summary, { log = logger } = {}) {
+      return mail(digestTitle(summary), digestText(summary), log);
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// /lib/notify/template.js - Minimal text templates: {{field}}, {{field|fallback}}, {{#field}}…{{/field}} and {{^field}}…{{/field}}
+//
+// Fields are dotted paths into the template context. A section renders its
+// body when the field has a value ({{^…}} when it doesn't); "Unknown", empty
+// strings, zero and empty lists count as no value. Nothing is escaped: the
+// output goes into Discord markdown, Slack mrkdwn, plain text or is escaped
+// by the notifier (Matrix HTML).
+
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z_][\w.]*)\s*(?:\|([^}]*))?\}\}/g;
+
+export function hasValue(value) {
+  if (value === null || value === undefined || value === false || value === 0 || value === '') return false;
+  if (value === 'Unknown' || value === 'unknown') return false;
+  return !(Array.isArray(value) && value.length === 0);
+}
+
+export function lookupField(context, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+// The fallback stands in for missing values; "Unknown" is printed as is
+function formatValue(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback ?? '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Parses a template into nodes. Throws on unbalanced sections, stray braces
+// and, when `fields` is given, on fields outside that list.
+export function parseTemplate(source, { fields } = {}) {
+  if (typeof source !== 'string') throw new Error('must be a string');
+
+  const root = [];
+  const stack = [{ name: null, nodes: root }];
+  const literal = text => {
+    if (text.includes('{{') || text.includes('}}')) throw new Error(`malformed tag near "${text.trim().substring(0, 30)}"`);
+    if (text) stack.at(-1).nodes.push({ type: 'text', text });
+  };
+
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    literal(source.substring(last, match.index));
+    last = match.index + match[0].length;
+
+    const [, sigil, name, fallback] = match;
+    if (fields && !fields.includes(name) && !fields.some(field => field.startsWith(`${name}.`))) {
+      throw new Error(`unknown field "${name}"`);
+    }
+    if (sigil === '/') {
+      const open = stack.pop();
+      if (open.name !== name) {
+        throw new Error(open.name ? `"{{/${name}}}" closes "{{#${open.name}}}"` : `"{{/${name}}}" has no opening section`);
+      }
+    } else if (sigil) {
+      if (fallback !== undefined) throw new Error(`section "${name}" can't have a fallback`);
+      const section = { type: 'section', inverted: sigil === '^', name, nodes: [] };
+      stack.at(-1).nodes.push(section);
+      stack.push(section);
+    } else {
+      stack.at(-1).nodes.push({ type: 'field', name, fallback: fallback?.trim() });
+    }
+  }
+  literal(source.substring(last));
+  if (stack.length > 1) throw new Error(`section "${stack.at(-1).name}" is never closed`);
+  return root;
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    const value = lookupField(context, node.name);
+    if (node.type === 'field') return formatValue(value, node.fallback);
+    return hasValue(value) !== node.inverted ? renderNodes(node.nodes, context) : '';
+  }).join('');
+}
+
+// Compiles once; the result renders any number of contexts
+export function compileTemplate(source, options) {
+  const nodes = parseTemplate(source, options);
+  return context => renderNodes(nodes, context);
+}
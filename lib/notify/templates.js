@@ -0,0 +1,237 @@
+// /lib/notify/templates.js - Operator-defined notification layouts loaded from config
+//
+// NOTIFY_TEMPLATES (inline JSON) or NOTIFY_TEMPLATES_FILE (path to JSON):
+//
+//   {
+//     "report": { "title": "{{flag}} Visit from {{location.city}}", "fields": [...] },
+//     "asnDetails": { ... },
+//     "confidenceArea": { ... },
+//     "variants": { "slack": { "report": { ... } } }
+//   }
+//
+// A message template is { title, description, footer, color, fields } where
+// fields are { name, value, inline } and every string is a template (see
+// ./template.js). A field that renders an empty name or value is left out,
+// which is how a section makes a whole field conditional. `report` replaces
+// the main message of every destination, `asnDetails` Discord's ASN embed,
+// `confidenceArea` Discord's confidence-area statistics (the coordinate lists
+// after it are data and stay as they are), and `variants.<destination>`
+// overrides any of them for one destination. Anything not configured keeps
+// the built-in layout.
+import { readFileSync } from 'node:fs';
+import { createGeoRecord, buildMainData } from '../geo/normalize.js';
+import { processConfidenceArea } from '../geo/confidence.js';
+import { compileTemplate } from './template.js';
+import { parseUserAgent, reportMessage } from './format.js';
+
+export const TEMPLATE_NAMES = ['report', 'asnDetails', 'confidenceArea'];
+export const TEMPLATED_DESTINATIONS = ['discord', 'slack', 'matrix', 'smtp'];
+const MESSAGE_KEYS = ['title', 'description', 'footer', 'color', 'fields'];
+const FIELD_KEYS = ['name', 'value', 'inline'];
+// Messages only Discord sends, by template name
+const DISCORD_ONLY = { asnDetails: 'an ASN details message', confidenceArea: 'a confidence area message' };
+
+// Fields of BigDataCloud's asn-info-full response, available as asnDetails.*
+const ASN_DETAIL_FIELDS = [
+  'asn', 'asnNumeric', 'organisation', 'name', 'registry', 'registeredCountry', 'registeredCountryName',
+  'registrationLastChange', 'totalIpv4Addresses', 'totalIpv4Prefixes', 'totalIpv6Prefixes', 'rankText',
+  'totalReceivingFrom', 'totalTransitTo'
+];
+
+// 'US' → 🇺🇸; anything that isn't a two-letter code gets a white flag
+export function countryFlag(countryCode) {
+  const code = String(countryCode || '').trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) return '🏳️';
+  return String.fromCodePoint(...[...code].map(letter => 0x1f1e6 + letter.charCodeAt(0) - 65));
+}
+
+// What placeholders resolve against: the normalized record plus the flag,
+// the parsed user agent, the raw ASN details and the confidence area's
+// bounds and statistics
+export function templateContext(mainData, asnData = {}, confidenceInfo = null) {
+  const { pointCount, validPointCount } = confidenceInfo || {};
+  return {
+    ...mainData,
+    flag: countryFlag(mainData.location?.countryCode),
+    device: parseUserAgent(mainData.userAgent),
+    asnDetails: { ...asnData, registeredCountryFlag: countryFlag(asnData?.registeredCountry) },
+    confidenceArea: {
+      ...mainData.confidenceArea,
+      dataQuality: pointCount ? `${((validPointCount / pointCount) * 100).toFixed(1)}%` : null,
+      bounds: confidenceInfo?.bounds || null,
+      statistics: confidenceInfo?.statistics || null
+    }
+  };
+}
+
+function leafPaths(value, prefix = '') {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return [prefix];
+  return Object.entries(value).flatMap(([key, child]) => leafPaths(child, prefix ? `${prefix}.${key}` : key));
+}
+
+// Every placeholder a template may use, taken from a reference record so it
+// follows the normalized shape as it grows
+export const TEMPLATE_FIELDS = (() => {
+  const geo = createGeoRecord('template');
+  const confidenceInfo = processConfidenceArea([[0, 0], [1, 1]]);
+  const mainData = buildMainData({
+    ip: '192.0.2.1',
+    userAgent: '',
+    geo,
+    confidenceInfo,
+    requestId: 'request',
+    consent: { id: 'consent', policyVersion: 'version', consentedAt: 'time' }
+  });
+  const context = templateContext(mainData, {}, confidenceInfo);
+  context.asnDetails = Object.fromEntries([...ASN_DETAIL_FIELDS, 'registeredCountryFlag'].map(key => [key, '']));
+  return leafPaths(context).sort();
+})();
+
+function compileMessage(template, path, problems) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    problems.push(`${path}: must be an object`);
+    return null;
+  }
+  for (const key of Object.keys(template)) {
+    if (!MESSAGE_KEYS.includes(key)) problems.push(`${path}.${key}: unknown key (expected ${MESSAGE_KEYS.join(', ')})`);
+  }
+
+  const compile = (source, at) => {
+    try {
+      return compileTemplate(source, { fields: TEMPLATE_FIELDS });
+    } catch (error) {
+      problems.push(`${at}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const compiled = { color: null, fields: [] };
+  for (const key of ['title', 'description', 'footer']) {
+    if (template[key] !== undefined) compiled[key] = compile(template[key], `${path}.${key}`);
+  }
+  if (template.color !== undefined) {
+    if (Number.isInteger(template.color) && template.color >= 0 && template.color <= 0xffffff) compiled.color = template.color;
+    else problems.push(`${path}.color: must be an integer from 0 to 16777215`);
+  }
+  if (template.fields !== undefined && !Array.isArray(template.fields)) {
+    problems.push(`${path}.fields: must be an array`);
+  } else {
+    (template.fields || []).forEach((field, index) => {
+      const at = `${path}.fields[${index}]`;
+      if (!field || typeof field !== 'object') {
+        problems.push(`${at}: must be an object`);
+        return;
+      }
+      for (const key of Object.keys(field)) {
+        if (!FIELD_KEYS.includes(key)) problems.push(`${at}.${key}: unknown key (expected ${FIELD_KEYS.join(', ')})`);
+      }
+      if (field.inline !== undefined && typeof field.inline !== 'boolean') problems.push(`${at}.inline: must be true or false`);
+      compiled.fields.push({
+        name: compile(field.name, `${at}.name`),
+        value: compile(field.value, `${at}.value`),
+        inline: field.inline ?? true
+      });
+    });
+  }
+  if (template.title === undefined && !(template.fields || []).length) {
+    problems.push(`${path}: needs a title or at least one field`);
+  }
+  return compiled;
+}
+
+function readSource({ templates, templatesFile }) {
+  if (templates) return { text: templates, origin: 'NOTIFY_TEMPLATES' };
+  if (templatesFile) return { text: readFileSync(templatesFile, 'utf8'), origin: templatesFile };
+  return null;
+}
+
+// Resolves to { problems, forDestination(name) } without throwing, so a
+// startup check can list every problem at once
+export function validateTemplates(notifyConfig) {
+  const problems = [];
+  let raw = {};
+  try {
+    const source = readSource(notifyConfig);
+    if (source) {
+      try {
+        raw = JSON.parse(source.text);
+      } catch (error) {
+        problems.push(`${source.origin}: invalid JSON (${error.message})`);
+      }
+    }
+  } catch (error) {
+    problems.push(`NOTIFY_TEMPLATES_FILE: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('templates: must be a JSON object');
+    raw = {};
+  }
+
+  const compiled = { base: {}, variants: {} };
+  for (const key of Object.keys(raw)) {
+    if (key === 'variants') continue;
+    if (!TEMPLATE_NAMES.includes(key)) problems.push(`${key}: unknown template (expected ${TEMPLATE_NAMES.join(', ')} or variants)`);
+    else compiled.base[key] = compileMessage(raw[key], key, problems);
+  }
+  for (const [destination, variant] of Object.entries(raw.variants || {})) {
+    if (!TEMPLATED_DESTINATIONS.includes(destination)) {
+      problems.push(`variants.${destination}: unknown destination (expected ${TEMPLATED_DESTINATIONS.join(', ')})`);
+      continue;
+    }
+    compiled.variants[destination] = {};
+    for (const key of Object.keys(variant || {})) {
+      const at = `variants.${destination}.${key}`;
+      if (!TEMPLATE_NAMES.includes(key)) problems.push(`${at}: unknown template (expected ${TEMPLATE_NAMES.join(', ')})`);
+      else if (DISCORD_ONLY[key] && destination !== 'discord') problems.push(`${at}: only Discord sends ${DISCORD_ONLY[key]}`);
+      else compiled.variants[destination][key] = compileMessage(variant[key], at, problems);
+    }
+  }
+
+  return {
+    problems,
+    // { report, asnDetails, confidenceArea } for one destination; null where the built-in layout applies
+    forDestination(destination) {
+      return Object.fromEntries(TEMPLATE_NAMES.map(name => [
+        name,
+        compiled.variants[destination]?.[name] || compiled.base[name] || null
+      ]));
+    }
+  };
+}
+
+// Compiled once per distinct source; throws listing every problem
+const loaded = new Map();
+export function loadTemplates(notifyConfig) {
+  const key = `${notifyConfig.templates || ''}\u0000${notifyConfig.templatesFile || ''}`;
+  if (!loaded.has(key)) {
+    const result = validateTemplates(notifyConfig);
+    if (result.problems.length) {
+      const error = new Error(`Invalid notification templates:\n  - ${result.problems.join('\n  - ')}`);
+      error.problems = result.problems;
+      throw error;
+    }
+    loaded.set(key, result);
+  }
+  return loaded.get(key);
+}
+
+// Renders a compiled message template into { title, description, footer,
+// color, fields } with empty fields dropped
+export function renderMessage(template, context) {
+  const text = render => (render ? render(context).trim() : null) || null;
+  return {
+    title: text(template.title),
+    description: text(template.description),
+    footer: text(template.footer),
+    color: template.color,
+    fields: template.fields
+      .map(field => ({ name: text(field.name), value: text(field.value), inline: field.inline }))
+      .filter(field => field.name && field.value)
+  };
+}
+
+// The main message for one destination: its template when configured,
+// otherwise the built-in report
+export function reportMessageFor(templates, { mainData, asnData }) {
+  return templates?.report ? renderMessage(templates.report, templateContext(mainData, asnData)) : reportMessage(mainData);
+}
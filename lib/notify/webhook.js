@@ -0,0 +1,45 @@
+// /lib/notify/webhook.js - Generic JSON webhook notifier
+//
+// With secrets configured every delivery is signed (see ./signature.js) so
+// receivers can check it came from this app and wasn't replayed. Retries
+// are signed afresh, so receivers dedupe events by requestId.
+import { logger } from '../log/logger.js';
+import { sendJson } from './http.js';
+import { signPayload } from './signature.js';
+
+export const WEBHOOK_EVENT = 'ip.logged';
+export const DIGEST_EVENT = 'ip.digest';
+
+export function buildWebhookPayload({ mainData, asnData }) {
+  return {
+    event: WEBHOOK_EVENT,
+    requestId: mainData.requestId,
+    timestamp: mainData.timestamp,
+    data: mainData,
+    asnDetails: asnData && Object.keys(asnData).length ? asnData : null
+  };
+}
+
+export function buildDigestPayload(summary) {
+  return { event: DIGEST_EVENT, timestamp: summary.to, data: summary };
+}
+
+export function createWebhookNotifier({ url, secrets = [], timeoutMs, now = Date.now } = {}) {
+  const keys = [].concat(secrets || []).filter(Boolean);
+  const sign = keys.length ? text => signPayload(text, { secrets: keys, now: now() }) : null;
+  return {
+    name: 'webhook',
+
+    available: !!url,
+
+    async send(report, { log = logger } = {}) {
+      await sendJson(url, buildWebhookPayload(report), { label: 'Webhook', sign, timeoutMs, log });
+      return { sent: true, error: null };
+    },
+
+    async sendDigest(summary, { log = logger } = {}) {
+      await sendJson(url, buildDigestPayload(summary), { label: 'Webhook', sign, timeoutMs, log });
+      return { sent: true, error: null };
+    }
+  };
+}
@@ -0,0 +1,187 @@
+// /lib/outbox/index.js - Durable outbox for notifications that failed to deliver
+//
+// Store interface: { name, put(entry), get(id), list(), remove(id) }, all
+// async, plus an optional compact(). An entry is
+// { id, notifier, only, report, status, attempts, lastError, requestId,
+//   createdAt, updatedAt, nextAttemptAt } where status is pending or dead and
+// `only` lists the Discord sections still owed (null for everything).
+// The report is stored data, so callers queue the notification view under the
+// stricter of the notification and storage policies.
+// The file backend only works where every request shares a disk: on Vercel
+// each instance has its own temporary one, so it is refused there.
+import { randomUUID } from 'node:crypto';
+import { logger } from '../log/logger.js';
+import { createDestination } from '../notify/index.js';
+import { DISCORD_SECTIONS } from '../notify/discord.js';
+import { createJsonlStore } from './jsonl-store.js';
+import { createKvOutboxStore } from './kv-store.js';
+
+export const OUTBOX_STATUSES = ['pending', 'dead'];
+
+export function createOutboxStore(outboxConfig) {
+  switch (outboxConfig.backend) {
+    case 'file':
+      if (outboxConfig.serverless) return null;
+      return createJsonlStore({ path: outboxConfig.path });
+    case 'kv':
+      if (!outboxConfig.kv.url || !outboxConfig.kv.token) return null;
+      return createKvOutboxStore(outboxConfig.kv);
+    default:
+      return null;
+  }
+}
+
+// Why createOutbox() gives null, for operators
+export function outboxDisabledReason(outboxConfig) {
+  if (outboxConfig.backend === 'file' && outboxConfig.serverless) {
+    return 'a file outbox is not shared between Vercel instances; set KV_REST_API_URL and KV_REST_API_TOKEN';
+  }
+  if (outboxConfig.backend === 'kv') return 'KV_REST_API_URL and KV_REST_API_TOKEN are not set';
+  return `OUTBOX_BACKEND=${outboxConfig.backend}`;
+}
+
+// base, 2 × base, 4 × base … capped at maxDelaySeconds
+export function backoffSeconds(attempts, { baseDelaySeconds, maxDelaySeconds }) {
+  return Math.min(baseDelaySeconds * 2 ** Math.max(attempts - 1, 0), maxDelaySeconds);
+}
+
+// What a notifier result still owes: null once delivered, otherwise
+// { only, error } with the failed Discord sections, or only: null for
+// all-or-nothing destinations
+export function undelivered(result) {
+  if (result.results) {
+    const failed = DISCORD_SECTIONS.filter(section => result.results[section]?.error);
+    return failed.length ? { only: failed, error: result.results[failed[0]].error } : null;
+  }
+  return result.error ? { only: null, error: result.error } : null;
+}
+
+// Entry without the report, for listings
+export function summarizeEntry({ report, ...entry }) {
+  return entry;
+}
+
+export function createOutbox(outboxConfig, { now = Date.now } = {}) {
+  const store = createOutboxStore(outboxConfig);
+  if (!store) return null;
+
+  const nextAttemptAt = (attempts, at) => new Date(at + backoffSeconds(attempts, outboxConfig) * 1000).toISOString();
+
+  // Delivers one entry now: removes it on success, otherwise reschedules it
+  // or, out of attempts, moves it to the dead-letter list
+  async function attempt(entry, notifyConfig, { log = logger, deadline } = {}) {
+    const at = now();
+    let failure;
+    try {
+      const notifier = createDestination(entry.notifier, notifyConfig);
+      if (!notifier.available) throw new Error(`Notifier not configured: ${entry.notifier}`);
+      const result = await notifier.send(entry.report, { log, deadline, ...(entry.only ? { only: entry.only } : {}) });
+      failure = undelivered(result);
+    } catch (error) {
+      failure = { only: entry.only, error: error.message };
+    }
+
+    const attempts = entry.attempts + 1;
+    if (!failure) {
+      await store.remove(entry.id);
+      log.info('outbox.delivered', { id: entry.id, notifier: entry.notifier, attempts });
+      return { id: entry.id, notifier: entry.notifier, status: 'delivered', attempts, error: null };
+    }
+
+    const dead = attempts >= outboxConfig.maxAttempts;
+    const updated = {
+      ...entry,
+      only: failure.only ?? entry.only,
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastError: failure.error,
+      updatedAt: new Date(at).toISOString(),
+      nextAttemptAt: dead ? null : nextAttemptAt(attempts, at)
+    };
+    await store.put(updated);
+    if (dead) log.error('outbox.dead_lettered', { id: entry.id, notifier: entry.notifier, attempts, error: failure.error });
+    else log.warn('outbox.retry_failed', { id: entry.id, notifier: entry.notifier, attempts, error: failure.error, nextAttemptAt: updated.nextAttemptAt });
+    return { id: entry.id, notifier: entry.notifier, status: updated.status, attempts, error: failure.error };
+  }
+
+  return {
+    backend: store.name,
+
+    // Queues every failed delivery in a notifyAll() result map with the
+    // report as it may be stored. The failed first delivery counts as
+    // attempt 1. Resolves to queued ids by notifier.
+    async enqueueFailures(notifications, report, { requestId = null, log = logger } = {}) {
+      const queued = {};
+      for (const [notifier, result] of Object.entries(notifications)) {
+        const failure = undelivered(result);
+        if (!failure) continue;
+
+        const at = now();
+        const dead = outboxConfig.maxAttempts <= 1;
+        const entry = {
+          id: randomUUID(),
+          notifier,
+          only: failure.only,
+          report,
+          status: dead ? 'dead' : 'pending',
+          attempts: 1,
+          lastError: failure.error,
+          requestId,
+          createdAt: new Date(at).toISOString(),
+          updatedAt: new Date(at).toISOString(),
+          nextAttemptAt: dead ? null : nextAttemptAt(1, at)
+        };
+        try {
+          await store.put(entry);
+          queued[notifier] = entry.id;
+          log.info('outbox.queued', { id: entry.id, notifier, only: entry.only, nextAttemptAt: entry.nextAttemptAt });
+        } catch (error) {
+          log.error('outbox.queue_failed', { notifier, error: error.message });
+        }
+      }
+      return queued;
+    },
+
+    async list({ status } = {}) {
+      const entries = await store.list();
+      return status ? entries.filter(entry => entry.status === status) : entries;
+    },
+
+    get: id => store.get(id),
+
+    attempt,
+
+    // Retries pending entries whose time has come, oldest first, up to
+    // batchSize per run. Resolves to one result per attempted entry.
+    async retryDue(notifyConfig, { log = logger, deadline } = {}) {
+      const at = now();
+      const due = (await store.list())
+        .filter(entry => entry.status === 'pending' && Date.parse(entry.nextAttemptAt) <= at)
+        .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt))
+        .slice(0, outboxConfig.batchSize);
+
+      const results = [];
+      for (const entry of due) {
+        results.push(await attempt(entry, notifyConfig, { log, deadline }));
+      }
+      if (results.length) await store.compact?.();
+      return results;
+    },
+
+    // Delivers the given entries immediately, pending or dead. A dead entry
+    // that fails again stays on the dead-letter list.
+    async replay(ids, notifyConfig, { log = logger, deadline } = {}) {
+      const results = [];
+      for (const id of ids) {
+        const entry = await store.get(id);
+        if (!entry) {
+          results.push({ id, status: 'not-found' });
+          continue;
+        }
+        results.push(await attempt(entry, notifyConfig, { log, deadline }));
+      }
+      await store.compact?.();
+      return results;
+    }
+  };
+}
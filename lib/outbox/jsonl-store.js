@@ -0,0 +1,96 @@
+// /lib/outbox/jsonl-store.js - Append-only JSON-lines outbox; the last line for an id wins
+//
+// Appends and compaction both hold <path>.lock, so a line appended by a
+// request while the retry cron rewrites the file is never lost. A lock older
+// than LOCK_STALE_MS was left behind by a crashed process and is taken over.
+import { appendFile, mkdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { setTimeout as delay } from 'node:timers/promises';
+import { dirname } from 'node:path';
+
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 5;
+
+export function createJsonlStore({ path }) {
+  const lockPath = `${path}.lock`;
+  let ready = null;
+
+  async function withLock(fn) {
+    ready = ready || mkdir(dirname(path), { recursive: true });
+    await ready;
+    for (;;) {
+      try {
+        await writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const lock = await stat(lockPath).catch(() => null);
+        if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_MS) await rm(lockPath, { force: true });
+        else await delay(LOCK_RETRY_MS);
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await rm(lockPath, { force: true });
+    }
+  }
+
+  function append(record) {
+    return withLock(() => appendFile(path, `${JSON.stringify(record)}\n`));
+  }
+
+  async function load() {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A torn last line from an interrupted write
+        continue;
+      }
+      if (record.removed) entries.delete(record.id);
+      else entries.set(record.id, record);
+    }
+    return entries;
+  }
+
+  return {
+    name: 'file',
+
+    async put(entry) {
+      await append(entry);
+    },
+
+    async get(id) {
+      return (await load()).get(id);
+    },
+
+    async list() {
+      return [...(await load()).values()];
+    },
+
+    async remove(id) {
+      await append({ id, removed: true });
+    },
+
+    // Rewrites the file with only the live entries
+    compact() {
+      return withLock(async () => {
+        const entries = [...(await load()).values()];
+        const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+        await writeFile(temp, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        await rename(temp, path);
+      });
+    }
+  };
+}
@@ -0,0 +1,27 @@
+// /lib/outbox/kv-store.js - Outbox kept in one hash of a Redis-compatible REST store (Vercel KV / Upstash)
+import { createKvClient } from '../cache/kv-client.js';
+
+export function createKvOutboxStore({ url, token, timeoutMs, key = 'ip-logger:outbox' } = {}) {
+  const command = createKvClient({ url, token, timeoutMs });
+
+  return {
+    name: 'kv',
+
+    async put(entry) {
+      await command(['HSET', key, entry.id, JSON.stringify(entry)]);
+    },
+
+    async get(id) {
+      const raw = await command(['HGET', key, id]);
+      return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+    },
+
+    async list() {
+      return ((await command(['HVALS', key])) || []).map(raw => JSON.parse(raw));
+    },
+
+    async remove(id) {
+      await command(['HDEL', key, id]);
+    }
+  };
+}
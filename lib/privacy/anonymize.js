@@ -0,0 +1,74 @@
+// /lib/privacy/anonymize.js - Per-destination IP and coordinate anonymization
+//
+// A policy is { ip, coordinates }:
+//   ip:          full | truncate (/24 or /48) | hmac (keyed pseudonym) | none
+//   coordinates: exact | city (0.1°, ~11 km) | region (1°, ~111 km) | none
+// Notifications, stored records and the visitor's response each get one.
+import { createHmac } from 'node:crypto';
+import { ipPrefix, parseIp } from '../net/ip.js';
+
+export const IP_MODES = ['full', 'truncate', 'hmac', 'none'];
+
+const COORDINATE_DECIMALS = { exact: null, city: 1, region: 0, none: null };
+
+export const COORDINATE_MODES = Object.keys(COORDINATE_DECIMALS);
+
+export const FULL_POLICY = { ip: 'full', coordinates: 'exact' };
+
+export function anonymizeIp(ip, mode = 'full', { hmacKey } = {}) {
+  if (!IP_MODES.includes(mode)) throw new Error(`Unknown IP anonymization mode: ${mode}`);
+  if (!ip || mode === 'none') return null;
+
+  const address = parseIp(ip)?.address || ip;
+  if (mode === 'full') return address;
+  if (mode === 'truncate') return ipPrefix(address, 24, 48) || address;
+
+  if (!hmacKey) throw new Error('ANONYMIZE_HMAC_KEY is required for hmac IP anonymization');
+  // Stable per key, so repeat visitors can be correlated without the address
+  return `anon-${createHmac('sha256', hmacKey).update(address).digest('hex').substring(0, 16)}`;
+}
+
+export function roundCoordinate(value, mode = 'exact') {
+  if (!COORDINATE_MODES.includes(mode)) throw new Error(`Unknown coordinate anonymization mode: ${mode}`);
+  if (mode === 'none') return null;
+  if (mode === 'exact' || typeof value !== 'number' || !Number.isFinite(value)) return value;
+  return Number(value.toFixed(COORDINATE_DECIMALS[mode]));
+}
+
+// A copy of a geo record with coordinates and the confidence polygon reduced
+// to the given precision. The provider's raw payload repeats the exact
+// location (and often the IP), so it is only kept under exact.
+export function anonymizeGeoRecord(geo, mode = 'exact') {
+  if (!geo || mode === 'exact') return geo;
+  const round = value => roundCoordinate(value, mode);
+  return {
+    ...geo,
+    location: {
+      ...geo.location,
+      latitude: round(geo.location.latitude),
+      longitude: round(geo.location.longitude)
+    },
+    confidenceArea: mode === 'none' || !Array.isArray(geo.confidenceArea)
+      ? null
+      : geo.confidenceArea.map(point => (Array.isArray(point) ? point.map(round) : point)),
+    raw: null
+  };
+}
+
+// The stricter setting of each part, for data more than one policy covers
+// (a queued notification is both a notification and a stored record)
+export function strictestPolicy(...policies) {
+  const strictest = (modes, key) => modes[Math.max(...policies.map(policy => modes.indexOf(policy[key])))];
+  return { ip: strictest(IP_MODES, 'ip'), coordinates: strictest(COORDINATE_MODES, 'coordinates') };
+}
+
+// The IP and geo record as one destination may see them. The raw payload
+// echoes the looked-up address, so only a destination that may see the full
+// IP keeps it, whatever the coordinate policy.
+export function anonymizeFor(policy = FULL_POLICY, { ip, geo }, { hmacKey } = {}) {
+  const view = anonymizeGeoRecord(geo, policy.coordinates);
+  return {
+    ip: anonymizeIp(ip, policy.ip, { hmacKey }),
+    geo: view?.raw && policy.ip !== 'full' ? { ...view, raw: null } : view
+  };
+}
@@ -0,0 +1,74 @@
+// /lib/privacy/consent.js - Consent policy, signed consent tokens and consent records
+//
+// The page shows CONSENT_POLICY and, once the visitor agrees, /api/consent
+// issues a token: base64url(payload).base64url(HMAC-SHA256(payload)) where the
+// payload is { id, v: policy version, t: consent time in ms }. /api/log only
+// runs with a valid token for the current policy version.
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { appendFile } from 'node:fs/promises';
+
+// Bump the version whenever what is collected or where it goes changes;
+// tokens issued for an older version stop being accepted
+export const CONSENT_POLICY = {
+  version: '2026-10-19',
+  collected: [
+    'Your IP address and how it reached the server',
+    'Approximate location looked up from that address (continent, country, region, city, coordinates, accuracy area)',
+    'Network details for that address (ASN, organisation, registry, connection type)',
+    'Timezone and your browser user agent'
+  ],
+  destinations: [
+    'Geolocation providers configured by the operator (BigDataCloud, a local MaxMind database or Vercel edge headers)',
+    'Notification channels configured by the operator: Discord, Slack, Matrix, a JSON webhook or email',
+    'Server logs, tagged with a request ID'
+  ]
+};
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function issueConsentToken({ secret, policyVersion = CONSENT_POLICY.version, now = Date.now() }) {
+  const record = { id: randomUUID(), policyVersion, consentedAt: new Date(now).toISOString() };
+  const payload = Buffer.from(JSON.stringify({ id: record.id, v: policyVersion, t: now })).toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, record };
+}
+
+// Resolves to { valid: true, record } or { valid: false, reason }
+export function verifyConsentToken(token, { secret, policyVersion = CONSENT_POLICY.version, maxAgeSeconds, now = Date.now() }) {
+  if (!secret) return { valid: false, reason: 'not-configured' };
+  if (!token) return { valid: false, reason: 'missing' };
+
+  const [payload, signature, extra] = token.toString().split('.');
+  if (!payload || !signature || extra !== undefined) return { valid: false, reason: 'malformed' };
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'bad-signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!claims?.id || !Number.isFinite(claims.t)) return { valid: false, reason: 'malformed' };
+  if (claims.v !== policyVersion) return { valid: false, reason: 'policy-changed' };
+  if (maxAgeSeconds && now - claims.t > maxAgeSeconds * 1000) return { valid: false, reason: 'expired' };
+
+  return {
+    valid: true,
+    record: { id: claims.id, policyVersion: claims.v, consentedAt: new Date(claims.t).toISOString() }
+  };
+}
+
+// Consent records always go to the structured log; with CONSENT_RECORD_PATH
+// they are also appended to a JSON-lines file
+export async function recordConsent(record, consentConfig, log) {
+  log.info('consent.recorded', { consent: record });
+  if (consentConfig.recordPath) {
+    await appendFile(consentConfig.recordPath, `${JSON.stringify(record)}\n`);
+  }
+}
@@ -0,0 +1,26 @@
+// /lib/privacy/signals.js - Global Privacy Control (Sec-GPC) and Do Not Track (DNT) handling
+//
+// Policies: honor (GPC or DNT opts out), gpc (only GPC opts out), ignore.
+// An opted-out visitor still sees their own lookup, but nothing is sent to
+// notifiers or written to persistent storage.
+export const SIGNAL_POLICIES = ['honor', 'gpc', 'ignore'];
+
+function flag(headers, name) {
+  const value = headers?.[name];
+  return (Array.isArray(value) ? value[0] : value)?.toString().trim() === '1';
+}
+
+export function readPrivacySignals(headers) {
+  return { gpc: flag(headers, 'sec-gpc'), dnt: flag(headers, 'dnt') };
+}
+
+// Resolves to { gpc, dnt, policy, optedOut }; unknown policies fall back to honor
+export function privacyDecision(headers, requested = 'honor') {
+  const policy = SIGNAL_POLICIES.includes(requested) ? requested : 'honor';
+  const signals = readPrivacySignals(headers);
+  const optedOut =
+    policy === 'honor' ? signals.gpc || signals.dnt
+      : policy === 'gpc' ? signals.gpc
+        : false;
+  return { ...signals, policy, optedOut };
+}
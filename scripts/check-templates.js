@@ -0,0 +1,10 @@
+// /scripts/check-templates.js - Validate NOTIFY_TEMPLATES / NOTIFY_TEMPLATES_FILE before deploying or starting
+import { loadConfig } from '../lib/config.js';
+import { validateTemplates } from '../lib/notify/templates.js';
+
+const { problems } = validateTemplates(loadConfig().notify);
+if (problems.length) {
+  console.error(`Invalid notification templates:\n  - ${problems.join('\n  - ')}`);
+  process.exit(1);
+}
+console.log('Notification templates OK');
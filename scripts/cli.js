@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// /scripts/cli.js - Run the server's lookup pipeline locally: resolve → geolocate → ASN → normalize
+//
+//   ip-logger lookup 8.8.8.8 1.1.1.1
+//   ip-logger lookup --file ips.txt        one per line, CSV with an ip column, or .ndjson / .jsonl
+//   ip-logger asn AS15169
+//   ip-logger replay fixture.json          a recorded exchange, normalized offline
+//   ip-logger replay fixtures/             every recording in a GEO_RECORD_DIR directory
+//   ip-logger anonymize fixtures/          replace recorded addresses with their /24 or /48
+//
+// --format table (default) | json | ndjson. Providers and caches come from
+// the same environment as the server (BIGDATACLOUD_API_KEY, MMDB_*,
+// CACHE_*, …). Log lines go to stderr (LOG_LEVEL, default warn). Exits 1
+// when any row isn't ok, 2 on usage errors.
+import { realpathSync } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { formatRecords, parseAddresses } from '../lib/http/records.js';
+import { lookupAsnDetails, lookupRows, replayRecordings, replayRow } from '../lib/geo/lookup.js';
+import { anonymizeFixtures } from '../lib/geo/fixtures.js';
+
+const USAGE = `Usage:
+  ip-logger lookup <ip>... [--file <path>] [--format table|json|ndjson] [--concurrency <n>]
+  ip-logger asn <AS123>... [--format table|json|ndjson]
+  ip-logger replay <fixture.json|dir>... [--format table|json|ndjson]
+  ip-logger anonymize <dir>... [--format table|json|ndjson]`;
+
+const FORMATS = ['table', 'json', 'ndjson'];
+const TABLE_COLUMNS = {
+  lookup: ['ip', 'status', 'countryCode', 'city', 'asn', 'organisation', 'connectionType', 'provider', 'error'],
+  asn: ['asn', 'status', 'organisation', 'registry', 'registeredCountry', 'totalIpv4Addresses', 'rank', 'error'],
+  anonymize: ['key', 'from', 'to', 'status']
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+// Aligned columns; empty values show as -
+export function formatTable(rows, columns) {
+  const cell = value => (value === null || value === undefined || value === '' ? '-' : String(value));
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+  return [columns, ...rows.map(row => columns.map(column => cell(row[column])))]
+    .map(values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n') + '\n';
+}
+
+export function formatOutput(rows, format, columns) {
+  if (format === 'json') return `${JSON.stringify(rows, null, 2)}\n`;
+  if (format === 'ndjson') return formatRecords(rows, 'ndjson');
+  return formatTable(rows, columns);
+}
+
+function asnRow({ asn, status, error, asnData }) {
+  return {
+    asn,
+    status,
+    organisation: asnData?.organisation ?? null,
+    name: asnData?.name ?? null,
+    registry: asnData?.registry ?? null,
+    registeredCountry: asnData?.registeredCountry ?? null,
+    totalIpv4Addresses: asnData?.totalIpv4Addresses ?? null,
+    rank: asnData?.rankText ?? null,
+    error
+  };
+}
+
+// Resolves to { rows, columns, format } for one command line
+export async function runCommand(argv, { env = process.env, log } = {}) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      format: { type: 'string', short: 'o', default: 'table' },
+      concurrency: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (values.help || !command) throw usageError(USAGE);
+  if (!FORMATS.includes(values.format)) throw usageError(`--format must be one of ${FORMATS.join(', ')}`);
+
+  const config = loadConfig(env);
+  const result = await run(command, args, values, { config, log });
+  return { ...result, format: values.format };
+}
+
+async function run(command, args, values, { config, log }) {
+  switch (command) {
+    case 'lookup': {
+      const addresses = [...args];
+      if (values.file) {
+        const text = await readFile(values.file, 'utf8');
+        addresses.push(...parseAddresses(text, /\.(ndjson|jsonl)$/i.test(values.file) ? 'ndjson' : 'csv'));
+      }
+      if (!addresses.length) throw usageError('lookup needs at least one address or --file');
+      const concurrency = values.concurrency ? parseInt(values.concurrency, 10) : config.lookup.concurrency;
+      if (!(concurrency > 0)) throw usageError('--concurrency must be a positive number');
+      return { rows: await lookupRows(addresses, { config, concurrency, log }), columns: TABLE_COLUMNS.lookup };
+    }
+    case 'asn': {
+      if (!args.length) throw usageError('asn needs at least one ASN');
+      const rows = [];
+      for (const asn of args) rows.push(asnRow(await lookupAsnDetails(asn, { config, log })));
+      return { rows, columns: TABLE_COLUMNS.asn };
+    }
+    case 'replay': {
+      if (!args.length) throw usageError('replay needs at least one fixture file or directory');
+      const rows = [];
+      for (const path of args) {
+        if ((await stat(path)).isDirectory()) {
+          rows.push(...await replayRecordings(path, { config }));
+          continue;
+        }
+        const fixtures = [].concat(JSON.parse(await readFile(path, 'utf8')));
+        rows.push(...fixtures.map(fixture => replayRow(fixture, { config })));
+      }
+      return { rows, columns: TABLE_COLUMNS.lookup };
+    }
+    case 'anonymize': {
+      if (!args.length) throw usageError('anonymize needs at least one fixture directory');
+      const rows = [];
+      for (const dir of args) {
+        const changed = await anonymizeFixtures(dir);
+        rows.push(...changed.map(({ key, from, to }) => ({ key, from: basename(from), to: basename(to), status: 'ok' })));
+      }
+      return { rows, columns: TABLE_COLUMNS.anonymize };
+    }
+    default:
+      throw usageError(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+async function main() {
+  const output = { log: console.error, warn: console.error, error: console.error };
+  const log = createLogger({ level: process.env.LOG_LEVEL || 'warn', output });
+  try {
+    const { rows, columns, format } = await runCommand(process.argv.slice(2), { log });
+    process.stdout.write(formatOutput(rows, format, columns));
+    process.exitCode = rows.every(row => row.status === 'ok') ? 0 : 1;
+  } catch (error) {
+    console.error(error.usage ? error.message : `Error: ${error.message}`);
+    process.exitCode = error.usage || error.code?.startsWith('ERR_PARSE_ARGS') ? 2 : 1;
+  }
+}
+
+// Run when invoked directly (also through the npm bin symlink), not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) main();
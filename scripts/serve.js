@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// /scripts/serve.js - Run the API and the page on plain node:http, off Vercel
+//
+//   PORT=8080 BIGDATACLOUD_API_KEY=… CONSENT_SECRET=… npm start
+//
+// Configuration comes from the environment as on Vercel, plus PORT, HOST,
+// SHUTDOWN_GRACE_MS and BODY_LIMIT_BYTES. Behind a reverse proxy, set
+// TRUSTED_PROXIES (or CLIENT_IP_HEADER) so the visitor's address is taken
+// from its forwarding headers. Notification templates and routes are
+// checked before listening; SIGTERM / SIGINT drain in-flight requests.
+import { loadConfig } from '../lib/config.js';
+import { logger } from '../lib/log/logger.js';
+import { notifyMisconfigured } from '../lib/notify/index.js';
+import { createAppServer } from '../lib/http/server.js';
+
+const config = loadConfig();
+const misconfigured = notifyMisconfigured(config.notify);
+if (misconfigured) {
+  console.error(`${misconfigured.error}:\n  - ${misconfigured.problems.join('\n  - ')}`);
+  process.exit(1);
+}
+
+const app = createAppServer({ config: config.server });
+const { address, port } = await app.listen();
+logger.info('server.listening', { address, port });
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  // A second signal falls through to the default and exits at once
+  process.once(signal, async () => {
+    logger.info('server.stopping', { signal });
+    await app.close();
+    logger.info('server.stopped');
+    process.exit(0);
+  });
+}
@@ -0,0 +1,159 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import logHandler from '../api/log.js';
+import { anonymizeGeoRecord, anonymizeIp, roundCoordinate } from '../lib/privacy/anonymize.js';
+import { geoCacheKey } from '../lib/geo/cache.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/4/anonymizeTestToken';
+const HMAC_KEY = 'anonymize-test-key';
+// Policies every test starts without
+const POLICIES = [
+  'ANONYMIZE_NOTIFICATIONS_IP', 'ANONYMIZE_NOTIFICATIONS_COORDINATES',
+  'ANONYMIZE_STORAGE_IP', 'ANONYMIZE_STORAGE_COORDINATES',
+  'ANONYMIZE_RESPONSE_IP', 'ANONYMIZE_RESPONSE_COORDINATES'
+];
+
+let cacheDir;
+
+beforeEach(async () => {
+  cacheDir = await mkdtemp(join(tmpdir(), 'anonymize-test-'));
+  resetCircuits();
+  resetMemoryCache();
+});
+
+afterEach(async () => {
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: 'bdc_anonymize_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'file',
+  CACHE_DIR: cacheDir,
+  CONSENT_SECRET,
+  ANONYMIZE_HMAC_KEY: HMAC_KEY
+}), { clear: POLICIES });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function callLog() {
+  const res = createResponse();
+  const req = createRequest({ remoteAddress: '8.8.8.8', headers: consentHeaders() });
+  await captureConsole(() => logHandler(req, res));
+  return res;
+}
+
+function webhookPayloads() {
+  return fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).map(call => JSON.stringify(call.body));
+}
+
+test('anonymizeIp supports full, truncate, hmac and none for both families', () => {
+  assert.equal(anonymizeIp('8.8.8.8', 'full'), '8.8.8.8');
+  assert.equal(anonymizeIp('8.8.8.8', 'truncate'), '8.8.8.0/24');
+  assert.equal(anonymizeIp('2001:db8:1234:5678::1', 'truncate'), '2001:db8:1234::/48');
+  assert.equal(anonymizeIp('8.8.8.8', 'none'), null);
+
+  const pseudonym = anonymizeIp('8.8.8.8', 'hmac', { hmacKey: HMAC_KEY });
+  assert.match(pseudonym, /^anon-[0-9a-f]{16}$/);
+  assert.equal(anonymizeIp('8.8.8.8', 'hmac', { hmacKey: HMAC_KEY }), pseudonym);
+  assert.notEqual(anonymizeIp('8.8.8.8', 'hmac', { hmacKey: 'other-key' }), pseudonym);
+
+  assert.throws(() => anonymizeIp('8.8.8.8', 'hmac'), /ANONYMIZE_HMAC_KEY/);
+  assert.throws(() => anonymizeIp('8.8.8.8', 'mask'), /Unknown IP anonymization mode/);
+});
+
+test('coordinates round to city or region precision and drop the raw payload', () => {
+  assert.equal(roundCoordinate(37.4219, 'city'), 37.4);
+  assert.equal(roundCoordinate(-122.0841, 'region'), -122);
+  assert.equal(roundCoordinate(37.4219, 'none'), null);
+  assert.equal(roundCoordinate(37.4219, 'exact'), 37.4219);
+
+  const geo = { location: { latitude: 37.4219, longitude: -122.0841 }, confidenceArea: [[-122.0841, 37.4219]], raw: SAMPLE_GEO };
+  assert.deepEqual(anonymizeGeoRecord(geo, 'city'), {
+    location: { latitude: 37.4, longitude: -122.1 },
+    confidenceArea: [[-122.1, 37.4]],
+    raw: null
+  });
+  assert.equal(anonymizeGeoRecord(geo, 'none').confidenceArea, null);
+});
+
+test('notifications and the response follow separate policies', async () => {
+  process.env.ANONYMIZE_NOTIFICATIONS_IP = 'truncate';
+  process.env.ANONYMIZE_NOTIFICATIONS_COORDINATES = 'region';
+  process.env.ANONYMIZE_RESPONSE_IP = 'hmac';
+  process.env.ANONYMIZE_RESPONSE_COORDINATES = 'city';
+
+  const res = await callLog();
+  assert.equal(res.statusCode, 200);
+
+  const payloads = webhookPayloads();
+  // Main, ASN and confidence area, packed into as few posts as the limits allow
+  const embeds = fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).flatMap(call => call.body.embeds);
+  assert.ok(embeds.length >= 3);
+  for (const payload of payloads) {
+    assert.ok(!payload.includes('8.8.8.8'), payload);
+    assert.ok(!payload.includes('37.42'), payload);
+  }
+  assert.ok(payloads[0].includes('8.8.8.0/24'));
+  assert.ok(payloads[0].includes('37, -122'));
+
+  assert.equal(res.body.data.ip, anonymizeIp('8.8.8.8', 'hmac', { hmacKey: HMAC_KEY }));
+  assert.deepEqual(res.body.data.ipSource.chain, []);
+  assert.equal(res.body.data.location.latitude, 37.4);
+  assert.equal(res.body.data.location.longitude, -122.1);
+  assert.ok(!JSON.stringify(res.body).includes('8.8.8.8'));
+});
+
+test('an IP policy of none withholds the address and a coordinate policy of none skips the polygon', async () => {
+  process.env.ANONYMIZE_NOTIFICATIONS_IP = 'none';
+  process.env.ANONYMIZE_NOTIFICATIONS_COORDINATES = 'none';
+
+  const res = await callLog();
+  const payloads = webhookPayloads();
+
+  assert.ok(payloads[0].includes('Withheld'));
+  assert.ok(payloads.every(payload => !payload.includes('8.8.8.8') && !payload.includes('37.42')));
+  assert.equal(res.body.webhooks.confidence.sent, false);
+  assert.equal(res.body.data.ip, '8.8.8.8');
+});
+
+test('stored records follow the storage policy', async () => {
+  process.env.ANONYMIZE_STORAGE_IP = 'hmac';
+  process.env.ANONYMIZE_STORAGE_COORDINATES = 'city';
+  await callLog();
+
+  const stored = await Promise.all((await readdir(cacheDir)).map(name => readFile(join(cacheDir, name), 'utf8')));
+  assert.ok(stored.length > 0);
+  assert.ok(stored.every(text => !text.includes('8.8.8.8') && !text.includes('37.42')));
+
+  // Exact coordinates keep the record as looked up, but not the address in its raw payload
+  for (const mode of ['hmac', 'truncate']) {
+    await rm(cacheDir, { recursive: true, force: true });
+    resetMemoryCache();
+    process.env.ANONYMIZE_STORAGE_IP = mode;
+    process.env.ANONYMIZE_STORAGE_COORDINATES = 'exact';
+    await callLog();
+
+    const entries = await Promise.all((await readdir(cacheDir)).map(name => readFile(join(cacheDir, name), 'utf8')));
+    assert.ok(entries.some(text => text.includes('37.42')), mode);
+    assert.ok(entries.every(text => !text.includes('8.8.8.8')), mode);
+  }
+
+  const config = { keyMode: 'ip', prefixV4: 24, prefixV6: 48 };
+  assert.equal(geoCacheKey('8.8.8.8', config, { ip: 'truncate' }), 'geo:8.8.8.0/24');
+  assert.equal(geoCacheKey('8.8.8.8', config, { ip: 'none' }), null);
+  assert.equal(
+    geoCacheKey('8.8.8.8', config, { ip: 'hmac' }, HMAC_KEY),
+    `geo:${anonymizeIp('8.8.8.8', 'hmac', { hmacKey: HMAC_KEY })}`
+  );
+});
@@ -0,0 +1,67 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache, resetMemoryCache } from '../lib/cache/index.js';
+import { createKvClient } from '../lib/cache/kv-client.js';
+import { stubFetch } from './helpers.js';
+
+const KV = { url: 'https://kv.example.org', token: 'kv-cache-token', timeoutMs: 100 };
+const CACHE_CONFIG = { backend: 'kv', maxEntries: 10, memoryTtlSeconds: 60, kv: KV };
+
+let fetchStub;
+
+afterEach(() => {
+  fetchStub?.restore();
+  fetchStub = null;
+  resetMemoryCache();
+});
+
+// A KV that accepts the request and never answers
+function hangingKv() {
+  return stubFetch([
+    [() => true, (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    })]
+  ]);
+}
+
+test('KV commands send the token and resolve to the result', async () => {
+  fetchStub = stubFetch([
+    [url => url === KV.url, () => ({ body: { result: '{"city":"Berlin"}' } })]
+  ]);
+
+  const cache = createCache(CACHE_CONFIG);
+  assert.deepEqual(await cache.get('ip:203.0.113.7'), { value: { city: 'Berlin' }, source: 'kv' });
+  assert.deepEqual(fetchStub.calls[0].body, ['GET', 'ip-logger:ip:203.0.113.7']);
+  assert.equal(fetchStub.calls[0].init.headers.Authorization, 'Bearer kv-cache-token');
+  // The second read is answered from memory
+  assert.deepEqual(await cache.get('ip:203.0.113.7'), { value: { city: 'Berlin' }, source: 'memory' });
+  assert.equal(fetchStub.calls.length, 1);
+});
+
+test('a KV store that stops answering times out and counts as a miss', async () => {
+  fetchStub = hangingKv();
+  // AbortSignal.timeout doesn't keep the process alive on its own
+  const keepAlive = setTimeout(() => {}, 5000);
+  try {
+    await assert.rejects(createKvClient(KV)(['GET', 'key']), { message: 'KV error: timed out after 100ms', code: 'ETIMEDOUT' });
+
+    const cache = createCache(CACHE_CONFIG);
+    const started = Date.now();
+    assert.deepEqual(await cache.get('ip:203.0.113.7'), { value: undefined, source: null });
+    await cache.set('ip:203.0.113.7', { city: 'Berlin' }, 3600);
+    assert.ok(Date.now() - started < 1000);
+    // The write still reached memory
+    assert.deepEqual(await cache.get('ip:203.0.113.7'), { value: { city: 'Berlin' }, source: 'memory' });
+  } finally {
+    clearTimeout(keepAlive);
+  }
+});
+
+test('other KV failures keep their error', async () => {
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 503, body: { error: 'unavailable' } })]
+  ]);
+
+  await assert.rejects(createKvClient(KV)(['GET', 'key']), { message: 'KV error: 503' });
+  assert.deepEqual(await createCache(CACHE_CONFIG).get('key'), { value: undefined, source: null });
+});
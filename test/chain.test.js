@@ -0,0 +1,120 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviderChain } from '../lib/geo/chain.js';
+import { createCircuitBreaker, resetCircuits } from '../lib/geo/breaker.js';
+import { createGeoRecord } from '../lib/geo/normalize.js';
+
+beforeEach(() => {
+  resetCircuits();
+});
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+// A provider whose lookups run `answer` and are counted
+function fakeProvider(name, answer, fields = []) {
+  const provider = {
+    name,
+    available: true,
+    fields,
+    calls: 0,
+    async lookup(ip, options) {
+      provider.calls++;
+      return answer(ip, options);
+    }
+  };
+  return provider;
+}
+
+const found = name => () => createGeoRecord(name);
+const failing = error => () => {
+  throw error;
+};
+
+test('providers are tried in order and the first answer wins, with what it lacks listed', async () => {
+  const primary = fakeProvider('primary', failing(httpError(503)), ['location.city', 'network.asn']);
+  const fallback = fakeProvider('fallback', found('fallback'), ['location.city']);
+  const unused = fakeProvider('unused', found('unused'));
+  const result = await createProviderChain([primary, fallback, unused]).lookup('8.8.8.8');
+
+  assert.equal(result.provider, fallback);
+  assert.equal(result.geo.provider, 'fallback');
+  assert.deepEqual(result.degraded, ['network.asn']);
+  assert.deepEqual(result.attempts.map(({ provider, ok, status }) => [provider, ok, status ?? null]), [
+    ['primary', false, 503],
+    ['fallback', true, null]
+  ]);
+  assert.equal(unused.calls, 0);
+});
+
+test('a slow provider is cut off at its step timeout, and the budget skips what is left', async () => {
+  const hang = () => new Promise(() => {});
+  const slow = fakeProvider('slow', hang);
+  const result = await createProviderChain([slow, fakeProvider('next', found('next'))], { stepTimeoutMs: 20 }).lookup('8.8.8.8');
+  assert.equal(result.geo.provider, 'next');
+  assert.match(result.attempts[0].error, /slow timed out after 20ms/);
+
+  let clock = 0;
+  const chain = createProviderChain([fakeProvider('spent', () => {
+    clock = 100;
+    throw httpError(500);
+  }), fakeProvider('late', found('late'))], { budgetMs: 100, now: () => clock });
+  const spent = await chain.lookup('8.8.8.8');
+  assert.equal(spent.geo, null);
+  assert.deepEqual(spent.attempts[1], { provider: 'late', ok: false, skipped: 'budget-exhausted' });
+});
+
+test('timeouts, network errors and 5xx open the circuit until the cooldown ends', async () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => clock });
+  const networkError = new TypeError('fetch failed');
+  const errors = [httpError(502), networkError, httpError(500)];
+  const flaky = fakeProvider('flaky', () => {
+    throw errors.shift() || httpError(500);
+  });
+  const backup = fakeProvider('backup', found('backup'));
+  const chain = () => createProviderChain([flaky, backup], { breaker, now: () => clock });
+
+  for (let i = 0; i < 3; i++) await chain().lookup('8.8.8.8');
+  assert.equal(breaker.state('flaky'), 'open');
+
+  const skipped = await chain().lookup('8.8.8.8');
+  assert.deepEqual(skipped.attempts[0], { provider: 'flaky', ok: false, skipped: 'circuit-open' });
+  assert.equal(flaky.calls, 3);
+
+  // After the cooldown one trial goes through; failing it re-opens at once
+  clock = 1000;
+  assert.equal(breaker.state('flaky'), 'half-open');
+  await chain().lookup('8.8.8.8');
+  assert.equal(flaky.calls, 4);
+  assert.equal(breaker.state('flaky'), 'open');
+
+  // A trial that succeeds closes it again
+  clock = 2000;
+  flaky.lookup = async () => createGeoRecord('flaky');
+  await chain().lookup('8.8.8.8');
+  assert.equal(breaker.state('flaky'), 'closed');
+});
+
+test('4xx answers such as a missing MMDB record never open the circuit', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 2 });
+  const missing = Object.assign(new Error('No MMDB record for 192.0.2.1'), { status: 404 });
+  const mmdb = fakeProvider('mmdb', failing(missing));
+  const picky = fakeProvider('picky', failing(httpError(400)));
+
+  for (let i = 0; i < 5; i++) await createProviderChain([mmdb, picky], { breaker }).lookup('192.0.2.1');
+  assert.equal(breaker.state('mmdb'), 'closed');
+  assert.equal(breaker.state('picky'), 'closed');
+  assert.equal(mmdb.calls, 5);
+
+  // Nor do they count towards a run of real failures
+  const mixed = [httpError(500), httpError(404), httpError(500)];
+  const unsteady = fakeProvider('unsteady', () => {
+    throw mixed.shift();
+  });
+  for (let i = 0; i < 3; i++) await createProviderChain([unsteady], { breaker }).lookup('8.8.8.8');
+  assert.equal(breaker.state('unsteady'), 'closed');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveClientIp } from '../lib/net/client-ip.js';
+import { createRequest } from './helpers.js';
+
+const PROXIES = { trustedProxies: ['10.0.0.0/8'] };
+
+test('forwarding headers are believed only from a trusted peer', () => {
+  const headers = { 'x-forwarded-for': '203.0.113.7, 10.0.0.2' };
+  assert.equal(resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers }), PROXIES).ip, '203.0.113.7');
+  assert.deepEqual(resolveClientIp(createRequest({ remoteAddress: '198.51.100.9', headers }), PROXIES), {
+    ip: '198.51.100.9', method: 'socket', peer: '198.51.100.9', chain: []
+  });
+});
+
+test('without a peer address only the platform header is trusted', () => {
+  const headers = { 'x-forwarded-for': '203.0.113.7', forwarded: 'for=203.0.113.8', 'x-vercel-forwarded-for': '203.0.113.9' };
+  const req = { headers, socket: {} };
+  assert.deepEqual(resolveClientIp(req, PROXIES), { ip: null, method: 'none', peer: null, chain: [] });
+  assert.equal(resolveClientIp(req, { ...PROXIES, trustedHeader: 'x-vercel-forwarded-for' }).ip, '203.0.113.9');
+});
+
+test('Forwarded node identifiers may be quoted, bracketed and carry a port', () => {
+  const resolve = forwarded => resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers: { forwarded } }), PROXIES);
+
+  assert.deepEqual(resolve('for="[2001:db8::1]:4711"'), {
+    ip: '2001:db8::1', method: 'forwarded', peer: '10.0.0.1', chain: ['"[2001:db8::1]:4711"']
+  });
+  assert.equal(resolve('for="[2001:DB8:0::1]"').ip, '2001:db8::1');
+  assert.equal(resolve('for="192.0.2.60:8080"').ip, '192.0.2.60');
+  assert.equal(resolve('For=192.0.2.60;proto=https;by=10.0.0.1').ip, '192.0.2.60');
+  // A comma inside quotes doesn't split elements
+  assert.equal(resolve('proto=https;for="[2001:db8::1]:4711";host="a,b", for=10.0.0.2').ip, '2001:db8::1');
+  // Forwarded wins over X-Forwarded-For
+  const both = { forwarded: 'for=192.0.2.60', 'x-forwarded-for': '198.51.100.1' };
+  assert.equal(resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers: both }), PROXIES).ip, '192.0.2.60');
+});
+
+test('the chain is walked right to left past every trusted hop', () => {
+  const proxies = { trustedProxies: ['10.0.0.0/8', '192.168.0.0/16', '2001:db8:cafe::/48'] };
+  const resolve = (headers, remoteAddress = '10.0.0.1') => resolveClientIp(createRequest({ remoteAddress, headers }), proxies);
+
+  assert.equal(resolve({ 'x-forwarded-for': '198.51.100.1, 203.0.113.7, 192.168.1.1, 10.0.0.2' }).ip, '203.0.113.7');
+  assert.equal(resolve({ forwarded: 'for=198.51.100.1, for=203.0.113.7, for="[2001:db8:cafe::17]:80", for=10.0.0.2' }).ip, '203.0.113.7');
+  // Repeated headers arrive as arrays and read as one chain
+  assert.equal(resolve({ 'x-forwarded-for': ['198.51.100.1', '203.0.113.7, 10.0.0.2'] }).ip, '203.0.113.7');
+  // An IPv4-mapped peer is the IPv4 proxy it carries
+  assert.equal(resolve({ 'x-forwarded-for': '203.0.113.7' }, '::ffff:10.0.0.1').ip, '203.0.113.7');
+  // When every hop is a proxy the left-most one is as far as the chain goes
+  assert.deepEqual(resolve({ 'x-forwarded-for': '10.0.0.5, 10.0.0.3' }), {
+    ip: '10.0.0.5', method: 'x-forwarded-for', peer: '10.0.0.1', chain: ['10.0.0.5', '10.0.0.3']
+  });
+  assert.deepEqual(resolve({ 'x-real-ip': ' 203.0.113.7 ' }), {
+    ip: '203.0.113.7', method: 'x-real-ip', peer: '10.0.0.1', chain: ['203.0.113.7']
+  });
+  assert.deepEqual(resolve({}), { ip: '10.0.0.1', method: 'socket', peer: '10.0.0.1', chain: [] });
+});
+
+test('a spoofed left-most X-Forwarded-For entry is ignored', () => {
+  // The client sent "X-Forwarded-For: 1.1.1.1"; the trusted proxy appended the real address
+  const headers = { 'x-forwarded-for': '1.1.1.1, 203.0.113.7' };
+  assert.equal(resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers }), PROXIES).ip, '203.0.113.7');
+  // Claiming to be a trusted proxy doesn't help either
+  const posing = { 'x-forwarded-for': '1.1.1.1, 10.0.0.9, 203.0.113.7' };
+  assert.equal(resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers: posing }), PROXIES).ip, '203.0.113.7');
+});
+
+test('an unparseable hop before the client ends the walk with no address', () => {
+  const resolve = headers => resolveClientIp(createRequest({ remoteAddress: '10.0.0.1', headers }), PROXIES);
+
+  for (const forwarded of ['for=_hidden', 'for=unknown', 'for="[2001:db8::1"', 'proto=https', 'for=203.0.113.7, for=_hidden, for=10.0.0.2']) {
+    const result = resolve({ forwarded });
+    assert.deepEqual([result.ip, result.method], [null, 'forwarded:unparseable'], forwarded);
+  }
+  for (const xForwardedFor of ['garbage', '203.0.113.7, 999.1.1.1', '203.0.113.7, 010.0.0.2']) {
+    const result = resolve({ 'x-forwarded-for': xForwardedFor });
+    assert.deepEqual([result.ip, result.method], [null, 'x-forwarded-for:unparseable'], xForwardedFor);
+  }
+  // Garbage left of the first untrusted hop is never reached
+  assert.equal(resolve({ 'x-forwarded-for': 'garbage, 203.0.113.7, 10.0.0.2' }).ip, '203.0.113.7');
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import logHandler from '../api/log.js';
+import consentHandler from '../api/consent.js';
+import { CONSENT_POLICY, issueConsentToken, verifyConsentToken } from '../lib/privacy/consent.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/2/consentTestToken';
+
+let recordDir;
+
+beforeEach(async () => {
+  recordDir = await mkdtemp(join(tmpdir(), 'consent-test-'));
+  resetCircuits();
+  resetMemoryCache();
+});
+
+afterEach(async () => {
+  await rm(recordDir, { recursive: true, force: true });
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: 'bdc_consent_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'none',
+  CONSENT_SECRET,
+  CONSENT_RECORD_PATH: join(recordDir, 'consent.jsonl')
+}));
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function callLog(headers = {}) {
+  const res = createResponse();
+  await captureConsole(() => logHandler(createRequest({ remoteAddress: '8.8.8.8', headers }), res));
+  return res;
+}
+
+test('/api/log refuses without a consent token and makes no upstream or webhook calls', async () => {
+  const res = await callLog();
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.consentRequired, true);
+  assert.equal(res.body.reason, 'missing');
+  assert.equal(res.body.policy.version, CONSENT_POLICY.version);
+  assert.equal(fetchStub.calls.length, 0);
+});
+
+test('/api/log rejects tampered, foreign, outdated and expired tokens', async () => {
+  const { token } = issueConsentToken({ secret: CONSENT_SECRET });
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ id: 'x', v: CONSENT_POLICY.version, t: Date.now() + 1 })).toString('base64url');
+
+  const cases = [
+    [`${forged}.${signature}`, 'bad-signature'],
+    [issueConsentToken({ secret: 'some-other-secret' }).token, 'bad-signature'],
+    [issueConsentToken({ secret: CONSENT_SECRET, policyVersion: '2000-01-01' }).token, 'policy-changed'],
+    [issueConsentToken({ secret: CONSENT_SECRET, now: Date.now() - 31 * 24 * 3600 * 1000 }).token, 'expired'],
+    [`${payload}`, 'malformed']
+  ];
+  for (const [candidate, reason] of cases) {
+    const res = await callLog({ 'x-consent-token': candidate });
+    assert.equal(res.statusCode, 403, reason);
+    assert.equal(res.body.reason, reason);
+  }
+  assert.equal(fetchStub.calls.length, 0);
+});
+
+test('consent is refused when no signing secret is configured', () => {
+  const { token } = issueConsentToken({ secret: CONSENT_SECRET });
+  assert.equal(verifyConsentToken(token, { secret: null }).reason, 'not-configured');
+});
+
+test('/api/consent records consent for the shown policy and its token unlocks /api/log', async () => {
+  const getRes = createResponse();
+  await consentHandler(createRequest(), getRes);
+  assert.deepEqual(getRes.body.policy, CONSENT_POLICY);
+
+  const postRes = createResponse();
+  await captureConsole(() =>
+    consentHandler(createRequest({ method: 'POST', body: { policyVersion: CONSENT_POLICY.version } }), postRes)
+  );
+  assert.equal(postRes.statusCode, 200);
+  assert.equal(postRes.body.consent.policyVersion, CONSENT_POLICY.version);
+
+  const [line] = (await readFile(process.env.CONSENT_RECORD_PATH, 'utf8')).trim().split('\n');
+  const record = JSON.parse(line);
+  assert.equal(record.id, postRes.body.consent.id);
+  assert.equal(record.policyVersion, CONSENT_POLICY.version);
+  assert.equal(record.consentedAt, postRes.body.consent.consentedAt);
+
+  const res = await callLog({ 'x-consent-token': postRes.body.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.consent.id, record.id);
+
+  const main = fetchStub.calls.find(call => call.url.startsWith(WEBHOOK_URL));
+  const consentField = main.body.embeds[0].fields.find(field => field.name.includes('Consent'));
+  assert.ok(consentField.value.includes(CONSENT_POLICY.version));
+});
+
+test('/api/consent refuses consent for a policy version the visitor was not shown', async () => {
+  const res = createResponse();
+  await captureConsole(() => consentHandler(createRequest({ method: 'POST', body: '{"policyVersion":"1999-01-01"}' }), res));
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.policy.version, CONSENT_POLICY.version);
+  await assert.rejects(readFile(process.env.CONSENT_RECORD_PATH, 'utf8'), { code: 'ENOENT' });
+});
+
+test('/api/consent answers 400 when the body has no usable policyVersion', async () => {
+  for (const body of ['null', '[]', '{}', '{"policyVersion":7}', 'not json']) {
+    const res = createResponse();
+    await captureConsole(() => consentHandler(createRequest({ method: 'POST', body }), res));
+    assert.equal(res.statusCode, 400, body);
+    assert.equal(res.body.success, false);
+  }
+  await assert.rejects(readFile(process.env.CONSENT_RECORD_PATH, 'utf8'), { code: 'ENOENT' });
+});
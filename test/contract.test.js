@@ -0,0 +1,164 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import logHandler from '../api/log.js';
+import { validate } from '../lib/http/json-schema.js';
+import { utcOffset } from '../lib/http/log-contract.js';
+import { vercelRoutes } from '../lib/http/server.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/25/contractTestToken';
+const ADMIN_TOKEN = 'contract-admin-token';
+
+const schemas = {};
+for (const version of [1, 2]) {
+  schemas[version] = JSON.parse(await readFile(new URL(`../public/schemas/log-v${version}.json`, import.meta.url), 'utf8'));
+}
+
+let geoReply;
+
+beforeEach(() => {
+  resetCircuits();
+  resetMemoryCache();
+  geoReply = () => ({ body: SAMPLE_GEO });
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_contract_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  GEO_PROVIDERS: 'bigdatacloud',
+  CACHE_BACKEND: 'none',
+  OUTBOX_BACKEND: 'none',
+  CONSENT_SECRET,
+  ADMIN_TOKEN
+});
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => geoReply()],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function callLog({ url = '/api/log', headers = {}, consent = true } = {}) {
+  const res = createResponse();
+  const req = createRequest({ url, remoteAddress: '8.8.8.8', headers: { ...(consent ? consentHeaders() : {}), ...headers } });
+  await captureConsole(() => logHandler(req, res));
+  return res;
+}
+
+function assertConforms(version, body) {
+  assert.deepEqual(validate(schemas[version], body), [], `v${version}: ${JSON.stringify(body)}`);
+}
+
+test('v1 stays the default shape and has no debug block', async () => {
+  const res = await callLog();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['x-api-version'], '1');
+  assertConforms(1, res.body);
+  assert.equal(res.body.data.network.isp, 'Google LLC');
+  assert.ok(!('debug' in res.body.data));
+  assert.ok(res.body.webhooks.main.sent);
+  // v2 tells them apart by its version field
+  assert.ok(validate(schemas[2], res.body).length);
+});
+
+test('v2 is picked by path or header and reports the timezone and unknown values as null', async () => {
+  const byPath = await callLog({ url: '/api/log?version=2' });
+  const byHeader = await callLog({ headers: { 'x-api-version': '2' } });
+
+  for (const res of [byPath, byHeader]) {
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['x-api-version'], '2');
+    assertConforms(2, res.body);
+    assert.equal(res.body.version, 2);
+    assert.equal(res.body.requestId, res.headers['x-request-id']);
+    assert.equal(res.body.data.network.isp, 'Google LLC');
+    assert.equal(res.body.data.timezone.name, 'America/Los_Angeles');
+    assert.match(res.body.data.timezone.utcOffset, /^UTC-0[78]:00$/);
+    assert.ok(!('webhooks' in res.body));
+    assert.ok(!('debug' in res.body));
+  }
+
+  // The path wins over the header
+  assert.equal((await callLog({ url: '/api/log?version=1', headers: { 'x-api-version': '2' } })).headers['x-api-version'], '1');
+
+  geoReply = () => ({ body: { ...SAMPLE_GEO, location: { ...SAMPLE_GEO.location, city: null, timeZone: {} }, network: {} } });
+  const sparse = await callLog({ url: '/api/log?version=2' });
+  assertConforms(2, sparse.body);
+  assert.equal(sparse.body.data.network.asn, null);
+  assert.equal(sparse.body.data.network.isp, null);
+  assert.equal(sparse.body.data.location.city, null);
+  assert.deepEqual(sparse.body.data.timezone, { name: null, utcOffset: null });
+});
+
+test('the debug block is only added for the admin token', async () => {
+  const anonymous = await callLog({ url: '/api/log?debug=1' });
+  const wrong = await callLog({ url: '/api/log?debug=1', headers: { authorization: 'Bearer nope' } });
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(wrong.statusCode, 403);
+  // Refused before anything was looked up or sent
+  assert.equal(fetchStub.calls.length, 0);
+
+  const admin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+  const v1 = await callLog({ url: '/api/log?debug=1', headers: admin });
+  assertConforms(1, v1.body);
+  assert.equal(v1.body.data.debug.asnNumber, 'AS15169');
+
+  const v2 = await callLog({ url: '/api/log?version=2&debug=1', headers: admin });
+  assertConforms(2, v2.body);
+  assert.equal(v2.body.debug.asnFoundInMain, true);
+
+  // The token alone doesn't add it
+  assert.ok(!('debug' in (await callLog({ url: '/api/log?version=2', headers: admin })).body));
+});
+
+test('failures and unsupported versions answer with the shared failure shape', async () => {
+  const unsupported = await callLog({ headers: { 'x-api-version': '3' } });
+  assert.equal(unsupported.statusCode, 400);
+  assert.match(unsupported.body.error, /Unsupported API version "3" \(expected 1 or 2\)/);
+
+  const noConsent = await callLog({ url: '/api/log?version=2', consent: false });
+  assert.equal(noConsent.statusCode, 403);
+
+  geoReply = () => ({ status: 500, body: { error: 'down' } });
+  const failed = await callLog({ url: '/api/log?version=2' });
+  assert.equal(failed.statusCode, 502);
+
+  for (const res of [unsupported, noConsent, failed]) {
+    assertConforms(1, res.body);
+    assertConforms(2, res.body);
+  }
+});
+
+test('the versioned paths and schemas are routed, and the visitor page reads only v2 fields', async () => {
+  const routes = vercelRoutes();
+  assert.equal(routes.find(route => route.source === '/api/v2/log').query, 'version=2');
+  assert.ok(routes.find(route => route.source === '/schemas/log-v2.json').file.endsWith('public/schemas/log-v2.json'));
+
+  const page = await readFile(new URL('../public/index.html', import.meta.url), 'utf8');
+  assert.match(page, /fetch\('\/api\/v2\/log'/);
+  const read = [...new Set([...page.matchAll(/\binfo\.(\w+)\.(\w+)/g)].map(match => [match[1], match[2]].join('.')))];
+  assert.ok(read.length >= 5);
+  const data = schemas[2].$defs.success.properties.data.properties;
+  for (const path of read) {
+    const [group, field] = path.split('.');
+    const section = schemas[2].$defs[data[group]?.$ref?.split('/').pop()];
+    assert.ok(section?.properties?.[field], `index.html reads info.${path}, which v2 doesn't have`);
+  }
+});
+
+test('the validator lists every problem and offsets follow the date', () => {
+  assert.ok(validate(schemas[2], { success: true, version: 1, data: {}, notifications: { discord: { sent: 'yes' } } }).length);
+  assert.deepEqual(validate(schemas[2].$defs.timezone, { name: 5, extra: true }, { root: schemas[2] }), [
+    '$.utcOffset: required',
+    '$.name: expected string or null, got number',
+    '$.extra: unknown property'
+  ]);
+  assert.equal(utcOffset('America/Los_Angeles', new Date('2026-01-15T12:00:00Z')), 'UTC-08:00');
+  assert.equal(utcOffset('America/Los_Angeles', new Date('2026-07-15T12:00:00Z')), 'UTC-07:00');
+  assert.equal(utcOffset('UTC'), 'UTC+00:00');
+  assert.equal(utcOffset('Not/AZone'), null);
+});
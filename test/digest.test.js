@@ -0,0 +1,230 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import logHandler from '../api/log.js';
+import digestHandler from '../api/notify-digest.js';
+import { loadConfig } from '../lib/config.js';
+import { dedupKey } from '../lib/notify/dedup.js';
+import { digestText, summarizeDigest } from '../lib/notify/digest.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/7/digestTestToken';
+const HOOK_URL = 'https://hooks.example.org/digest';
+const CRON_SECRET = 'cron-digest-secret';
+// Set by individual tests
+const UNSET = ['NOTIFY_MODE', 'NOTIFY_DEDUP_KEY', 'NOTIFY_DEDUP_WINDOW_SECONDS', 'NOTIFY_ROUTES', 'NOTIFY_DIGEST_BACKEND', 'VERCEL', 'KV_REST_API_URL', 'KV_REST_API_TOKEN'];
+
+let dir;
+let hookStatus;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'digest-test-'));
+  resetCircuits();
+  resetMemoryCache();
+  hookStatus = 200;
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: 'bdc_digest_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  NOTIFY_WEBHOOK_URL: HOOK_URL,
+  CACHE_BACKEND: 'memory',
+  CONSENT_SECRET,
+  OUTBOX_BACKEND: 'none',
+  NOTIFY_DIGEST_PATH: join(dir, 'digest.jsonl'),
+  CRON_SECRET
+}), { clear: UNSET });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })],
+  [url => url.startsWith(HOOK_URL), () => ({ status: hookStatus, body: {} })]
+]);
+
+async function visit(remoteAddress = '8.8.8.8') {
+  const res = createResponse();
+  await captureConsole(() => logHandler(createRequest({ remoteAddress, headers: consentHeaders() }), res));
+  return res;
+}
+
+async function runDigest(headers = { authorization: `Bearer ${CRON_SECRET}` }) {
+  const res = createResponse();
+  await captureConsole(() => digestHandler(createRequest({ headers }), res));
+  return res;
+}
+
+const posted = url => fetchStub.calls.filter(call => call.url.startsWith(url));
+
+test('dedup keys share an entry per prefix and ASN and never contain the address', () => {
+  const config = { key: 'prefix-asn', prefixV4: 24, prefixV6: 48 };
+  const key = dedupKey({ ip: '8.8.8.8', asn: 'AS15169' }, config);
+  assert.equal(dedupKey({ ip: '8.8.8.200', asn: 'AS15169' }, config), key);
+  assert.notEqual(dedupKey({ ip: '8.8.9.8', asn: 'AS15169' }, config), key);
+  assert.notEqual(dedupKey({ ip: '8.8.8.8', asn: 'AS1' }, config), key);
+  assert.ok(!key.includes('8.8.8'));
+
+  assert.equal(dedupKey({ ip: '8.8.8.8', asn: null }, { ...config, key: 'asn' }), null);
+  assert.equal(dedupKey({ ip: '8.8.8.8', asn: 'AS15169' }, { ...config, key: 'none' }), null);
+});
+
+test('reloads from the same prefix and ASN notify once per window', async () => {
+  process.env.NOTIFY_DEDUP_KEY = 'prefix-asn';
+
+  const first = await visit('8.8.8.8');
+  assert.equal(first.body.notifications.webhook.sent, true);
+  const discordCalls = posted(WEBHOOK_URL).length;
+
+  const second = await visit('8.8.8.9');
+  assert.deepEqual(second.body.notifications.webhook, { sent: false, error: null, skipped: 'duplicate' });
+  assert.equal(second.body.webhooks.main.skipped, 'duplicate');
+  assert.equal(posted(WEBHOOK_URL).length, discordCalls);
+  assert.equal(posted(HOOK_URL).length, 1);
+
+  // A new window notifies again
+  resetMemoryCache();
+  assert.equal((await visit('8.8.8.8')).body.notifications.webhook.sent, true);
+});
+
+test('digest summaries count by country, ASN and connection type with the rest folded into Other', () => {
+  const event = (countryCode, asn, connectionType) => ({
+    at: '2026-10-19T10:00:00.000Z', country: countryCode === 'US' ? 'United States' : 'Germany', countryCode, asn, organisation: asn === 'AS15169' ? 'Google LLC' : 'Other Net', connectionType
+  });
+  const summary = summarizeDigest([
+    event('US', 'AS15169', 'corporate'),
+    event('US', 'AS15169', 'corporate'),
+    event('DE', 'AS3320', 'residential')
+  ], { top: 1, now: Date.parse('2026-10-19T11:00:00.000Z') });
+
+  assert.equal(summary.total, 3);
+  assert.equal(summary.from, '2026-10-19T10:00:00.000Z');
+  assert.deepEqual(summary.byCountry, [
+    { key: 'US', label: 'United States (US)', count: 2 },
+    { key: 'other', label: 'Other', count: 1 }
+  ]);
+  assert.deepEqual(summary.byAsn[0], { key: 'AS15169', label: 'AS15169 Google LLC', count: 2 });
+  assert.deepEqual(summary.byConnectionType[0], { key: 'corporate', label: 'corporate', count: 2 });
+  assert.ok(digestText(summary).includes('United States (US): 2'));
+});
+
+test('digest mode collects visits and the scheduled route sends one summary', async () => {
+  process.env.NOTIFY_MODE = 'digest';
+
+  for (const ip of ['8.8.8.8', '8.8.4.4', '8.8.8.8']) {
+    const res = await visit(ip);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.notifications.discord, { sent: false, error: null, skipped: 'digest' });
+  }
+  assert.equal(posted(WEBHOOK_URL).length, 0);
+  assert.equal(posted(HOOK_URL).length, 0);
+
+  const res = await runDigest();
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.sent, true);
+  assert.equal(res.body.total, 3);
+
+  const [hook] = posted(HOOK_URL);
+  assert.equal(hook.body.event, 'ip.digest');
+  assert.equal(hook.body.data.byAsn[0].count, 3);
+  assert.ok(!JSON.stringify(hook.body).includes('8.8.'));
+  const [discord] = posted(WEBHOOK_URL);
+  assert.equal(discord.body.embeds.length, 1);
+  assert.match(discord.body.embeds[0].title, /3 visit\(s\)/);
+
+  // Sent events are not counted twice
+  assert.equal((await runDigest()).body.total, 0);
+});
+
+test('digests follow the routing rules, each destination summarizing the visits routed to it', async () => {
+  process.env.NOTIFY_MODE = 'digest';
+  process.env.NOTIFY_ROUTES = JSON.stringify({ rules: [{ when: { country: 'US' }, to: ['discord'] }] });
+  await visit('8.8.8.8');
+  await visit('8.8.4.4');
+
+  const res = await runDigest();
+  assert.equal(res.body.sent, true);
+  assert.deepEqual(Object.keys(res.body.notifications), ['discord']);
+  assert.equal(posted(HOOK_URL).length, 0);
+  assert.match(posted(WEBHOOK_URL)[0].body.embeds[0].title, /2 visit\(s\)/);
+
+  // A rule that no longer matches keeps the visits for a later run
+  await visit('8.8.8.8');
+  process.env.NOTIFY_ROUTES = JSON.stringify({ rules: [{ when: { country: 'DE' }, to: ['webhook'] }] });
+  assert.equal((await runDigest()).body.sent, false);
+  process.env.NOTIFY_ROUTES = JSON.stringify({ rules: [{ when: { continent: 'North America' }, to: ['webhook'] }] });
+  const later = await runDigest();
+  assert.deepEqual(Object.keys(later.body.notifications), ['webhook']);
+  assert.equal(later.body.total, 1);
+});
+
+test('a digest no destination accepted is kept for the next run', async () => {
+  process.env.NOTIFY_MODE = 'digest';
+  delete process.env.DISCORD_WEBHOOK_URL;
+  await visit();
+
+  hookStatus = 500;
+  const failed = await runDigest();
+  assert.equal(failed.body.sent, false);
+  assert.equal(failed.body.notifications.webhook.error, 'Webhook API: 500');
+
+  hookStatus = 200;
+  const retried = await runDigest();
+  assert.equal(retried.body.sent, true);
+  assert.equal(retried.body.total, 1);
+});
+
+test('a destination that failed gets the visits again without resending them to the others', async () => {
+  process.env.NOTIFY_MODE = 'digest';
+  await visit('8.8.8.8');
+  await visit('8.8.4.4');
+
+  hookStatus = 500;
+  const first = await runDigest();
+  assert.equal(first.body.notifications.discord.sent, true);
+  assert.equal(first.body.notifications.webhook.sent, false);
+  assert.equal(posted(WEBHOOK_URL).length, 1);
+
+  hookStatus = 200;
+  const retried = await runDigest();
+  assert.deepEqual(Object.keys(retried.body.notifications), ['webhook']);
+  assert.equal(retried.body.total, 2);
+  assert.equal(posted(HOOK_URL).at(-1).body.data.total, 2);
+  assert.equal(posted(WEBHOOK_URL).length, 1);
+  assert.equal((await runDigest()).body.total, 0);
+});
+
+test('a digest run that fails after draining puts every visit back', async () => {
+  process.env.NOTIFY_MODE = 'digest';
+  await visit();
+  // An event no route can read makes the run throw
+  await appendFile(join(dir, 'digest.jsonl'), 'null\n');
+
+  assert.equal((await runDigest()).statusCode, 500);
+  assert.deepEqual(await readdir(dir), ['digest.jsonl']);
+  const kept = (await readFile(join(dir, 'digest.jsonl'), 'utf8')).trim().split('\n');
+  assert.equal(kept.length, 2);
+});
+
+test('digests use KV once it is set up and refuse a file on Vercel', async () => {
+  const kv = { KV_REST_API_URL: 'https://kv.example.org', KV_REST_API_TOKEN: 'kv-digest-token' };
+  assert.equal(loadConfig(kv).notify.digest.backend, 'kv');
+  assert.equal(loadConfig({}).notify.digest.backend, 'file');
+
+  process.env.VERCEL = '1';
+  const res = await runDigest();
+  assert.equal(res.statusCode, 503);
+  assert.match(res.body.error, /KV_REST_API_URL/);
+});
+
+test('the digest route requires the cron secret', async () => {
+  assert.equal((await runDigest({})).statusCode, 401);
+  assert.equal((await runDigest({ authorization: 'Bearer nope' })).statusCode, 403);
+});
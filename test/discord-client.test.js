@@ -0,0 +1,170 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISCORD_LIMITS, createDiscordClient, embedLength, fitEmbed, packEmbeds } from '../lib/notify/discord-client.js';
+import { createDiscordNotifier } from '../lib/notify/discord.js';
+import { normalizeIpData } from '../lib/geo/providers/bigdatacloud.js';
+import { buildMainData } from '../lib/geo/normalize.js';
+import { processConfidenceArea } from '../lib/geo/confidence.js';
+import { createLogger } from '../lib/log/logger.js';
+import { SAMPLE_ASN, SAMPLE_GEO, stubFetch } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/5/clientTestToken';
+const log = createLogger({ level: 'error' });
+const quiet = { ...log, error: () => {} };
+
+let fetchStub;
+
+afterEach(() => {
+  fetchStub?.restore();
+  fetchStub = null;
+});
+
+function fields(count, value = 'value') {
+  return Array.from({ length: count }, (_, index) => ({ name: `Field ${index + 1}`, value, inline: true }));
+}
+
+// A sleep that records the requested waits instead of waiting
+function recordingSleep() {
+  const waits = [];
+  const sleep = async ms => { waits.push(ms); };
+  return { waits, sleep };
+}
+
+test('fitEmbed trims values, caps fields at 25 and keeps the whole embed under 6000 characters', () => {
+  const trimmed = fitEmbed({ title: 'T', fields: [{ name: 'Long', value: 'x'.repeat(2000) }, { name: 'Empty', value: '' }] });
+  assert.equal(trimmed.fields[0].value.length, DISCORD_LIMITS.fieldValue);
+  assert.ok(trimmed.fields[0].value.endsWith('…'));
+  assert.equal(trimmed.fields[1].value, 'N/A');
+
+  const many = fitEmbed({ title: 'T', fields: fields(30) });
+  assert.equal(many.fields.length, DISCORD_LIMITS.fields);
+  assert.deepEqual(many.fields.at(-1), { name: '📝 Note', value: '6 more field(s) not shown', inline: false });
+
+  const large = fitEmbed({ title: 'T', fields: fields(20, 'y'.repeat(1000)) });
+  assert.ok(embedLength(large) <= DISCORD_LIMITS.charactersPerMessage);
+  assert.match(large.fields.at(-1).value, /more field\(s\) not shown/);
+});
+
+test('packEmbeds keeps each message within 10 embeds and 6000 characters', () => {
+  const small = packEmbeds(Array.from({ length: 12 }, (_, index) => ({ title: `Embed ${index}` })));
+  assert.deepEqual(small.map(message => message.length), [10, 2]);
+
+  const heavy = packEmbeds(Array.from({ length: 3 }, () => ({ title: 'Heavy', fields: fields(3, 'z'.repeat(800)) })));
+  assert.deepEqual(heavy.map(message => message.length), [2, 1]);
+  for (const message of heavy) {
+    assert.ok(message.reduce((sum, embed) => sum + embedLength(embed), 0) <= DISCORD_LIMITS.charactersPerMessage);
+  }
+});
+
+test('a 429 waits for retry_after and then succeeds', async () => {
+  let calls = 0;
+  fetchStub = stubFetch([
+    [() => true, () => (++calls === 1
+      ? { status: 429, body: { message: 'You are being rate limited.', retry_after: 0.25, global: false } }
+      : { status: 204, body: '' })]
+  ]);
+  const { waits, sleep } = recordingSleep();
+  const client = createDiscordClient({ webhookUrl: WEBHOOK_URL, sleep });
+
+  const [message] = await client.deliver([{ title: 'Hello' }], { log });
+
+  assert.deepEqual(message, { message: 1, embedIndexes: [0], sent: true, status: 204, attempts: 2, error: null });
+  assert.equal(fetchStub.calls.length, 2);
+  assert.ok(waits.length === 1 && waits[0] > 0 && waits[0] <= 250);
+});
+
+test('a 429 longer than the retry budget fails that message with retryAfterMs', async () => {
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 429, body: { retry_after: 30 } })]
+  ]);
+  const { waits, sleep } = recordingSleep();
+  const client = createDiscordClient({ webhookUrl: WEBHOOK_URL, maxRetryWaitMs: 1000, sleep });
+
+  const [message] = await client.deliver([{ title: 'Hello' }], { log });
+
+  assert.equal(message.sent, false);
+  assert.equal(message.status, 429);
+  assert.equal(message.retryAfterMs, 30000);
+  assert.equal(message.error, 'Discord API: 429');
+  assert.deepEqual(waits, []);
+});
+
+test('nothing waits, retries or stays in flight past the deadline', async () => {
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 429, body: { retry_after: 2 } })]
+  ]);
+  const { waits, sleep } = recordingSleep();
+  const client = createDiscordClient({ webhookUrl: WEBHOOK_URL, sleep });
+
+  // retry_after fits maxRetryWaitMs but not the time left
+  const [limited] = await client.deliver([{ title: 'Hello' }], { log, deadline: Date.now() + 2000 });
+  assert.equal(limited.error, 'Discord API: 429');
+  assert.equal(limited.retryAfterMs, 2000);
+  assert.deepEqual(waits, []);
+  assert.equal(fetchStub.calls.length, 1);
+
+  // An attempt that hangs is cut off at the deadline, not after timeoutMs
+  fetchStub.restore();
+  fetchStub = stubFetch([
+    [() => true, (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    })]
+  ]);
+  const started = Date.now();
+  // AbortSignal.timeout doesn't keep the process alive on its own
+  const keepAlive = setTimeout(() => {}, 5000);
+  const [hung] = await client.deliver([{ title: 'Hello' }], { log, deadline: Date.now() + 600 });
+  clearTimeout(keepAlive);
+  assert.equal(hung.sent, false);
+  assert.ok(Date.now() - started < 2000);
+
+  // With no time left nothing is posted
+  const [late] = await client.deliver([{ title: 'Hello' }], { log, deadline: Date.now() + 100 });
+  assert.deepEqual([late.sent, late.attempts, late.error], [false, 0, 'Discord API: out of time']);
+  assert.equal(fetchStub.calls.length, 1);
+});
+
+test('an exhausted rate-limit bucket delays the next message until it resets', async () => {
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 204, body: '', headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.5' } })]
+  ]);
+  const { waits, sleep } = recordingSleep();
+  const client = createDiscordClient({ webhookUrl: WEBHOOK_URL, sleep });
+
+  const messages = await client.deliver(Array.from({ length: 11 }, () => ({ title: 'Embed' })), { log });
+
+  assert.deepEqual(messages.map(message => message.sent), [true, true]);
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] > 0 && waits[0] <= 500);
+});
+
+test('the notifier packs every section together and reports status per message and section', async () => {
+  const geo = normalizeIpData(SAMPLE_GEO);
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  const mainData = buildMainData({ ip: '8.8.8.8', userAgent: 'curl/8.0', geo, asnData: SAMPLE_ASN, confidenceInfo, requestId: 'req-pack' });
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 204, body: '' })]
+  ]);
+
+  const notifier = createDiscordNotifier({ webhookUrl: WEBHOOK_URL, sleep: async () => {} });
+  const { sent, results } = await notifier.send({ mainData, asnData: SAMPLE_ASN, confidenceInfo }, { log });
+
+  assert.equal(sent, true);
+  for (const call of fetchStub.calls) {
+    assert.ok(call.body.embeds.length <= DISCORD_LIMITS.embedsPerMessage);
+    assert.ok(call.body.embeds.reduce((sum, embed) => sum + embedLength(embed), 0) <= DISCORD_LIMITS.charactersPerMessage);
+  }
+  assert.equal(results.messages.length, fetchStub.calls.length);
+  assert.deepEqual([...new Set(results.messages.flatMap(message => message.sections))].sort(), ['asnDetails', 'confidence', 'main']);
+  assert.deepEqual(results.main, { sent: true, error: null });
+
+  // A failing message only fails the sections it carried
+  fetchStub.restore();
+  fetchStub = stubFetch([
+    [() => true, () => ({ status: 500, body: { message: 'boom' } })]
+  ]);
+  const failed = await notifier.send({ mainData, asnData: SAMPLE_ASN, confidenceInfo }, { log: quiet });
+  assert.equal(failed.sent, false);
+  assert.deepEqual(failed.results.main, { sent: false, error: 'Discord API: 500' });
+  assert.ok(failed.results.messages.every(message => message.status === 500 && message.attempts === 1));
+});
@@ -0,0 +1,138 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { checkSchema, describeDrift } from '../lib/geo/schema.js';
+import { createDriftMonitor, resetDrift } from '../lib/geo/drift.js';
+import { lookupRow } from '../lib/geo/lookup.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { RESPONSE_SCHEMAS } from '../lib/geo/providers/bigdatacloud.js';
+import { SAMPLE_ASN, SAMPLE_GEO, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/24/driftTest';
+// Set by individual tests
+const UNSET = ['NOTIFY_ROUTES', 'DRIFT_WINDOW_SECONDS', 'GEO_BUDGET_MS'];
+const log = createLogger({ level: 'error' });
+
+// BigDataCloud moved the ASN and renamed the organisation
+const DRIFTED_GEO = { ...SAMPLE_GEO, network: { asn: 'AS15169', carrier: { name: 'Google LLC' } } };
+
+let geoReply;
+let webhookReply;
+
+beforeEach(() => {
+  resetCircuits();
+  resetDrift();
+  geoReply = () => ({ body: DRIFTED_GEO });
+  webhookReply = () => ({ status: 204, body: '' });
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_drift_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  GEO_PROVIDERS: 'bigdatacloud',
+  CACHE_BACKEND: 'none',
+  OUTBOX_BACKEND: 'none',
+  DRIFT_ALERT_THRESHOLD: '3'
+}, { clear: UNSET });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => geoReply()],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => webhookReply()]
+]);
+
+const webhookCalls = () => fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+
+test('schema checks report missing, renamed and retyped fields', () => {
+  assert.deepEqual(checkSchema(RESPONSE_SCHEMAS['ip-geolocation-full'], SAMPLE_GEO), []);
+  assert.deepEqual(checkSchema(RESPONSE_SCHEMAS['asn-info-full'], SAMPLE_ASN), []);
+
+  const drifted = {
+    ...DRIFTED_GEO,
+    country: { isoAlpha2: 'US' },
+    location: { ...SAMPLE_GEO.location, latitude: '37.42', city: null },
+    confidenceArea: [{ lat: 37.4, lng: -122.1 }]
+  };
+  const drift = checkSchema(RESPONSE_SCHEMAS['ip-geolocation-full'], drifted);
+  assert.deepEqual(drift.map(describeDrift), [
+    'country.name missing',
+    'location.latitude is string, expected number',
+    'network.organisation renamed to network.carrier.name',
+    'network.carriers[0].asn renamed to network.asn',
+    'confidenceArea[0] is object, expected array'
+  ]);
+  assert.deepEqual(drift[0], { path: 'country.name', kind: 'missing', expected: ['string'], actual: null, foundAt: null });
+});
+
+test('drift that keeps repeating alerts Discord once per window', async () => {
+  for (let i = 0; i < 5; i++) {
+    const row = await lookupRow('8.8.8.8', { config: loadConfig(), log });
+    // Drift is reported, never a reason to fail the lookup
+    assert.equal(row.status, 'ok');
+    assert.equal(row.asn, 'AS15169');
+  }
+
+  const calls = webhookCalls();
+  assert.equal(calls.length, 1);
+  const [embed] = calls[0].body.embeds;
+  assert.equal(embed.description, 'Upstream schema drift: bigdatacloud ip-geolocation-full: '
+    + 'network.organisation renamed to network.carrier.name (3 times in 60 min); '
+    + 'network.carriers[0].asn renamed to network.asn (3 times in 60 min)');
+  assert.equal(embed.fields[0].value, '`N/A`');
+});
+
+test('drift below the threshold, or with alerts turned off, only logs', async () => {
+  for (const threshold of ['10', '0']) {
+    resetDrift();
+    process.env.DRIFT_ALERT_THRESHOLD = threshold;
+    for (let i = 0; i < 4; i++) await lookupRow('8.8.8.8', { config: loadConfig(), log });
+  }
+  assert.deepEqual(webhookCalls(), []);
+});
+
+test('counts start over in the next window and routing rules can pick drift alerts', async () => {
+  process.env.NOTIFY_ROUTES = JSON.stringify({ rules: [{ when: { kind: 'drift' }, to: ['discord'] }] });
+  let now = 0;
+  const config = { ...loadConfig(), geo: { ...loadConfig().geo, drift: { alertThreshold: 2, windowSeconds: 60 } } };
+  const observe = async () => {
+    const monitor = createDriftMonitor({ config, log, now: () => now });
+    monitor.observe({ provider: 'bigdatacloud', endpoint: 'asn-info-full', drift: checkSchema(RESPONSE_SCHEMAS['asn-info-full'], { ...SAMPLE_ASN, registry: 7 }) });
+    await monitor.flush();
+  };
+
+  await observe();
+  now = 61000;
+  await observe();
+  assert.equal(webhookCalls().length, 0);
+  await observe();
+  await observe();
+  assert.equal(webhookCalls().length, 1);
+  assert.match(webhookCalls()[0].body.embeds[0].description, /asn-info-full: registry is number, expected string \(2 times in 1 min\)$/);
+});
+
+test('a slow drift alert holds the lookup no longer than the geo budget', async () => {
+  process.env.GEO_BUDGET_MS = '300';
+  let release;
+  const held = new Promise(resolve => {
+    release = resolve;
+  });
+  webhookReply = async () => {
+    await held;
+    return { status: 204, body: '' };
+  };
+  const warnings = [];
+  const watched = { ...log, warn: (msg, fields) => warnings.push([msg, fields]) };
+
+  for (let i = 0; i < 2; i++) await lookupRow('8.8.8.8', { config: loadConfig(), log: watched });
+  const started = Date.now();
+  const row = await lookupRow('8.8.8.8', { config: loadConfig(), log: watched });
+  assert.equal(row.status, 'ok');
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(webhookCalls().length, 1);
+  assert.deepEqual(warnings.find(([msg]) => msg === 'drift.flush_timeout')[1].alerts, 1);
+
+  // Let the alert finish before the stub is restored
+  release();
+  await new Promise(resolve => setTimeout(resolve, 50));
+});
@@ -0,0 +1,263 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createAppServer } from '../lib/http/server.js';
+import { validate } from '../lib/http/json-schema.js';
+import { createLogger } from '../lib/log/logger.js';
+import { CONSENT_POLICY } from '../lib/privacy/consent.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetDrift } from '../lib/geo/drift.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, startHttpServer, withEnv } from './helpers.js';
+
+// Real HTTP all the way: the node:http server runs the handlers, which call
+// local stand-ins for BigDataCloud and a Discord webhook.
+const API_KEY = 'bdc_e2e_test_key';
+const ADMIN_TOKEN = 'e2e-admin-token';
+const WEBHOOK_PATH = '/api/webhooks/21/e2eTestToken';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const log = createLogger({ level: 'error' });
+
+// Per-test behaviour of the stand-ins: (request) => { status, body, headers }
+let geoReply;
+let asnReply;
+let discordReply;
+let bdc;
+let discord;
+let app;
+let base;
+
+before(async () => {
+  bdc = await startHttpServer(request => (request.url.startsWith('/ip-geolocation-full') ? geoReply(request) : asnReply(request)));
+  discord = await startHttpServer(request => discordReply(request));
+  app = createAppServer({ config: { shutdownGraceMs: 1000, bodyLimitBytes: 1024 * 1024 }, log });
+  base = `http://127.0.0.1:${(await app.listen(0, '127.0.0.1')).port}`;
+});
+
+after(async () => {
+  await app.close();
+  await bdc.close();
+  await discord.close();
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: API_KEY,
+  BIGDATACLOUD_BASE_URL: bdc.url,
+  DISCORD_WEBHOOK_URL: `${discord.url}${WEBHOOK_PATH}`,
+  GEO_PROVIDERS: 'bigdatacloud',
+  CACHE_BACKEND: 'none',
+  OUTBOX_BACKEND: 'none',
+  CONSENT_SECRET,
+  ADMIN_TOKEN,
+  TRUSTED_PROXIES: '127.0.0.1/32'
+}), { clear: ['DISCORD_MAX_RETRY_WAIT_MS', 'CONSENT_RECORD_PATH', 'NOTIFY_ROUTES'] });
+
+beforeEach(() => {
+  resetCircuits();
+  resetDrift();
+  resetMemoryCache();
+  bdc.requests.length = 0;
+  discord.requests.length = 0;
+  geoReply = () => ({ body: SAMPLE_GEO });
+  asnReply = () => ({ body: SAMPLE_ASN });
+  discordReply = () => ({ status: 204, body: '' });
+});
+
+// Resolves to { status, headers, body, events } with the handler's log lines parsed
+async function visit(path, { consent = true, headers: extra = {} } = {}) {
+  const headers = { 'X-Forwarded-For': '8.8.8.8', 'User-Agent': USER_AGENT, ...(consent ? consentHeaders() : {}), ...extra };
+  const { result, output } = await captureConsole(async () => {
+    const res = await fetch(`${base}${path}`, { headers });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: res.headers.get('content-type').startsWith('application/json') ? JSON.parse(text) : text };
+  });
+  const events = output.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return { ...result, events };
+}
+
+// Webhook bodies with the per-request values swapped for placeholders
+function webhookPayloads(requestId) {
+  return JSON.parse(JSON.stringify(discord.requests.map(request => request.body))
+    .replaceAll(requestId, '<requestId>')
+    .replace(/\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z/g, '<time>')
+    .replaceAll(CONSENT_POLICY.version, '<policyVersion>'));
+}
+
+const golden = async name => JSON.parse(await readFile(new URL(`./fixtures/e2e/${name}.json`, import.meta.url), 'utf8'));
+
+// The golden main embed with some field values changed, by field name
+function withFields(embed, values) {
+  return {
+    ...embed,
+    fields: embed.fields.map(field => {
+      const name = Object.keys(values).find(key => field.name.endsWith(key));
+      return name ? { ...field, value: values[name] } : field;
+    })
+  };
+}
+
+const upstreamPaths = () => bdc.requests.map(request => request.url.split('?')[0]);
+
+test('a visit is looked up upstream and reported to Discord in one message', async () => {
+  const res = await visit('/api/log');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.data.ip, '8.8.8.8');
+  assert.equal(res.body.data.network.asn, 'AS15169');
+  assert.deepEqual(res.body.webhooks.messages.map(message => [message.status, message.attempts, message.sections]), [
+    [204, 1, ['main', 'asnDetails', 'confidence']]
+  ]);
+  assert.deepEqual(upstreamPaths(), ['/ip-geolocation-full', '/asn-info-full']);
+  assert.equal(bdc.requests[0].url, `/ip-geolocation-full?ip=8.8.8.8&localityLanguage=en&key=${API_KEY}`);
+  assert.equal(bdc.requests[1].url, `/asn-info-full?asn=AS15169&localityLanguage=en&key=${API_KEY}`);
+
+  assert.equal(discord.requests.length, 1);
+  assert.equal(discord.requests[0].url, WEBHOOK_PATH);
+  assert.equal(discord.requests[0].headers['content-type'], 'application/json');
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [await golden('discord-visit')]);
+});
+
+for (const [label, reply, attempt] of [
+  ['a 4xx', () => ({ status: 403, body: { error: 'Invalid key' } }), { status: 403, error: 'API error: 403' }],
+  ['a 5xx', () => ({ status: 503, body: { error: 'Unavailable' } }), { status: 503, error: 'API error: 503' }],
+  ['malformed JSON', () => ({ status: 200, body: '{"ip": "8.8.8.8", "location": ' }), { status: null, error: /JSON/ }]
+]) {
+  test(`${label} from the geolocation API fails the request without notifying`, async () => {
+    geoReply = reply;
+    const res = await visit('/api/log');
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error, 'All geolocation providers failed');
+    assert.equal(res.body.attempts.length, 1);
+    assert.equal(res.body.attempts[0].provider, 'bigdatacloud');
+    assert.equal(res.body.attempts[0].status, attempt.status);
+    if (attempt.error instanceof RegExp) assert.match(res.body.attempts[0].error, attempt.error);
+    else assert.equal(res.body.attempts[0].error, attempt.error);
+    assert.ok(res.events.some(event => event.msg === 'geo.lookup_failed'));
+    assert.deepEqual(upstreamPaths(), ['/ip-geolocation-full']);
+    // Without routing rules only visits are notified
+    assert.deepEqual(discord.requests, []);
+  });
+}
+
+test('/api/v2/log answers the published v2 schema and reports the same visit', async () => {
+  const res = await visit('/api/v2/log');
+  const schema = await visit('/schemas/log-v2.json', { consent: false });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-api-version'), '2');
+  assert.equal(schema.status, 200);
+  assert.deepEqual(validate(schema.body, res.body), []);
+  assert.equal(res.body.data.timezone.name, 'America/Los_Angeles');
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [await golden('discord-visit')]);
+});
+
+test('with an error route, an upstream failure is alerted to Discord', async () => {
+  process.env.NOTIFY_ROUTES = JSON.stringify({ rules: [{ when: { kind: ['visit', 'error'] }, to: ['discord'] }] });
+  geoReply = () => ({ status: 500, body: { error: 'boom' } });
+  const res = await visit('/api/log');
+
+  assert.equal(res.status, 502);
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [await golden('discord-error')]);
+});
+
+test('a geolocation answer without an ASN skips the ASN lookup and its embed', async () => {
+  geoReply = () => ({ body: { ...SAMPLE_GEO, network: { organisation: 'Example Transit' } } });
+  // The debug block is for admins, and says why the ASN lookup was skipped
+  const res = await visit('/api/log?debug=1', { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.network.asn, 'Unknown');
+  assert.equal(res.body.data.debug.asnFoundInMain, false);
+  assert.deepEqual(res.body.webhooks.asnDetails, { sent: false, error: null });
+  assert.deepEqual(upstreamPaths(), ['/ip-geolocation-full']);
+
+  const [main, , ...confidence] = (await golden('discord-visit')).embeds;
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [{
+    embeds: [
+      withFields(main, { ASN: 'Unknown', Organization: 'Example Transit', 'Connection Type': 'Unknown' }),
+      ...confidence
+    ]
+  }]);
+});
+
+test('an empty confidence area is reported without the confidence embeds', async () => {
+  geoReply = () => ({ body: { ...SAMPLE_GEO, confidenceArea: [] } });
+  const res = await visit('/api/log');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.confidenceArea.totalPoints, 0);
+  assert.equal(res.body.data.confidenceArea.error, 'No valid coordinate points found in confidence area');
+  assert.deepEqual(res.body.webhooks.confidence, { sent: false, error: null });
+
+  const [main, asnDetails] = (await golden('discord-visit')).embeds;
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [{ embeds: [main, asnDetails] }]);
+});
+
+test('a Discord 429 is waited out and the same message posted again', async () => {
+  discordReply = () => (discord.requests.length === 1
+    ? { status: 429, body: { message: 'You are being rate limited.', retry_after: 0.05, global: false } }
+    : { status: 204, body: '' });
+  const res = await visit('/api/log');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.webhooks.messages.map(message => [message.sent, message.status, message.attempts]), [[true, 204, 2]]);
+  assert.ok(res.events.some(event => event.msg === 'webhook.rate_limited' && event.retryAfterMs === 50));
+  const visitPayload = await golden('discord-visit');
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [visitPayload, visitPayload]);
+});
+
+test('a Discord 429 longer than the wait budget fails delivery but not the request', async () => {
+  discordReply = () => ({ status: 429, body: { message: 'You are being rate limited.', retry_after: 30, global: false } });
+  const res = await visit('/api/log');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.deepEqual(res.body.webhooks.messages.map(message => [message.sent, message.status, message.attempts, message.retryAfterMs]), [
+    [false, 429, 1, 30000]
+  ]);
+  assert.equal(res.body.notifications.discord.sent, false);
+  assert.deepEqual(webhookPayloads(res.headers.get('x-request-id')), [await golden('discord-visit')]);
+});
+
+test('/api/debug-ip logs what the upstream sent and never notifies', async () => {
+  const res = await visit('/api/debug-ip', { consent: false });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/html/);
+  assert.match(res.body, /IP Debug Endpoint/);
+  assert.deepEqual(upstreamPaths(), ['/ip-geolocation-full', '/asn-info-full']);
+
+  const raw = res.events.find(event => event.msg === 'debug.geo_raw');
+  assert.equal(raw.asnPath, 'network.carriers[0].asn');
+  assert.deepEqual(raw.drift, []);
+  const asn = res.events.find(event => event.msg === 'debug.asn_lookup');
+  assert.equal(asn.organisation, 'Google LLC');
+  assert.equal(asn.registry, 'ARIN');
+  assert.deepEqual(asn.drift, []);
+  assert.deepEqual(discord.requests, []);
+});
+
+test('/api/debug-ip logs how the upstream answer drifted and survives upstream failures', async () => {
+  geoReply = () => ({ body: { ...SAMPLE_GEO, network: { carrier: { name: 'Example Transit' } }, confidenceArea: [] } });
+  const missing = await visit('/api/debug-ip', { consent: false });
+  const raw = missing.events.find(event => event.msg === 'debug.geo_raw');
+  assert.equal(raw.asnPath, null);
+  assert.deepEqual(raw.drift.map(field => [field.path, field.kind, field.foundAt]), [
+    ['network.organisation', 'renamed', 'network.carrier.name'],
+    ['network.carriers[0].asn', 'missing', null]
+  ]);
+  assert.ok(!missing.events.some(event => event.msg === 'debug.asn_lookup'));
+
+  for (const reply of [() => ({ status: 500, body: {} }), () => ({ status: 200, body: 'not json' })]) {
+    resetCircuits();
+    geoReply = reply;
+    const res = await visit('/api/debug-ip', { consent: false });
+    assert.equal(res.status, 200);
+    assert.match(res.body, /IP Debug Endpoint/);
+    assert.ok(res.events.some(event => event.msg === 'geo.lookup_failed'));
+  }
+  assert.deepEqual(discord.requests, []);
+});
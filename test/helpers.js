@@ -0,0 +1,267 @@
+// Shared fixtures for handler tests: fake req/res, console capture, fetch stubs, local stand-in servers
+import { afterEach, beforeEach } from 'node:test';
+import { createServer } from 'node:http';
+import net from 'node:net';
+import { issueConsentToken } from '../lib/privacy/consent.js';
+
+export const CONSENT_SECRET = 'consent_test_secret_5a4b3c';
+
+// Header carrying a valid consent token signed with CONSENT_SECRET
+export function consentHeaders(secret = CONSENT_SECRET) {
+  return { 'x-consent-token': issueConsentToken({ secret }).token };
+}
+
+export function createRequest({ method = 'GET', url = '/', headers = {}, remoteAddress = '203.0.113.10', body } = {}) {
+  // Vercel exposes the parsed query string as req.query
+  const query = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+  return { method, url, query, headers, body, socket: { remoteAddress } };
+}
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    end(body) {
+      if (body !== undefined) this.body = body;
+      this.ended = true;
+      return this;
+    }
+  };
+}
+
+// Collect everything written through console.* while fn runs
+export async function captureConsole(fn) {
+  const lines = [];
+  const methods = ['log', 'info', 'warn', 'error', 'debug'];
+  const originals = Object.fromEntries(methods.map(method => [method, console[method]]));
+  for (const method of methods) {
+    console[method] = (...args) => {
+      lines.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+    };
+  }
+  try {
+    const result = await fn();
+    return { result, output: lines.join('\n') };
+  } finally {
+    Object.assign(console, originals);
+  }
+}
+
+function jsonResponse(status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  // Null-body statuses such as 204 can't carry even an empty string
+  return new Response(status === 204 ? null : text, { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// Replace global fetch with a router: routes are [predicate(url, init), handler(url, init)]
+export function stubFetch(routes) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input);
+    calls.push({ url, init, body: init.body ? JSON.parse(init.body) : undefined });
+    for (const [matches, respond] of routes) {
+      if (matches(url, init)) {
+        const { status = 200, body = {}, headers } = await respond(url, init);
+        return jsonResponse(status, body, headers);
+      }
+    }
+    return jsonResponse(404, { error: 'no stub route' });
+  };
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = original;
+    }
+  };
+}
+
+// Gives each test in the calling file its own environment: the `clear`
+// names and those in `values` are removed, then `values` (an object, or a
+// function called before each test) applied. Everything, including what a
+// test changes itself, is put back after each test.
+export function withEnv(values = {}, { clear = [] } = {}) {
+  let saved;
+  beforeEach(async () => {
+    saved = { ...process.env };
+    const applied = typeof values === 'function' ? await values() : values;
+    for (const name of [...clear, ...Object.keys(applied)]) delete process.env[name];
+    for (const [name, value] of Object.entries(applied)) {
+      if (value !== undefined) process.env[name] = value;
+    }
+  });
+  afterEach(() => {
+    for (const name of Object.keys(process.env)) {
+      if (!(name in saved)) delete process.env[name];
+    }
+    Object.assign(process.env, saved);
+  });
+}
+
+// stubFetch(routes) around each test in the calling file. The returned
+// handle's `calls` are the current test's; `stub` is the stub itself.
+export function withFetchStub(routes) {
+  const handle = {
+    stub: null,
+    get calls() {
+      return handle.stub.calls;
+    }
+  };
+  beforeEach(() => {
+    handle.stub = stubFetch(routes);
+  });
+  afterEach(() => {
+    handle.stub.restore();
+  });
+  return handle;
+}
+
+// Local HTTP stand-in: records every request and answers with respond(request)
+export async function startHttpServer(respond = () => ({ status: 200, body: {} })) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    let body;
+    try {
+      body = text ? JSON.parse(text) : undefined;
+    } catch {
+      body = text;
+    }
+    const request = { method: req.method, url: req.url, headers: req.headers, body, text };
+    requests.push(request);
+    const { status = 200, body: reply = {}, headers = {} } = await respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof reply === 'string' ? reply : JSON.stringify(reply));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Local SMTP stand-in that accepts everything unless told to reject a recipient
+export async function startSmtpServer({ rejectRecipient = null } = {}) {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const session = { auth: null, from: null, to: [], data: null };
+    let buffer = '';
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, index);
+        buffer = buffer.substring(index + 2);
+        if (session.data !== null) {
+          if (line === '.') {
+            messages.push({ auth: session.auth, from: session.from, to: session.to, data: session.data.join('\r\n') });
+            session.data = null;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            session.data.push(line.replace(/^\.\./, '.'));
+          }
+          continue;
+        }
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            socket.write('250-stand-in\r\n250 AUTH PLAIN\r\n');
+            break;
+          case 'AUTH':
+            session.auth = Buffer.from(line.split(' ')[2], 'base64').toString('utf8').split('\0').slice(1);
+            socket.write('235 2.7.0 accepted\r\n');
+            break;
+          case 'MAIL':
+            session.from = line.match(/<(.*)>/)[1];
+            socket.write('250 2.1.0 ok\r\n');
+            break;
+          case 'RCPT': {
+            const recipient = line.match(/<(.*)>/)[1];
+            if (recipient === rejectRecipient) {
+              socket.write('550 5.1.1 no such user\r\n');
+            } else {
+              session.to.push(recipient);
+              socket.write('250 2.1.5 ok\r\n');
+            }
+            break;
+          }
+          case 'DATA':
+            session.data = [];
+            socket.write('354 go ahead\r\n');
+            break;
+          case 'QUIT':
+            socket.end('221 2.0.0 bye\r\n');
+            break;
+          default:
+            socket.write('502 5.5.2 not implemented\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
+
+export const SAMPLE_GEO = {
+  ip: '8.8.8.8',
+  country: { name: 'United States of America', isoAlpha2: 'US' },
+  location: {
+    continent: 'North America',
+    principalSubdivision: 'California',
+    city: 'Mountain View',
+    localityName: 'Mountain View',
+    latitude: 37.42,
+    longitude: -122.08,
+    accuracyRadius: 5,
+    timeZone: { ianaTimeId: 'America/Los_Angeles' }
+  },
+  network: { organisation: 'Google LLC', connectionType: 'Corporate', carriers: [{ asn: 'AS15169' }] },
+  confidence: 'high',
+  confidenceArea: [[-122.1, 37.4], [-122.0, 37.4], [-122.0, 37.5], [-122.1, 37.5]]
+};
+
+export const SAMPLE_ASN = {
+  asn: 'AS15169',
+  asnNumeric: 15169,
+  organisation: 'Google LLC',
+  name: 'GOOGLE',
+  registry: 'ARIN',
+  registeredCountryName: 'United States of America',
+  totalIpv4Addresses: 8000000,
+  rankText: '#10'
+};
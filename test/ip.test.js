@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cidrContains, classifyIp, ipPrefix, ipToBytes, isValidIp, parseCidr, parseIp } from '../lib/net/ip.js';
+
+test('addresses come back in canonical form (RFC 5952 for IPv6)', () => {
+  for (const [input, address] of [
+    ['8.8.8.8', '8.8.8.8'],
+    [' 203.0.113.7 ', '203.0.113.7'],
+    ['2001:0DB8:0000:0000:0000:0000:0000:0001', '2001:db8::1'],
+    ['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+    ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+    ['2001:db8:0:0:0:1:0:0', '2001:db8::1:0:0'],
+    ['0:0:0:0:0:0:0:0', '::'],
+    ['0:0:0:0:0:0:0:1', '::1'],
+    ['1:0:0:0:0:0:0:0', '1::'],
+    ['fe80:0:0:0:0:0:0:abcd', 'fe80::abcd'],
+    ['2001:db8::ffff:0:0', '2001:db8::ffff:0:0'],
+    ['2001:db8::1.2.3.4', '2001:db8::102:304']
+  ]) {
+    const parsed = parseIp(input);
+    assert.equal(parsed?.address, address, input);
+    assert.equal(parsed.version, address.includes(':') ? 6 : 4, input);
+  }
+});
+
+test('::ffff: mapped addresses are the IPv4 address they carry', () => {
+  for (const input of ['::ffff:1.2.3.4', '::FFFF:1.2.3.4', '::ffff:102:304', '0:0:0:0:0:ffff:102:304']) {
+    const parsed = parseIp(input);
+    assert.deepEqual([parsed.address, parsed.version, parsed.bytes], ['1.2.3.4', 4, [1, 2, 3, 4]], input);
+  }
+  assert.equal(ipToBytes('::ffff:1.2.3.4').length, 16);
+
+  assert.equal(cidrContains('1.2.3.0/24', '::ffff:1.2.3.4'), true);
+  assert.equal(cidrContains('1.2.3.0/24', '::1.2.3.4'), false);
+  assert.equal(ipPrefix('::ffff:1.2.3.4'), '1.2.3.0/24');
+  assert.equal(classifyIp('::ffff:10.1.2.3').label, 'private');
+  assert.equal(classifyIp('::ffff:8.8.8.8').reserved, false);
+});
+
+test('zone IDs are split off IPv6 addresses only', () => {
+  assert.deepEqual(
+    [parseIp('fe80::1%eth0').address, parseIp('fe80::1%eth0').zone],
+    ['fe80::1', 'eth0']
+  );
+  assert.equal(parseIp('FE80::1%25').zone, '25');
+  assert.equal(parseIp('fe80::1%').zone, null);
+  assert.equal(parseIp('fe80::1').zone, null);
+  assert.deepEqual(ipToBytes('fe80::1%eth0'), ipToBytes('fe80::1'));
+  assert.equal(classifyIp('fe80::1%eth0').label, 'link-local');
+  assert.equal(parseIp('1.2.3.4%eth0'), null);
+});
+
+test('anything else is not an address', () => {
+  for (const input of [
+    '', ' ', null, undefined, 'localhost', '1.2.3', '1.2.3.4.5', '256.1.1.1', '1.2.3.-4', '01.2.3.4', '1.2.3.04',
+    '1..3.4', '0x7f.0.0.1', '1.2.3.4/24', '1.2.3.4:80', '[::1]', '::1::', '1::2::3',
+    ':1:2:3:4:5:6:7', '1:2:3:4:5:6:7:', '1:2:3:4:5:6:7', '1:2:3:4:5:6:7:8:9', '1:2:3:4::5:6:7:8', '12345::',
+    'g::1', '::ffff:1.2.3', '::ffff:1.2.3.256', '1:2:3:4:5:6:7:1.2.3.4', '1.2.3.4::', '%eth0'
+  ]) {
+    assert.equal(parseIp(input), null, String(input));
+    assert.equal(isValidIp(input), false, String(input));
+    assert.deepEqual(classifyIp(input), { reserved: true, label: 'invalid', cidr: null }, String(input));
+  }
+});
+
+test('every reserved range has its label, and its neighbours are public', () => {
+  for (const [address, label, cidr] of [
+    ['0.1.2.3', 'unspecified', '0.0.0.0/8'],
+    ['10.0.0.1', 'private', '10.0.0.0/8'],
+    ['10.255.255.255', 'private', '10.0.0.0/8'],
+    ['100.64.0.1', 'cgnat', '100.64.0.0/10'],
+    ['100.127.255.254', 'cgnat', '100.64.0.0/10'],
+    ['127.0.0.1', 'loopback', '127.0.0.0/8'],
+    ['169.254.169.254', 'link-local', '169.254.0.0/16'],
+    ['172.16.0.1', 'private', '172.16.0.0/12'],
+    ['172.31.255.255', 'private', '172.16.0.0/12'],
+    ['192.0.0.9', 'ietf-protocol', '192.0.0.0/24'],
+    ['192.0.2.1', 'documentation', '192.0.2.0/24'],
+    ['192.88.99.1', 'relay-anycast', '192.88.99.0/24'],
+    ['192.168.1.1', 'private', '192.168.0.0/16'],
+    ['198.18.0.1', 'benchmarking', '198.18.0.0/15'],
+    ['198.19.255.255', 'benchmarking', '198.18.0.0/15'],
+    ['198.51.100.7', 'documentation', '198.51.100.0/24'],
+    ['203.0.113.7', 'documentation', '203.0.113.0/24'],
+    ['224.0.0.251', 'multicast', '224.0.0.0/4'],
+    ['239.255.255.250', 'multicast', '224.0.0.0/4'],
+    ['240.0.0.1', 'reserved', '240.0.0.0/4'],
+    ['255.255.255.255', 'broadcast', '255.255.255.255/32'],
+    ['::', 'unspecified', '::/128'],
+    ['::1', 'loopback', '::1/128'],
+    ['64:ff9b:1::1', 'private', '64:ff9b:1::/48'],
+    ['100::1', 'discard', '100::/64'],
+    ['2001:db8::1', 'documentation', '2001:db8::/32'],
+    ['3fff:fff::1', 'documentation', '3fff::/20'],
+    ['fc00::1', 'private', 'fc00::/7'],
+    ['fd12:3456::1', 'private', 'fc00::/7'],
+    ['fe80::1', 'link-local', 'fe80::/10'],
+    ['febf::1', 'link-local', 'fe80::/10'],
+    ['ff02::1', 'multicast', 'ff00::/8']
+  ]) {
+    assert.deepEqual(classifyIp(address), { reserved: true, label, cidr }, address);
+  }
+
+  for (const address of [
+    '1.1.1.1', '8.8.8.8', '9.255.255.255', '11.0.0.0', '100.63.255.255', '100.128.0.0', '126.255.255.255',
+    '128.0.0.0', '169.253.255.255', '172.15.255.255', '172.32.0.0', '192.0.1.0', '192.0.3.0', '192.167.255.255',
+    '198.17.255.255', '198.20.0.0', '203.0.114.1', '223.255.255.255',
+    '2001:4860:4860::8888', '2001:db9::1', '2606:4700::1111', '64:ff9b::808:808', '::2', '100:0:0:1::1', '3fff:1000::1',
+    'fec0::1', 'fe7f::1'
+  ]) {
+    assert.deepEqual(classifyIp(address), { reserved: false, label: null, cidr: null }, address);
+  }
+});
+
+test('ipPrefix masks to the network and parseCidr rejects bad ranges', () => {
+  assert.equal(ipPrefix('203.0.113.77'), '203.0.113.0/24');
+  assert.equal(ipPrefix('203.0.113.77', 16), '203.0.0.0/16');
+  assert.equal(ipPrefix('2001:db8:abcd:1234::1'), '2001:db8:abcd::/48');
+  assert.equal(ipPrefix('2001:db8:abcd:1234::1', 24, 56), '2001:db8:abcd:1200::/56');
+  assert.equal(ipPrefix('not-an-ip'), null);
+
+  assert.deepEqual(parseCidr('10.0.0.0/8'), { bytes: [10, 0, 0, 0], bits: 8 });
+  assert.deepEqual(parseCidr('1.2.3.4'), { bytes: [1, 2, 3, 4], bits: 32 });
+  assert.equal(parseCidr('::/0').bits, 0);
+  for (const cidr of ['10.0.0.0/33', '::/129', '10.0.0.0/x', '10.0.0.0/-1', 'nope/8', '10.0.0.0/']) {
+    assert.throws(() => parseCidr(cidr), /Invalid CIDR/, cidr);
+  }
+
+  assert.equal(cidrContains('::/0', '2001:db8::1'), true);
+  assert.equal(cidrContains('::/0', '1.2.3.4'), false);
+  assert.equal(cidrContains('10.0.0.0/8', 'not-an-ip'), false);
+});
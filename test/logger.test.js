@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import logHandler from '../api/log.js';
+import { createLogger, requestIdFor } from '../lib/log/logger.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/1/loggerTestToken';
+
+function entries(output) {
+  return output.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  resetCircuits();
+  resetMemoryCache();
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_logger_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'none',
+  CONSENT_SECRET
+}, { clear: ['LOG_LEVEL'] });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+test('writes one JSON line per call with bindings and serialized errors', async () => {
+  const log = createLogger({ level: 'debug', bindings: { requestId: 'req-1' } });
+  const { output } = await captureConsole(() => log.error('boom', { error: new Error('bad'), count: 2 }));
+
+  const [entry] = entries(output);
+  assert.equal(entry.level, 'error');
+  assert.equal(entry.msg, 'boom');
+  assert.equal(entry.requestId, 'req-1');
+  assert.equal(entry.count, 2);
+  assert.equal(entry.error.message, 'bad');
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('LOG_LEVEL filters lower levels and defaults to info', async () => {
+  const log = createLogger();
+  let { output } = await captureConsole(() => {
+    log.debug('hidden');
+    log.info('shown');
+  });
+  assert.deepEqual(entries(output).map(entry => entry.msg), ['shown']);
+
+  process.env.LOG_LEVEL = 'warn';
+  ({ output } = await captureConsole(() => {
+    log.info('hidden');
+    log.warn('shown');
+  }));
+  assert.deepEqual(entries(output).map(entry => entry.msg), ['shown']);
+});
+
+test('reuses a well-formed upstream request ID and replaces anything else', () => {
+  assert.equal(requestIdFor(createRequest({ headers: { 'x-request-id': 'abc-123' } })), 'abc-123');
+  const minted = requestIdFor(createRequest({ headers: { 'x-request-id': 'bad id\nwith newline' } }));
+  assert.match(minted, /^[0-9a-f-]{36}$/);
+});
+
+test('/api/log ties the response header, log lines and webhook footers to one request ID', async () => {
+  const res = createResponse();
+  const req = createRequest({ remoteAddress: '8.8.8.8', headers: { 'x-request-id': 'trace-42', ...consentHeaders() } });
+  const { output } = await captureConsole(() => logHandler(req, res));
+
+  assert.equal(res.getHeader('X-Request-Id'), 'trace-42');
+  assert.ok(entries(output).every(entry => entry.requestId === 'trace-42'));
+
+  const webhookBodies = fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).map(call => call.body);
+  assert.ok(webhookBodies.length > 0);
+  for (const body of webhookBodies) {
+    for (const embed of body.embeds) {
+      assert.ok(embed.footer.text.includes('trace-42'), embed.footer.text);
+    }
+  }
+});
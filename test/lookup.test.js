@@ -0,0 +1,176 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import lookupHandler from '../api/lookup.js';
+import { parseAddresses, formatRecords } from '../lib/http/records.js';
+import { formatTable, runCommand } from '../scripts/cli.js';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { SAMPLE_ASN, SAMPLE_GEO, captureConsole, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/12/lookupTest';
+const LOOKUP_TOKEN = 'tok_lookup_only';
+const BULK_TOKEN = 'tok:bulk:with:colons';
+const log = createLogger({ level: 'error' });
+
+let dir;
+let inFlight;
+let maxInFlight;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'lookup-test-'));
+  resetCircuits();
+  resetMemoryCache();
+  inFlight = 0;
+  maxInFlight = 0;
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_lookup_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'memory',
+  OUTBOX_BACKEND: 'none',
+  API_TOKENS: `oncall:lookup:${LOOKUP_TOKEN}, etl:lookup+lookup.bulk:${BULK_TOKEN}`,
+  LOOKUP_CONCURRENCY: '2'
+}, { clear: ['ADMIN_TOKEN', 'LOOKUP_MAX_ROWS'] });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), async url => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    const ip = new URL(url).searchParams.get('ip');
+    return ip === '9.9.9.9' ? { status: 500, body: { error: 'down' } } : { body: { ...SAMPLE_GEO, ip } };
+  }],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function call({ method = 'GET', url = '/api/lookup', token = BULK_TOKEN, contentType, body } = {}) {
+  const headers = {
+    ...(token ? { authorization: `Bearer ${token}` } : {}),
+    ...(contentType ? { 'content-type': contentType } : {})
+  };
+  const res = createResponse();
+  await captureConsole(() => lookupHandler(createRequest({ method, url, headers, body }), res));
+  return res;
+}
+
+const geoCalls = () => fetchStub.calls.filter(call => call.url.includes('ip-geolocation-full')).length;
+
+test('API tokens parse into names, scopes and secrets', () => {
+  assert.deepEqual(loadConfig(process.env).auth.apiTokens, [
+    { name: 'oncall', scopes: ['lookup'], secret: LOOKUP_TOKEN },
+    { name: 'etl', scopes: ['lookup', 'lookup.bulk'], secret: BULK_TOKEN }
+  ]);
+});
+
+test('single lookups need the lookup scope and never notify', async () => {
+  const res = await call({ url: '/api/lookup?ip=8.8.4.4', token: LOOKUP_TOKEN });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.ip, '8.8.4.4');
+  assert.equal(res.body.data.status, 'ok');
+  assert.equal(res.body.data.asn, 'AS15169');
+  assert.equal(res.body.data.countryCode, 'US');
+  assert.equal(fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 0);
+
+  assert.equal((await call({ url: '/api/lookup?ip=10.1.1.1' })).statusCode, 422);
+  assert.equal((await call({ url: '/api/lookup?ip=not-an-ip' })).statusCode, 400);
+  assert.equal((await call({ url: '/api/lookup?ip=9.9.9.9' })).statusCode, 502);
+  assert.equal((await call({ url: '/api/lookup' })).statusCode, 400);
+});
+
+test('tokens are checked for the scope each mode needs', async () => {
+  assert.equal((await call({ url: '/api/lookup?ip=8.8.8.8', token: null })).statusCode, 401);
+  assert.equal((await call({ url: '/api/lookup?ip=8.8.8.8', token: 'wrong' })).statusCode, 403);
+
+  const bulk = await call({ method: 'POST', token: LOOKUP_TOKEN, contentType: 'text/csv', body: '8.8.8.8\n' });
+  assert.equal(bulk.statusCode, 403);
+  assert.equal(bulk.body.error, 'Token lacks the lookup.bulk scope');
+
+  process.env.ADMIN_TOKEN = 'admin-token';
+  assert.equal((await call({ url: '/api/lookup?ip=8.8.8.8', token: 'admin-token' })).statusCode, 200);
+
+  delete process.env.API_TOKENS;
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await call({ url: '/api/lookup?ip=8.8.8.8' })).statusCode, 503);
+});
+
+test('CSV bulk lookups answer in CSV with a status per row and bounded concurrency', async () => {
+  const body = 'name,ip\nhome,8.8.8.8\n"office, hq",1.1.1.1\nlab,192.168.1.1\nbad,999.1.1.1\ndown,9.9.9.9\nagain,8.8.8.8\n';
+  const res = await call({ method: 'POST', contentType: 'text/csv', body: Buffer.from(body) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+  const [header, ...lines] = res.body.trimEnd().split('\n');
+  assert.equal(header, 'row,ip,continent,country,countryCode,region,city,latitude,longitude,accuracyRadius,asn,organisation,connectionType,timezone,provider,cache,status,error');
+  assert.equal(lines.length, 6);
+  assert.ok(lines[0].startsWith('1,8.8.8.8,'));
+  assert.ok(lines[2].endsWith(',reserved,Non-routable address (private)'));
+  assert.ok(lines[3].endsWith(',invalid,Not an IP address'));
+  assert.ok(lines[4].endsWith(',failed,All geolocation providers failed'));
+  assert.ok(maxInFlight <= 2);
+  // The repeated address came from the cache
+  assert.ok(lines[5].endsWith(',bigdatacloud,hit,ok,'), lines[5]);
+});
+
+test('NDJSON bulk lookups answer in NDJSON and oversized requests are refused', async () => {
+  const res = await call({
+    method: 'POST',
+    contentType: 'application/x-ndjson',
+    body: '{"ip":"8.8.8.8"}\n"1.1.1.1"\n{oops\n'
+  });
+  const rows = res.body.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(row => [row.row, row.ip, row.status]), [[1, '8.8.8.8', 'ok'], [2, '1.1.1.1', 'ok'], [3, '{oops', 'invalid']]);
+
+  process.env.LOOKUP_MAX_ROWS = '2';
+  const calls = geoCalls();
+  const tooMany = await call({ method: 'POST', contentType: 'application/x-ndjson', body: '"1.1.1.1"\n"1.0.0.1"\n"8.8.8.8"\n' });
+  assert.equal(tooMany.statusCode, 413);
+  assert.equal(geoCalls(), calls);
+
+  assert.equal((await call({ method: 'POST', contentType: 'application/xml', body: '<ip/>' })).statusCode, 415);
+  assert.equal((await call({ method: 'POST', contentType: 'text/csv', body: '# nothing\n' })).statusCode, 400);
+});
+
+test('address lists read from CSV or plain lines and rows write back out as CSV', () => {
+  assert.deepEqual(parseAddresses('8.8.8.8\n# comment\n\n1.1.1.1\n', 'csv'), ['8.8.8.8', '1.1.1.1']);
+  assert.deepEqual(parseAddresses('host,IP\na,"8.8.8.8"\n', 'csv'), ['8.8.8.8']);
+  assert.equal(formatRecords([{ a: 'x,"y"', b: null }], 'csv'), 'a,b\n"x,""y""",\n');
+});
+
+test('the CLI runs lookups, ASN details and offline replays with the server config', async () => {
+  const file = join(dir, 'ips.txt');
+  await writeFile(file, '8.8.8.8\n10.0.0.1\n');
+  const lookup = await runCommand(['lookup', '1.1.1.1', '--file', file, '--format', 'ndjson'], { log });
+  assert.equal(lookup.format, 'ndjson');
+  assert.deepEqual(lookup.rows.map(row => [row.ip, row.status]), [['1.1.1.1', 'ok'], ['8.8.8.8', 'ok'], ['10.0.0.1', 'reserved']]);
+
+  const table = formatTable(lookup.rows, lookup.columns).split('\n');
+  assert.match(table[0], /^ip +status +countryCode +city +asn/);
+  assert.match(table[1], /^1\.1\.1\.1 +ok +US +Mountain View +AS15169/);
+
+  const asn = await runCommand(['asn', 'as15169', 'nope'], { log });
+  assert.deepEqual(asn.rows.map(row => [row.asn, row.status, row.registry]), [['AS15169', 'ok', 'ARIN'], ['nope', 'invalid', null]]);
+
+  const fixture = join(dir, 'fixture.json');
+  await writeFile(fixture, JSON.stringify({ ip: '8.8.8.8', geo: SAMPLE_GEO, asn: SAMPLE_ASN }));
+  const calls = fetchStub.calls.length;
+  const replay = await runCommand(['replay', fixture], { log });
+  assert.equal(replay.rows[0].city, 'Mountain View');
+  assert.equal(replay.rows[0].provider, 'replay');
+  assert.equal(fetchStub.calls.length, calls);
+
+  await assert.rejects(runCommand(['lookup'], { log }), { usage: true });
+  await assert.rejects(runCommand(['lookup', '8.8.8.8', '--format', 'xml'], { log }), { usage: true });
+  await assert.rejects(runCommand(['frobnicate'], { log }), { message: /^Unknown command: frobnicate/ });
+});
@@ -0,0 +1,307 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMmdbReader } from '../lib/geo/mmdb.js';
+import { createMmdbProvider } from '../lib/geo/providers/mmdb.js';
+import { parseCidr } from '../lib/net/ip.js';
+
+// --- A minimal MaxMind DB writer, enough to build test databases ---
+
+const METADATA_MARKER = Buffer.from('\xab\xcd\xefMaxMind.com', 'latin1');
+
+// Control byte(s) and payload for one data field; sizes of 29 and up take extra bytes
+function field(type, size, payload = Buffer.alloc(0)) {
+  let sizeBits = size;
+  let extra = [];
+  if (size >= 65821) {
+    const rest = size - 65821;
+    sizeBits = 31;
+    extra = [(rest >> 16) & 0xff, (rest >> 8) & 0xff, rest & 0xff];
+  } else if (size >= 285) {
+    const rest = size - 285;
+    sizeBits = 30;
+    extra = [rest >> 8, rest & 0xff];
+  } else if (size >= 29) {
+    sizeBits = 29;
+    extra = [size - 29];
+  }
+  const ctrl = type > 7 ? [sizeBits, type - 7] : [(type << 5) | sizeBits];
+  return Buffer.concat([Buffer.from([...ctrl, ...extra]), payload]);
+}
+
+function unsigned(type, value) {
+  const bytes = [];
+  for (let rest = BigInt(value); rest > 0n; rest >>= 8n) bytes.unshift(Number(rest & 0xffn));
+  return field(type, bytes.length, Buffer.from(bytes));
+}
+
+function fixed(type, size, write) {
+  const payload = Buffer.alloc(size);
+  write(payload);
+  return field(type, size, payload);
+}
+
+const mm = {
+  string: value => field(2, Buffer.byteLength(value), Buffer.from(value)),
+  double: value => fixed(3, 8, payload => payload.writeDoubleBE(value)),
+  bytes: value => field(4, value.length, value),
+  uint16: value => unsigned(5, value),
+  uint32: value => unsigned(6, value),
+  map: entries => Buffer.concat([
+    field(7, Object.keys(entries).length),
+    ...Object.entries(entries).flatMap(([key, value]) => [mm.string(key), value])
+  ]),
+  int32: value => fixed(8, 4, payload => payload.writeInt32BE(value)),
+  uint64: value => unsigned(9, value),
+  uint128: value => unsigned(10, value),
+  array: values => Buffer.concat([field(11, values.length), ...values]),
+  boolean: value => field(14, value ? 1 : 0),
+  float: value => fixed(15, 4, payload => payload.writeFloatBE(value)),
+  // The smallest pointer encoding that reaches `offset`, or `size` when given
+  pointer(offset, size = offset < 2048 ? 0 : offset < 526336 ? 1 : 3) {
+    if (size === 0) return Buffer.from([0x20 | (offset >> 8), offset & 0xff]);
+    if (size === 1) {
+      const rest = offset - 2048;
+      return Buffer.from([0x28 | (rest >> 16), (rest >> 8) & 0xff, rest & 0xff]);
+    }
+    const payload = Buffer.alloc(5);
+    payload[0] = 0x38;
+    payload.writeUInt32BE(offset, 1);
+    return payload;
+  }
+};
+
+// Data section built field by field; put() answers the field's offset
+function dataSection() {
+  const fields = [];
+  let length = 0;
+  return {
+    put(value) {
+      fields.push(value);
+      length += value.length;
+      return length - value.length;
+    },
+    toBuffer: () => Buffer.concat(fields)
+  };
+}
+
+function* bitsOf(bytes, count) {
+  for (let i = 0; i < count; i++) yield (bytes[i >> 3] >> (7 - (i % 8))) & 1;
+}
+
+// networks: [[cidr, data offset]]. IPv4 networks of an IPv6 database go under
+// ::/96, which ::ffff:0:0/96 aliases the way MaxMind's own databases do.
+function buildMmdb({ ipVersion = 6, recordSize = 24, networks, data, metadata = {} }) {
+  const nodes = [[null, null]];
+
+  // Follows `bits` from the root, adding nodes as needed; answers the last [node, bit]
+  function walk(bits) {
+    let node = 0;
+    let last = null;
+    for (const bit of bits) {
+      if (last) {
+        const [parent, parentBit] = last;
+        if (nodes[parent][parentBit] === null) {
+          nodes.push([null, null]);
+          nodes[parent][parentBit] = { node: nodes.length - 1 };
+        }
+        node = nodes[parent][parentBit].node;
+      }
+      last = [node, bit];
+    }
+    return last;
+  }
+
+  const treeBits = ({ bytes, bits }) => (ipVersion === 6 && bytes.length === 4
+    ? [...new Array(96).fill(0), ...bitsOf(bytes, bits)]
+    : [...bitsOf(bytes, bits)]);
+
+  for (const [cidr, offset] of networks) {
+    const [node, bit] = walk(treeBits(parseCidr(cidr)));
+    nodes[node][bit] = { data: offset };
+  }
+  if (ipVersion === 6 && networks.some(([cidr]) => !cidr.includes(':'))) {
+    const [v4Parent, v4Bit] = walk(new Array(96).fill(0));
+    const [node, bit] = walk(treeBits(parseCidr('::ffff:0:0/96')));
+    nodes[node][bit] = nodes[v4Parent][v4Bit];
+  }
+
+  const nodeCount = nodes.length;
+  const value = record => (record === null ? nodeCount : 'node' in record ? record.node : nodeCount + 16 + record.data);
+  const nodeBytes = recordSize / 4;
+  const tree = Buffer.alloc(nodeCount * nodeBytes);
+  nodes.forEach(([left, right], index) => {
+    const at = index * nodeBytes;
+    const [l, r] = [value(left), value(right)];
+    if (recordSize === 24) {
+      tree.writeUIntBE(l, at, 3);
+      tree.writeUIntBE(r, at + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(l & 0xffffff, at, 3);
+      tree[at + 3] = ((l >> 24) << 4) | (r >> 24);
+      tree.writeUIntBE(r & 0xffffff, at + 4, 3);
+    } else {
+      tree.writeUInt32BE(l, at);
+      tree.writeUInt32BE(r, at + 4);
+    }
+  });
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    data,
+    METADATA_MARKER,
+    mm.map({
+      node_count: mm.uint32(nodeCount),
+      record_size: mm.uint16(recordSize),
+      ip_version: mm.uint16(ipVersion),
+      database_type: mm.string('Test-City'),
+      languages: mm.array([mm.string('en')]),
+      binary_format_major_version: mm.uint16(2),
+      binary_format_minor_version: mm.uint16(0),
+      build_epoch: mm.uint64(1700000000),
+      description: mm.map({ en: mm.string('Test database') }),
+      ...metadata
+    })
+  ]);
+}
+
+// A city record whose fields use every data type and pointer size the reader handles
+function cityData() {
+  const section = dataSection();
+  const continent = section.put(mm.string('South America'));
+  section.put(mm.string('x'.repeat(3000)));
+  const country = section.put(mm.string('Brazil'));
+  const city = section.put(mm.map({
+    continent: mm.map({ names: mm.map({ en: mm.pointer(continent) }) }),
+    country: mm.map({ iso_code: mm.string('BR'), names: mm.map({ en: mm.pointer(country) }) }),
+    city: mm.map({ names: mm.map({ en: mm.string('São Paulo'), pt: mm.string('São Paulo') }) }),
+    location: mm.map({
+      latitude: mm.double(-23.5475),
+      longitude: mm.double(-46.63611),
+      accuracy_radius: mm.uint16(20),
+      time_zone: mm.string('America/Sao_Paulo')
+    }),
+    traits: mm.map({ is_anycast: mm.boolean(true), is_satellite_provider: mm.boolean(false) }),
+    note: mm.string('n'.repeat(40)),
+    score: mm.float(0.5),
+    population: mm.uint32(12325232),
+    utc_offset: mm.int32(-3),
+    small_id: mm.uint64(42),
+    build_id: mm.uint64(2n ** 60n + 1n),
+    network_id: mm.uint128(2n ** 100n + 7n),
+    tiny_id: mm.uint128(255),
+    tags: mm.array([mm.string('metro'), mm.uint16(1), mm.map({})]),
+    digest: mm.bytes(Buffer.from([1, 2, 3]))
+  }));
+  // A record that is only a 32-bit pointer to the city above
+  const alias = section.put(mm.pointer(city, 3));
+  return { data: section.toBuffer(), city, country, alias };
+}
+
+function cityDatabase(options = {}) {
+  const { data, city, alias } = cityData();
+  const networks = [['1.2.3.0/24', city]];
+  if ((options.ipVersion ?? 6) === 6) networks.push(['2001:db8::/32', alias]);
+  return buildMmdb({ networks, data, ...options });
+}
+
+test('metadata is read from after the last marker', () => {
+  const reader = createMmdbReader(cityDatabase());
+
+  assert.equal(reader.metadata.ip_version, 6);
+  assert.equal(reader.metadata.record_size, 24);
+  assert.equal(reader.metadata.database_type, 'Test-City');
+  assert.deepEqual(reader.metadata.languages, ['en']);
+  assert.deepEqual(reader.metadata.description, { en: 'Test database' });
+});
+
+test('every data type and pointer size decodes', () => {
+  const record = createMmdbReader(cityDatabase()).get('1.2.3.4');
+
+  // Pointers: 11-bit, 19-bit past the 3000-character padding, and 32-bit
+  assert.equal(record.continent.names.en, 'South America');
+  assert.equal(record.country.names.en, 'Brazil');
+  assert.equal(record.city.names.en, 'São Paulo');
+  assert.equal(record.note, 'n'.repeat(40));
+  assert.deepEqual(record.location, {
+    latitude: -23.5475,
+    longitude: -46.63611,
+    accuracy_radius: 20,
+    time_zone: 'America/Sao_Paulo'
+  });
+  assert.deepEqual(record.traits, { is_anycast: true, is_satellite_provider: false });
+  assert.equal(record.score, 0.5);
+  assert.equal(record.population, 12325232);
+  assert.equal(record.utc_offset, -3);
+  // 64- and 128-bit values are Numbers while safe, BigInts beyond that
+  assert.equal(record.small_id, 42);
+  assert.equal(record.build_id, 2n ** 60n + 1n);
+  assert.equal(record.network_id, 2n ** 100n + 7n);
+  assert.equal(record.tiny_id, 255);
+  assert.deepEqual(record.tags, ['metro', 1, {}]);
+  assert.deepEqual([...record.digest], [1, 2, 3]);
+});
+
+test('IPv4 addresses are found under ::/96 and ::ffff:0:0/96 of an IPv6 database', () => {
+  const reader = createMmdbReader(cityDatabase());
+  const expected = reader.get('1.2.3.4');
+
+  assert.equal(expected.city.names.en, 'São Paulo');
+  assert.deepEqual(reader.get('::ffff:1.2.3.200'), expected);
+  assert.deepEqual(reader.get('::1.2.3.9'), expected);
+  // A data record that is itself a pointer resolves to what it points at
+  assert.deepEqual(reader.get('2001:db8:ffff::1'), expected);
+});
+
+test('addresses without a record answer null', () => {
+  const reader = createMmdbReader(cityDatabase());
+
+  assert.equal(reader.get('1.2.4.1'), null);
+  assert.equal(reader.get('8.8.8.8'), null);
+  assert.equal(reader.get('2001:db9::1'), null);
+  assert.equal(reader.get('::'), null);
+  assert.throws(() => reader.get('1.2.3'), /Invalid IP address: 1\.2\.3/);
+});
+
+test('24-, 28- and 32-bit records of an IPv4 database', () => {
+  for (const recordSize of [24, 28, 32]) {
+    const reader = createMmdbReader(cityDatabase({ ipVersion: 4, recordSize }));
+
+    assert.equal(reader.get('1.2.3.4').city.names.en, 'São Paulo', `record size ${recordSize}`);
+    assert.equal(reader.get('1.2.2.255'), null);
+    // IPv6 is not in an IPv4 database at all
+    assert.equal(reader.get('2001:db8::1'), null);
+    assert.equal(reader.get('::ffff:1.2.3.4'), null);
+  }
+});
+
+test('a file without metadata or with an unknown record size is refused', () => {
+  assert.throws(() => createMmdbReader(Buffer.from('not a database')), /metadata marker not found/);
+  assert.throws(
+    () => createMmdbReader(cityDatabase({ metadata: { record_size: mm.uint16(20) } })),
+    /Unsupported MMDB record size: 20/
+  );
+});
+
+test('the mmdb provider normalizes a record and answers 404 for a missing one', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'mmdb-test-'));
+  try {
+    const cityPath = join(dir, 'city.mmdb');
+    await writeFile(cityPath, cityDatabase());
+    const provider = createMmdbProvider({ cityPath });
+
+    const geo = await provider.lookup('::ffff:1.2.3.4');
+    assert.equal(geo.provider, 'mmdb');
+    assert.equal(geo.location.city, 'São Paulo');
+    assert.equal(geo.location.countryCode, 'BR');
+    assert.equal(geo.location.latitude, -23.5475);
+    assert.equal(geo.timezone.name, 'America/Sao_Paulo');
+
+    await assert.rejects(provider.lookup('8.8.8.8'), error => error.status === 404 && /No MMDB record for 8\.8\.8\.8/.test(error.message));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
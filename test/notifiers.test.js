@@ -0,0 +1,265 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeIpData } from '../lib/geo/providers/bigdatacloud.js';
+import { buildMainData } from '../lib/geo/normalize.js';
+import { processConfidenceArea } from '../lib/geo/confidence.js';
+import { createLogger } from '../lib/log/logger.js';
+import { loadConfig } from '../lib/config.js';
+import { createNotifier, notifyAll, resolveNotifiers } from '../lib/notify/index.js';
+import logHandler from '../api/log.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import {
+  CONSENT_SECRET,
+  SAMPLE_ASN,
+  SAMPLE_GEO,
+  captureConsole,
+  consentHeaders,
+  createRequest,
+  createResponse,
+  startHttpServer,
+  startSmtpServer,
+  stubFetch,
+  withEnv
+} from './helpers.js';
+
+// Keep delivery failures out of the test output
+const log = createLogger({ level: 'error' });
+const quiet = { log: { ...log, error: () => {} } };
+
+// For the /api/log test; the notifier tests pass their config explicitly
+const LOG_ENV = {
+  BIGDATACLOUD_API_KEY: 'bdc_notify_test_key',
+  CACHE_BACKEND: 'none',
+  OUTBOX_BACKEND: 'none',
+  CONSENT_SECRET,
+  SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T0/B0/notifyTest',
+  NOTIFY_WEBHOOK_URL: 'https://hooks.example.org/ip'
+};
+
+withEnv(LOG_ENV, { clear: ['DISCORD_WEBHOOK_URL'] });
+
+const servers = [];
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map(server => server.close()));
+});
+
+async function httpServer(respond) {
+  const server = await startHttpServer(respond);
+  servers.push(server);
+  return server;
+}
+
+async function smtpServer(options) {
+  const server = await startSmtpServer(options);
+  servers.push(server);
+  return server;
+}
+
+function sampleReport() {
+  const geo = normalizeIpData(SAMPLE_GEO);
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  const mainData = buildMainData({
+    ip: '8.8.8.8',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0',
+    geo,
+    asnData: SAMPLE_ASN,
+    confidenceInfo,
+    requestId: 'req-notify'
+  });
+  return { mainData, asnData: SAMPLE_ASN, confidenceInfo };
+}
+
+function notifyConfig(env) {
+  return loadConfig({ NOTIFY_TIMEOUT_MS: '2000', ...env }).notify;
+}
+
+function decodeBody(data) {
+  const [, body] = data.split('\r\n\r\n');
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+test('Slack notifier posts Block Kit with a plain-text fallback', async () => {
+  const server = await httpServer(() => ({ status: 200, body: 'ok' }));
+  const notifier = createNotifier('slack', notifyConfig({ SLACK_WEBHOOK_URL: `${server.url}/services/T/B/X` }));
+
+  assert.deepEqual(await notifier.send(sampleReport(), { log }), { sent: true, error: null });
+
+  const [request] = server.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/services/T/B/X');
+  assert.ok(request.body.text.includes('8.8.8.8'));
+  assert.equal(request.body.blocks[0].type, 'header');
+  const fields = request.body.blocks.filter(block => block.type === 'section').flatMap(block => block.fields);
+  assert.ok(fields.every(field => field.type === 'mrkdwn'));
+  assert.ok(fields.some(field => field.text === '*Organization*\nGoogle LLC'));
+  assert.ok(request.body.blocks.every(block => block.type !== 'section' || block.fields.length <= 10));
+});
+
+test('Matrix notifier PUTs an m.room.message event with the access token', async () => {
+  const server = await httpServer(() => ({ status: 200, body: { event_id: '$event1' } }));
+  const notifier = createNotifier('matrix', notifyConfig({
+    MATRIX_HOMESERVER_URL: `${server.url}/`,
+    MATRIX_ACCESS_TOKEN: 'syt_matrix_token',
+    MATRIX_ROOM_ID: '!room:example.org'
+  }));
+
+  const report = sampleReport();
+  const result = await notifier.send(report, { log });
+  assert.deepEqual(result, { sent: true, error: null, eventId: '$event1' });
+
+  const [request] = server.requests;
+  assert.equal(request.method, 'PUT');
+  assert.match(request.url, /^\/_matrix\/client\/v3\/rooms\/!room%3Aexample\.org\/send\/m\.room\.message\/req-notify\.[0-9a-f]{16}$/);
+  assert.equal(request.headers.authorization, 'Bearer syt_matrix_token');
+  assert.equal(request.body.msgtype, 'm.text');
+  assert.equal(request.body.format, 'org.matrix.custom.html');
+  assert.ok(request.body.body.includes('Mountain View'));
+  assert.ok(request.body.formatted_body.includes('<strong>ASN:</strong> AS15169'));
+
+  // A resend reuses the transaction ID; another visit under the same request ID doesn't
+  await notifier.send(report, { log });
+  await notifier.send({ ...report, mainData: { ...report.mainData, timestamp: '2026-01-01T00:00:00.000Z' } }, { log });
+  const [, resent, other] = server.requests.map(entry => entry.url);
+  assert.equal(resent, request.url);
+  assert.notEqual(other, request.url);
+});
+
+test('generic webhook notifier posts the report as JSON', async () => {
+  const server = await httpServer();
+  const notifier = createNotifier('webhook', notifyConfig({ NOTIFY_WEBHOOK_URL: `${server.url}/hook` }));
+
+  await notifier.send(sampleReport(), { log });
+
+  const [request] = server.requests;
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.body.event, 'ip.logged');
+  assert.equal(request.body.requestId, 'req-notify');
+  assert.equal(request.body.data.ip, '8.8.8.8');
+  assert.equal(request.body.asnDetails.registry, 'ARIN');
+});
+
+test('HTTP notifiers surface non-2xx responses as errors with the status', async () => {
+  const server = await httpServer(() => ({ status: 500, body: { error: 'down' } }));
+  const notifier = createNotifier('webhook', notifyConfig({ NOTIFY_WEBHOOK_URL: server.url }));
+
+  await assert.rejects(notifier.send(sampleReport(), quiet), { message: 'Webhook API: 500', status: 500 });
+});
+
+test('SMTP notifier delivers a plain-text report to every recipient', async () => {
+  const server = await smtpServer();
+  const notifier = createNotifier('smtp', notifyConfig({
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(server.port),
+    SMTP_FROM: 'logger@example.org',
+    SMTP_TO: 'Ops@example.org, oncall@example.org'
+  }));
+
+  const result = await notifier.send(sampleReport(), { log });
+  assert.equal(result.sent, true);
+
+  const [message] = server.messages;
+  assert.equal(message.from, 'logger@example.org');
+  assert.deepEqual(message.to, ['Ops@example.org', 'oncall@example.org']);
+  assert.equal(message.auth, null);
+  assert.ok(message.data.includes('Subject: IP Location Report: 8.8.8.8'));
+  assert.ok(message.data.includes(`Message-ID: <${result.messageId}>`));
+  assert.ok(decodeBody(message.data).includes('Organization: Google LLC'));
+});
+
+test('SMTP credentials are never sent without TLS unless explicitly allowed', async () => {
+  const server = await smtpServer();
+  const env = {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(server.port),
+    SMTP_USER: 'mailer',
+    SMTP_PASSWORD: 'smtp-password',
+    SMTP_FROM: 'logger@example.org',
+    SMTP_TO: 'ops@example.org'
+  };
+
+  await assert.rejects(createNotifier('smtp', notifyConfig(env)).send(sampleReport(), { log }), /clear text/);
+  assert.equal(server.messages.length, 0);
+
+  await createNotifier('smtp', notifyConfig({ ...env, SMTP_ALLOW_INSECURE_AUTH: 'true' })).send(sampleReport(), { log });
+  assert.deepEqual(server.messages[0].auth, ['mailer', 'smtp-password']);
+});
+
+test('SMTP rejections carry the reply code', async () => {
+  const server = await smtpServer({ rejectRecipient: 'nobody@example.org' });
+  const notifier = createNotifier('smtp', notifyConfig({
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(server.port),
+    SMTP_FROM: 'logger@example.org',
+    SMTP_TO: 'nobody@example.org'
+  }));
+
+  await assert.rejects(notifier.send(sampleReport(), { log }), { status: 550 });
+});
+
+test('registry only returns configured notifiers, in NOTIFIERS order when given', () => {
+  const env = {
+    DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/1/x',
+    SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T/B/X',
+    MATRIX_HOMESERVER_URL: 'https://matrix.example.org'
+  };
+  assert.deepEqual(resolveNotifiers(notifyConfig(env)).map(n => n.name), ['discord', 'slack']);
+  assert.deepEqual(resolveNotifiers(notifyConfig({ ...env, NOTIFIERS: 'slack,discord' })).map(n => n.name), ['slack', 'discord']);
+  assert.deepEqual(resolveNotifiers(notifyConfig({ ...env, NOTIFIERS: 'slack' })).map(n => n.name), ['slack']);
+  assert.throws(() => resolveNotifiers(notifyConfig({ NOTIFIERS: 'pager' })), /Unknown notifier: pager/);
+});
+
+test('notifyAll isolates a failing destination from the rest', async () => {
+  const failing = await httpServer(() => ({ status: 503, body: {} }));
+  const working = await httpServer();
+  const config = notifyConfig({ SLACK_WEBHOOK_URL: failing.url, NOTIFY_WEBHOOK_URL: working.url });
+
+  const results = await notifyAll(resolveNotifiers(config), sampleReport(), quiet);
+
+  assert.deepEqual(results.slack, { sent: false, error: 'Slack API: 503' });
+  assert.deepEqual(results.webhook, { sent: true, error: null });
+  assert.equal(working.requests.length, 1);
+});
+
+test('/api/log reports per-notifier results alongside the Discord breakdown', async () => {
+  resetCircuits();
+  const fetchStub = stubFetch([
+    [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+    [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+    [url => url.startsWith(LOG_ENV.SLACK_WEBHOOK_URL), () => ({ status: 200, body: 'ok' })],
+    [url => url.startsWith(LOG_ENV.NOTIFY_WEBHOOK_URL), () => ({ status: 502, body: {} })]
+  ]);
+
+  try {
+    const res = createResponse();
+    await captureConsole(() => logHandler(createRequest({ remoteAddress: '8.8.8.8', headers: consentHeaders() }), res));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.notifications.slack, { sent: true, error: null });
+    assert.deepEqual(res.body.notifications.webhook, { sent: false, error: 'Webhook API: 502' });
+    assert.equal(res.body.notifications.discord, undefined);
+    assert.equal(res.body.webhooks.main.sent, false);
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test('/api/log refuses to run with invalid templates or routes before looking anything up', async () => {
+  process.env.NOTIFY_TEMPLATES = JSON.stringify({ report: { title: '{{nope}}' } });
+  process.env.NOTIFY_ROUTES = '{nope';
+  const fetchStub = stubFetch([]);
+
+  try {
+    const res = createResponse();
+    const { output } = await captureConsole(() => logHandler(createRequest({ remoteAddress: '8.8.8.8', headers: consentHeaders() }), res));
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.error, 'Notification settings are invalid');
+    assert.ok(res.body.requestId);
+    const [event] = output.split('\n').map(line => JSON.parse(line)).filter(line => line.msg === 'notify.misconfigured');
+    assert.deepEqual(event.problems.map(problem => problem.split(':')[0]), ['report.title', 'NOTIFY_ROUTES']);
+    assert.equal(fetchStub.calls.length, 0);
+  } finally {
+    fetchStub.restore();
+  }
+});
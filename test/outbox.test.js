@@ -0,0 +1,210 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import logHandler from '../api/log.js';
+import outboxHandler from '../api/outbox.js';
+import retryHandler from '../api/outbox-retry.js';
+import { loadConfig } from '../lib/config.js';
+import { backoffSeconds, createOutbox } from '../lib/outbox/index.js';
+import { createJsonlStore } from '../lib/outbox/jsonl-store.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/6/outboxTestToken';
+const SLACK_URL = 'https://hooks.slack.com/services/T6/B6/outboxTest';
+const ADMIN_TOKEN = 'admin-outbox-token';
+const CRON_SECRET = 'cron-outbox-secret';
+
+let dir;
+let slackStatus;
+let discordStatus;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'outbox-test-'));
+  resetCircuits();
+  slackStatus = 500;
+  discordStatus = 204;
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: 'bdc_outbox_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  SLACK_WEBHOOK_URL: SLACK_URL,
+  CACHE_BACKEND: 'none',
+  CONSENT_SECRET,
+  OUTBOX_PATH: join(dir, 'outbox.jsonl'),
+  // Retries are due immediately so the cron run picks them up
+  OUTBOX_RETRY_BASE_SECONDS: '0',
+  OUTBOX_MAX_ATTEMPTS: '3',
+  ADMIN_TOKEN,
+  CRON_SECRET
+}), { clear: ['OUTBOX_BACKEND', 'VERCEL', 'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'ANONYMIZE_STORAGE_IP', 'ANONYMIZE_STORAGE_COORDINATES'] });
+
+withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(SLACK_URL), () => ({ status: slackStatus, body: slackStatus === 200 ? 'ok' : {} })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: discordStatus, body: discordStatus === 204 ? '' : {} })]
+]);
+
+async function call(handler, { method = 'GET', url = '/', headers = {}, body } = {}) {
+  const res = createResponse();
+  await captureConsole(() => handler(createRequest({ method, url, headers, body, remoteAddress: '8.8.8.8' }), res));
+  return res;
+}
+
+const admin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+const cron = { authorization: `Bearer ${CRON_SECRET}` };
+
+test('backoff doubles from the base delay up to the cap', () => {
+  const config = { baseDelaySeconds: 60, maxDelaySeconds: 600 };
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempts => backoffSeconds(attempts, config)), [60, 120, 240, 480, 600]);
+});
+
+test('a failed delivery is queued with the anonymized report and the request id', async () => {
+  const res = await call(logHandler, { headers: consentHeaders() });
+
+  assert.equal(res.body.notifications.slack.sent, false);
+  const id = res.body.notifications.slack.queued;
+  assert.ok(id);
+  assert.equal(res.body.notifications.discord.queued, undefined);
+
+  const [entry] = await createOutbox(loadConfig().outbox).list();
+  assert.equal(entry.id, id);
+  assert.equal(entry.notifier, 'slack');
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.lastError, 'Slack API: 500');
+  assert.equal(entry.requestId, res.headers['x-request-id']);
+  assert.equal(entry.report.mainData.ip, '8.8.8.8');
+});
+
+test('queued reports are stored data and follow the storage policy where it is stricter', async () => {
+  process.env.ANONYMIZE_STORAGE_IP = 'truncate';
+  process.env.ANONYMIZE_STORAGE_COORDINATES = 'city';
+  const res = await call(logHandler, { headers: consentHeaders() });
+  assert.ok(res.body.notifications.slack.queued);
+
+  const [entry] = await createOutbox(loadConfig().outbox).list();
+  assert.equal(entry.report.mainData.ip, '8.8.8.0/24');
+  assert.equal(entry.report.mainData.location.latitude, 37.4);
+  const stored = await readFile(process.env.OUTBOX_PATH, 'utf8');
+  assert.ok(!stored.includes('8.8.8.8') && !stored.includes('37.42'), stored);
+});
+
+test('the outbox uses KV once it is set up and refuses a file on Vercel', async () => {
+  const kv = { KV_REST_API_URL: 'https://kv.example.org', KV_REST_API_TOKEN: 'kv-token' };
+  assert.equal(loadConfig({}).outbox.backend, 'file');
+  assert.equal(loadConfig(kv).outbox.backend, 'kv');
+  assert.equal(loadConfig({ ...kv, OUTBOX_BACKEND: 'file' }).outbox.backend, 'file');
+  assert.equal(createOutbox(loadConfig({ VERCEL: '1', OUTBOX_BACKEND: 'file' }).outbox), null);
+
+  process.env.VERCEL = '1';
+  const logged = await call(logHandler, { headers: consentHeaders() });
+  assert.equal(logged.body.notifications.slack.queued, undefined);
+  const listing = await call(outboxHandler, { headers: admin });
+  assert.equal(listing.statusCode, 503);
+  assert.match(listing.body.error, /KV_REST_API_URL and KV_REST_API_TOKEN/);
+});
+
+test('entries appended while the file outbox compacts are kept', async () => {
+  const store = createJsonlStore({ path: join(dir, 'outbox.jsonl') });
+  for (let i = 0; i < 200; i++) await store.put({ id: `old-${i}`, status: 'pending' });
+  for (let i = 0; i < 100; i++) await store.remove(`old-${i}`);
+
+  await Promise.all([
+    store.compact(),
+    ...Array.from({ length: 20 }, (_, i) => store.put({ id: `new-${i}`, status: 'pending' }))
+  ]);
+
+  const ids = (await store.list()).map(entry => entry.id);
+  assert.equal(ids.length, 120);
+  for (let i = 0; i < 20; i++) assert.ok(ids.includes(`new-${i}`), `new-${i}`);
+  assert.ok(!ids.includes('old-0'));
+});
+
+test('only the Discord sections that failed are queued and resent', async () => {
+  const outbox = createOutbox(loadConfig().outbox);
+  const report = { mainData: { ip: '8.8.8.8' } };
+  const notifications = {
+    discord: {
+      sent: true,
+      error: null,
+      results: {
+        main: { sent: true, error: null },
+        confidence: { sent: false, error: null },
+        asnDetails: { sent: false, error: 'Discord API: 429' }
+      }
+    }
+  };
+  const queued = await outbox.enqueueFailures(notifications, report);
+  const entry = await outbox.get(queued.discord);
+  assert.deepEqual(entry.only, ['asnDetails']);
+});
+
+test('the retry cron delivers due entries and removes them', async () => {
+  await call(logHandler, { headers: consentHeaders() });
+  slackStatus = 200;
+
+  const res = await call(retryHandler, { headers: cron });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual({ attempted: res.body.attempted, delivered: res.body.delivered }, { attempted: 1, delivered: 1 });
+  assert.equal(res.body.results[0].attempts, 2);
+
+  assert.deepEqual(await createOutbox(loadConfig().outbox).list(), []);
+  // Compaction leaves no removed entries behind in the file
+  assert.equal((await readFile(process.env.OUTBOX_PATH, 'utf8')).trim(), '');
+});
+
+test('entries that keep failing move to the dead-letter list', async () => {
+  await call(logHandler, { headers: consentHeaders() });
+
+  const second = await call(retryHandler, { headers: cron });
+  assert.equal(second.body.results[0].status, 'pending');
+  const third = await call(retryHandler, { headers: cron });
+  assert.equal(third.body.results[0].status, 'dead');
+  const fourth = await call(retryHandler, { headers: cron });
+  assert.equal(fourth.body.attempted, 0);
+
+  const listing = await call(outboxHandler, { url: '/api/outbox?status=dead', headers: admin });
+  assert.deepEqual(listing.body.counts, { pending: 0, dead: 1 });
+  assert.equal(listing.body.entries[0].attempts, 3);
+  assert.equal(listing.body.entries[0].nextAttemptAt, null);
+  assert.equal(listing.body.entries[0].report, undefined);
+});
+
+test('operators can inspect one entry and replay the dead-letter list', async () => {
+  process.env.OUTBOX_MAX_ATTEMPTS = '1';
+  const logged = await call(logHandler, { headers: consentHeaders() });
+  const id = logged.body.notifications.slack.queued;
+  // With a single attempt allowed the failed first delivery goes straight to dead
+  assert.equal((await call(retryHandler, { headers: cron })).body.attempted, 0);
+
+  const detail = await call(outboxHandler, { url: `/api/outbox?id=${id}`, headers: admin });
+  assert.equal(detail.body.entry.status, 'dead');
+  assert.equal(detail.body.entry.report.mainData.ip, '8.8.8.8');
+
+  slackStatus = 200;
+  const replay = await call(outboxHandler, { method: 'POST', headers: admin, body: { status: 'dead' } });
+  assert.deepEqual(replay.body.results.map(result => [result.id, result.status]), [[id, 'delivered']]);
+
+  const missing = await call(outboxHandler, { method: 'POST', headers: admin, body: { ids: ['nope'] } });
+  assert.deepEqual(missing.body.results, [{ id: 'nope', status: 'not-found' }]);
+});
+
+test('outbox routes require their bearer tokens', async () => {
+  assert.equal((await call(outboxHandler)).statusCode, 401);
+  assert.equal((await call(outboxHandler, { headers: { authorization: 'Bearer wrong' } })).statusCode, 403);
+  // The cron secret only runs retries
+  assert.equal((await call(outboxHandler, { headers: cron })).statusCode, 403);
+  assert.equal((await call(retryHandler, { headers: admin })).statusCode, 200);
+
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await call(outboxHandler, { headers: admin })).statusCode, 503);
+});
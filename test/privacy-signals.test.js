@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import logHandler from '../api/log.js';
+import { privacyDecision } from '../lib/privacy/signals.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/3/privacyTestToken';
+
+// Embed title prefixes that identify each notification path
+const PATHS = {
+  buildMainEmbed: '🌐 IP Location Report',
+  buildAsnDetailsEmbed: '📡 ASN Detailed Information',
+  buildConfidenceAreaEmbeds: '📊 Confidence Area'
+};
+
+let cacheDir;
+
+beforeEach(async () => {
+  cacheDir = await mkdtemp(join(tmpdir(), 'privacy-test-'));
+  resetCircuits();
+  resetMemoryCache();
+});
+
+afterEach(async () => {
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+withEnv(() => ({
+  BIGDATACLOUD_API_KEY: 'bdc_privacy_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'file',
+  CACHE_DIR: cacheDir,
+  CONSENT_SECRET
+}), { clear: ['PRIVACY_SIGNAL_POLICY'] });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function callLog(headers = {}) {
+  const res = createResponse();
+  const req = createRequest({ remoteAddress: '8.8.8.8', headers: { ...consentHeaders(), ...headers } });
+  await captureConsole(() => logHandler(req, res));
+  return res;
+}
+
+// Which notification paths posted to the webhook
+function notifiedPaths() {
+  const titles = fetchStub.calls
+    .filter(call => call.url.startsWith(WEBHOOK_URL))
+    .flatMap(call => call.body.embeds.map(embed => embed.title));
+  return Object.keys(PATHS).filter(path => titles.some(title => title.startsWith(PATHS[path])));
+}
+
+test('without privacy signals every notification path posts and lookups are cached', async () => {
+  const res = await callLog();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(notifiedPaths(), Object.keys(PATHS));
+  assert.ok(res.body.webhooks.messages.length > 0);
+  assert.ok(res.body.webhooks.messages.every(message => message.sent && message.status === 204));
+  assert.equal(res.body.data.privacy.optedOut, false);
+  assert.ok((await readdir(cacheDir)).length > 0);
+});
+
+for (const [label, headers] of [['Sec-GPC: 1', { 'sec-gpc': '1' }], ['DNT: 1', { dnt: '1' }]]) {
+  test(`${label} still answers the visitor but skips every notification path and storage`, async () => {
+    const res = await callLog(headers);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.location.city, 'Mountain View');
+    assert.deepEqual(notifiedPaths(), []);
+    assert.equal(fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 0);
+
+    assert.equal(res.body.data.privacy.optedOut, true);
+    assert.equal(res.body.data.privacy.notifications, 'suppressed');
+    assert.equal(res.body.data.privacy.storage, 'skipped');
+    for (const name of ['main', 'asnDetails', 'confidence']) {
+      assert.deepEqual(res.body.webhooks[name], { sent: false, error: null, skipped: 'privacy-signal' });
+    }
+    assert.deepEqual(await readdir(cacheDir), []);
+  });
+}
+
+test('PRIVACY_SIGNAL_POLICY=gpc ignores DNT but honors Sec-GPC', async () => {
+  process.env.PRIVACY_SIGNAL_POLICY = 'gpc';
+
+  const dnt = await callLog({ dnt: '1' });
+  assert.equal(dnt.body.data.privacy.optedOut, false);
+  assert.deepEqual(notifiedPaths(), Object.keys(PATHS));
+
+  fetchStub.calls.length = 0;
+  const gpc = await callLog({ 'sec-gpc': '1' });
+  assert.equal(gpc.body.data.privacy.optedOut, true);
+  assert.deepEqual(notifiedPaths(), []);
+});
+
+test('PRIVACY_SIGNAL_POLICY=ignore notifies regardless of signals', async () => {
+  process.env.PRIVACY_SIGNAL_POLICY = 'ignore';
+
+  const res = await callLog({ 'sec-gpc': '1', dnt: '1' });
+  assert.equal(res.body.data.privacy.optedOut, false);
+  assert.deepEqual(notifiedPaths(), Object.keys(PATHS));
+});
+
+test('privacyDecision only treats the value 1 as a signal and defaults unknown policies to honor', () => {
+  assert.equal(privacyDecision({ dnt: '0' }).optedOut, false);
+  assert.equal(privacyDecision({ 'sec-gpc': 'true' }).optedOut, false);
+  assert.deepEqual(privacyDecision({ dnt: '1' }, 'bogus'), { gpc: false, dnt: true, policy: 'honor', optedOut: true });
+});
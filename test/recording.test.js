@@ -0,0 +1,182 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { anonymizeFixtures, readFixtures } from '../lib/geo/fixtures.js';
+import { lookupAddress, lookupRow } from '../lib/geo/lookup.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { runCommand } from '../scripts/cli.js';
+import debugHandler from '../pages/api/debug-ip.js';
+import { SAMPLE_ASN, SAMPLE_GEO, captureConsole, createRequest, createResponse, startHttpServer, stubFetch, withEnv } from './helpers.js';
+
+const API_KEY = 'bdc_recording_test_key';
+// Set by individual tests
+const UNSET = ['BIGDATACLOUD_API_KEY', 'BIGDATACLOUD_BASE_URL', 'GEO_PROVIDERS', 'GEO_RECORD_DIR', 'GEO_REPLAY_DIR'];
+const log = createLogger({ level: 'error' });
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'recording-test-'));
+  resetCircuits();
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+withEnv({ CACHE_BACKEND: 'none', OUTBOX_BACKEND: 'none' }, { clear: UNSET });
+
+const lookupOk = async (address, config) => assert.equal((await lookupRow(address, { config, log })).status, 'ok');
+
+// Records lookups of the given addresses through a local BigDataCloud
+// stand-in; `run` looks up one address
+async function record(addresses, run = lookupOk) {
+  const upstream = await startHttpServer(request => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname === '/asn-info-full') return { body: SAMPLE_ASN };
+    const ip = url.searchParams.get('ip');
+    // The echoed request and the network field hold the address and the key
+    return { body: { ...SAMPLE_GEO, ip, network: { ...SAMPLE_GEO.network, subnet: `${ip}/32` }, key: API_KEY, request: request.url } };
+  });
+  try {
+    Object.assign(process.env, { BIGDATACLOUD_API_KEY: API_KEY, BIGDATACLOUD_BASE_URL: upstream.url, GEO_PROVIDERS: 'bigdatacloud', GEO_RECORD_DIR: dir });
+    const config = loadConfig();
+    for (const address of addresses) await run(address, config);
+  } finally {
+    await upstream.close();
+    delete process.env.GEO_RECORD_DIR;
+  }
+}
+
+// Replay must not need the network at all
+function offline() {
+  Object.assign(process.env, { GEO_PROVIDERS: 'replay', GEO_REPLAY_DIR: dir });
+  delete process.env.BIGDATACLOUD_API_KEY;
+  return stubFetch([]);
+}
+
+test('recording keeps one sanitized, content-hashed file per distinct response', async () => {
+  await record(['8.8.8.8', '8.8.8.8']);
+
+  const names = (await readdir(dir)).sort();
+  assert.equal(names.length, 2);
+  assert.match(names[0], /^asn-info-full-[0-9a-f]{16}\.json$/);
+  assert.match(names[1], /^ip-geolocation-full-[0-9a-f]{16}\.json$/);
+
+  const entries = await readFixtures(dir);
+  const geo = entries.find(entry => entry.fixture.endpoint === 'ip-geolocation-full').fixture;
+  assert.equal(geo.key, '8.8.8.8');
+  assert.equal(geo.provider, 'bigdatacloud');
+  assert.equal(geo.response.location.city, 'Mountain View');
+  assert.equal(geo.response.key, '[REDACTED]');
+  assert.ok(!geo.response.request.includes(API_KEY));
+  for (const name of names) assert.ok(!(await readFile(join(dir, name), 'utf8')).includes(API_KEY), name);
+  assert.equal(entries.find(entry => entry.fixture.endpoint === 'asn-info-full').fixture.key, 'AS15169');
+});
+
+test('lookups for visitors who opted out are not recorded', async () => {
+  await record(['8.8.8.8'], async (address, config) => {
+    assert.ok(!(await lookupAddress(address, { config, optedOut: true, log })).failure);
+  });
+  assert.deepEqual(await readdir(dir), []);
+});
+
+test('/api/debug-ip neither caches nor records lookups for visitors who opted out', async () => {
+  Object.assign(process.env, { CACHE_BACKEND: 'file', CACHE_DIR: dir });
+  const debug = headers => async address => {
+    const res = createResponse();
+    await captureConsole(() => debugHandler(createRequest({ remoteAddress: address, headers }), res));
+    assert.equal(res.statusCode, 200);
+  };
+
+  await record(['8.8.8.8'], debug({ 'sec-gpc': '1' }));
+  assert.deepEqual(await readdir(dir), []);
+
+  // Without the signal the same request leaves a fixture and cache entries
+  await record(['8.8.8.8'], debug({}));
+  const names = await readdir(dir);
+  assert.ok(names.some(name => name.startsWith('ip-geolocation-full-')));
+  assert.ok(names.some(name => !name.includes('-full-')));
+});
+
+test('the replay provider answers lookups from recordings without network access', async () => {
+  await record(['8.8.8.8']);
+  const fetchStub = offline();
+  try {
+    const config = loadConfig();
+    const row = await lookupRow('8.8.8.8', { config, log });
+    assert.equal(row.status, 'ok');
+    assert.equal(row.provider, 'replay');
+    assert.equal(row.city, 'Mountain View');
+    assert.equal(row.asn, 'AS15169');
+
+    const missing = await lookupRow('1.1.1.1', { config, log });
+    assert.equal(missing.status, 'failed');
+    assert.equal(fetchStub.calls.length, 0);
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test('fixtures edited by hand are refused until rehashed', async () => {
+  await record(['8.8.8.8']);
+  const [geoName] = (await readdir(dir)).filter(name => name.startsWith('ip-geolocation-full'));
+  const fixture = JSON.parse(await readFile(join(dir, geoName), 'utf8'));
+  fixture.response.location.city = 'Elsewhere';
+  await writeFile(join(dir, geoName), JSON.stringify(fixture));
+
+  await assert.rejects(readFixtures(dir), { message: new RegExp(`${geoName}: content doesn't match its hash`) });
+
+  const fetchStub = offline();
+  try {
+    assert.equal((await lookupRow('8.8.8.8', { config: loadConfig(), log })).status, 'failed');
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test('anonymizing replaces recorded addresses with their network and still replays', async () => {
+  await record(['8.8.8.8', '2001:4860:4860::8888']);
+  const changed = await anonymizeFixtures(dir);
+  assert.deepEqual(changed.map(entry => entry.key).sort(), ['2001:4860:4860::', '8.8.8.0']);
+  assert.deepEqual(await anonymizeFixtures(dir), []);
+
+  const entries = await readFixtures(dir);
+  assert.equal(entries.length, 3);
+  const text = (await Promise.all(entries.map(entry => readFile(entry.path, 'utf8')))).join('\n');
+  assert.ok(!text.includes('8.8.8.8'));
+  assert.ok(!text.includes('4860::8888'));
+  const v4 = entries.find(entry => entry.fixture.key === '8.8.8.0').fixture;
+  assert.equal(v4.response.ip, '8.8.8.0');
+  assert.equal(v4.response.network.subnet, '8.8.8.0/32');
+
+  // Any address in the network finds the anonymized recording
+  const fetchStub = offline();
+  try {
+    const row = await lookupRow('8.8.8.77', { config: loadConfig(), log });
+    assert.equal(row.status, 'ok');
+    assert.equal(row.countryCode, 'US');
+  } finally {
+    fetchStub.restore();
+  }
+});
+
+test('the CLI replays and anonymizes a recording directory', async () => {
+  await record(['8.8.8.8']);
+  const anonymized = await runCommand(['anonymize', dir], { log });
+  assert.deepEqual(anonymized.rows.map(row => [row.key, row.status]), [['8.8.8.0', 'ok']]);
+  assert.match(anonymized.rows[0].to, /^ip-geolocation-full-[0-9a-f]{16}\.json$/);
+
+  const fetchStub = offline();
+  try {
+    const replay = await runCommand(['replay', dir], { log });
+    assert.deepEqual(replay.rows.map(row => [row.ip, row.provider, row.asn, row.organisation]), [['8.8.8.0', 'replay', 'AS15169', 'Google LLC']]);
+    assert.equal(fetchStub.calls.length, 0);
+  } finally {
+    fetchStub.restore();
+  }
+});
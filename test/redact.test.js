@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REDACTED, redact, redactString, secretValues } from '../lib/log/redact.js';
+import { createLogger } from '../lib/log/logger.js';
+import { withEnv } from './helpers.js';
+
+// The logger reads secrets from process.env; tests that set it get it back
+withEnv();
+
+test('redactString masks known secret values', () => {
+  const out = redactString('calling with abcdef123456 now', ['abcdef123456']);
+  assert.equal(out, `calling with ${REDACTED} now`);
+});
+
+test('redactString masks key= query parameters', () => {
+  const out = redactString('https://api-bdc.net/data/ip-geolocation-full?ip=8.8.8.8&key=bdc_live_123&localityLanguage=en', []);
+  assert.ok(!out.includes('bdc_live_123'));
+  assert.ok(out.includes('ip=8.8.8.8'));
+  assert.ok(out.includes('localityLanguage=en'));
+});
+
+test('redactString masks Discord webhook URLs', () => {
+  const out = redactString('posting to https://discord.com/api/webhooks/123456/abcDEF-token', []);
+  assert.ok(!out.includes('abcDEF-token'));
+  assert.ok(!out.includes('123456'));
+});
+
+test('redactString masks bearer tokens and serialized cookies', () => {
+  const out = redactString('{"authorization": "Bearer s3cr3t.tok", "cookie": "session=xyz"}', []);
+  assert.ok(!out.includes('s3cr3t.tok'));
+  assert.ok(!out.includes('session=xyz'));
+});
+
+test('redact masks sensitive object keys at any depth', () => {
+  const out = redact({
+    headers: { cookie: 'session=xyz', authorization: 'Basic dXNlcjpwYXNz', 'user-agent': 'curl/8' },
+    nested: [{ apiKey: 'k1' }]
+  }, []);
+  assert.equal(out.headers.cookie, REDACTED);
+  assert.equal(out.headers.authorization, REDACTED);
+  assert.equal(out.headers['user-agent'], 'curl/8');
+  assert.equal(out.nested[0].apiKey, REDACTED);
+});
+
+test('redact scrubs error messages and survives cycles', () => {
+  const circular = { name: 'loop' };
+  circular.self = circular;
+  assert.equal(redact(circular, []).self, '[Circular]');
+
+  // A value referenced twice without a cycle is copied both times
+  const point = [-122.1, 37.4];
+  assert.deepEqual(redact({ area: [point], first: point }, []), { area: [[-122.1, 37.4]], first: [-122.1, 37.4] });
+
+  const error = redact(new Error('failed: ?key=abc123'), []);
+  assert.ok(error instanceof Error);
+  assert.ok(!error.message.includes('abc123'));
+});
+
+test('only variables that hold secrets are scrubbed, so other settings survive in log output', () => {
+  const env = {
+    BIGDATACLOUD_API_KEY: 'bdc_live_secret',
+    CONSENT_SECRET: 'consent-signing-secret',
+    SLACK_WEBHOOK_URL: 'https://hooks.example.org/slack-secret',
+    SMTP_PASSWORD: 'smtp-password',
+    API_TOKENS: 'oncall:lookup:tok_oncall_1,etl:lookup+lookup.bulk:tok:with:colons',
+    CACHE_KEY_MODE: 'prefix',
+    NOTIFY_DEDUP_KEY: 'prefix-asn',
+    MATRIX_ROOM_ID: '!roomid:example.org'
+  };
+  assert.deepEqual(secretValues(env).sort(), [
+    'bdc_live_secret', 'consent-signing-secret', 'https://hooks.example.org/slack-secret', 'smtp-password',
+    'tok:with:colons', 'tok_oncall_1'
+  ]);
+
+  Object.assign(process.env, env);
+  const lines = [];
+  const log = createLogger({ level: 'info', output: { log: line => lines.push(line) } });
+  log.info('lookup.single', { tokenName: 'oncall', dedupKey: 'prefix-asn', note: 'cache keyed by prefix', secret: 'x', auth: 'Bearer tok_oncall_1' });
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.tokenName, 'oncall');
+  assert.equal(entry.dedupKey, 'prefix-asn');
+  assert.equal(entry.note, 'cache keyed by prefix');
+  assert.equal(entry.secret, REDACTED);
+  assert.ok(!lines[0].includes('tok_oncall_1'));
+});
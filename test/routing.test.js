@@ -0,0 +1,193 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import logHandler from '../api/log.js';
+import { routeEvent, routeFields, validateRoutes } from '../lib/notify/routing.js';
+import { NOTIFIERS, createDestination, routeNotifiers } from '../lib/notify/index.js';
+import { normalizeIpData } from '../lib/geo/providers/bigdatacloud.js';
+import { buildMainData, createGeoRecord } from '../lib/geo/normalize.js';
+import { processConfidenceArea } from '../lib/geo/confidence.js';
+import { loadConfig } from '../lib/config.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const DISCORD_URL = 'https://discord.com/api/webhooks/9/routingTest';
+const ALERTS_URL = 'https://hooks.example.org/alerts';
+const EU_URL = 'https://discord.com/api/webhooks/10/routingEu';
+const types = Object.keys(NOTIFIERS);
+
+const ROUTES = {
+  destinations: {
+    alerts: { type: 'webhook', url: ALERTS_URL },
+    eu: { type: 'discord', webhookUrl: EU_URL }
+  },
+  rules: [
+    { name: 'failures', when: { error: true }, to: ['alerts'], stop: true },
+    { name: 'muted', when: { asn: ['as64500', 'AS64501'] }, to: [], stop: true },
+    { name: 'reserved', when: { reserved: true, range: ['private', 'loopback'] }, to: ['alerts'] },
+    { name: 'europe', when: { kind: 'visit', continent: 'Europe' }, to: ['eu'] },
+    { name: 'rest', when: { kind: 'visit' }, unless: { continent: 'Europe' }, to: ['discord'] }
+  ]
+};
+
+let geoStatus;
+
+beforeEach(() => {
+  resetCircuits();
+  resetMemoryCache();
+  geoStatus = 200;
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_routing_test_key',
+  DISCORD_WEBHOOK_URL: DISCORD_URL,
+  CACHE_BACKEND: 'memory',
+  CONSENT_SECRET,
+  OUTBOX_BACKEND: 'none',
+  NOTIFY_ROUTES: JSON.stringify(ROUTES)
+});
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ status: geoStatus, body: geoStatus === 200 ? SAMPLE_GEO : { error: 'down' } })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(DISCORD_URL) || url.startsWith(EU_URL), () => ({ status: 204, body: '' })],
+  [url => url.startsWith(ALERTS_URL), () => ({ status: 200, body: {} })]
+]);
+
+function visitData(location = {}, network = {}) {
+  const geo = normalizeIpData(SAMPLE_GEO);
+  Object.assign(geo.location, location);
+  Object.assign(geo.network, network);
+  return buildMainData({ ip: '8.8.8.8', userAgent: 'curl/8.0', geo, asnData: {}, confidenceInfo: processConfidenceArea(null) });
+}
+
+function eventData(event) {
+  return buildMainData({ ip: '10.0.0.1', userAgent: 'curl/8.0', geo: createGeoRecord('none'), confidenceInfo: null, event });
+}
+
+async function visit(remoteAddress) {
+  const res = createResponse();
+  await captureConsole(() => logHandler(createRequest({ remoteAddress, headers: consentHeaders() }), res));
+  return res;
+}
+
+const posted = url => fetchStub.calls.filter(call => call.url.startsWith(url));
+
+test('route fields come from the normalized record and its event', () => {
+  assert.deepEqual(routeFields(visitData()), {
+    kind: 'visit',
+    country: 'US',
+    continent: 'North America',
+    asn: 'AS15169',
+    connectionType: visitData().network.connectionType,
+    reserved: false,
+    range: null,
+    error: false
+  });
+  const reserved = routeFields(eventData({ kind: 'reserved', range: 'private' }));
+  assert.equal(reserved.reserved, true);
+  assert.equal(reserved.range, 'private');
+  assert.equal(reserved.asn, null);
+  assert.equal(routeFields(eventData({ kind: 'error', error: 'boom' })).error, true);
+});
+
+test('every matching rule adds its destinations until one stops', () => {
+  const { rules } = validateRoutes({ routes: JSON.stringify(ROUTES) }, { types });
+  const route = mainData => routeEvent(rules, routeFields(mainData));
+
+  assert.deepEqual(route(visitData()), ['discord']);
+  // Conditions compare case-insensitively and a list matches any of its values
+  assert.deepEqual(route(visitData({ continent: 'europe', countryCode: 'DE' })), ['eu']);
+  assert.deepEqual(route(visitData({}, { asn: '64500' })), []);
+  assert.deepEqual(route(eventData({ kind: 'reserved', range: 'loopback' })), ['alerts']);
+  assert.deepEqual(route(eventData({ kind: 'reserved', range: 'documentation' })), []);
+  assert.deepEqual(route(eventData({ kind: 'error', error: 'boom' })), ['alerts']);
+
+  // `unless` only excludes when all of its conditions hold
+  const rest = [{ when: { kind: 'visit' }, unless: { country: 'us', connectionType: visitData().network.connectionType }, to: ['discord'] }];
+  assert.deepEqual(routeEvent(rest, routeFields(visitData())), []);
+  assert.deepEqual(routeEvent(rest, routeFields(visitData({ countryCode: 'CA' }))), ['discord']);
+
+  // Without `stop` later rules still run, and a destination is listed once
+  const all = [{ when: {}, to: ['slack', 'discord'] }, { when: { country: 'US' }, to: ['discord', 'matrix'] }];
+  assert.deepEqual(routeEvent(all, routeFields(visitData())), ['slack', 'discord', 'matrix']);
+});
+
+test('validation lists every problem with its location', () => {
+  const { problems } = validateRoutes({
+    routes: JSON.stringify({
+      destinations: { discord: { type: 'discord' }, pager: { type: 'sms' } },
+      rules: [
+        { name: 'bad', when: { planet: 'Mars', error: 'yes', kind: 'crash' }, to: ['nowhere'], stop: 1 },
+        { when: [], unless: { country: [] }, to: 'discord', priority: 1 }
+      ],
+      extra: true
+    })
+  }, { types });
+
+  assert.deepEqual(problems, [
+    'extra: unknown key (expected destinations, rules)',
+    'destinations.discord: discord is a built-in destination; pick another name',
+    `destinations.pager.type: must be one of ${types.join(', ')}`,
+    `rules[0] (bad).when.planet: unknown field (expected kind, country, continent, asn, connectionType, reserved, range, error)`,
+    'rules[0] (bad).when.error: must be true or false',
+    'rules[0] (bad).when.kind: must be one of visit, reserved, error, drift',
+    'rules[0] (bad).to: unknown destination "nowhere"',
+    'rules[0] (bad).stop: must be true or false',
+    'rules[1].priority: unknown key (expected name, when, unless, to, stop)',
+    'rules[1].when: must be an object',
+    'rules[1].unless.country: must be a string or a list of strings',
+    'rules[1].to: must be a list of destinations'
+  ]);
+  assert.match(validateRoutes({ routes: '{nope' }, { types }).problems[0], /^NOTIFY_ROUTES: invalid JSON/);
+  assert.deepEqual(validateRoutes({}, { types }).problems, []);
+});
+
+test('declared destinations are notifiers with their own settings', () => {
+  const config = loadConfig(process.env).notify;
+  const eu = createDestination('eu', config);
+  assert.equal(eu.name, 'eu');
+  assert.equal(eu.available, true);
+  assert.equal(createDestination('discord', config).name, 'discord');
+
+  assert.deepEqual(routeNotifiers(config, visitData({ continent: 'Europe' })).map(notifier => notifier.name), ['eu']);
+  // Without rules only visits are sent, to every configured notifier
+  const plain = loadConfig({ DISCORD_WEBHOOK_URL: DISCORD_URL }).notify;
+  assert.deepEqual(routeNotifiers(plain, visitData()).map(notifier => notifier.name), ['discord']);
+  assert.deepEqual(routeNotifiers(plain, eventData({ kind: 'error', error: 'boom' })), []);
+});
+
+test('visits, reserved addresses and failures reach their routed destinations', async () => {
+  const ok = await visit('8.8.8.8');
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(Object.keys(ok.body.notifications), ['discord']);
+  assert.equal(posted(DISCORD_URL).length, 1);
+  assert.equal(posted(ALERTS_URL).length, 0);
+
+  const reserved = await visit('192.168.1.20');
+  assert.equal(reserved.body.nonRoutable, true);
+  const [reservedAlert] = posted(ALERTS_URL);
+  assert.equal(reservedAlert.body.data.event.kind, 'reserved');
+  assert.equal(reservedAlert.body.data.event.range, 'private');
+  assert.equal(reservedAlert.body.data.ip, '192.168.1.20');
+
+  // Documentation ranges match no rule
+  await visit('192.0.2.10');
+  assert.equal(posted(ALERTS_URL).length, 1);
+
+  geoStatus = 500;
+  const failed = await visit('9.9.9.9');
+  assert.equal(failed.statusCode, 502);
+  const errorAlert = posted(ALERTS_URL)[1];
+  assert.deepEqual(errorAlert.body.data.event, { kind: 'error', range: null, error: 'All geolocation providers failed' });
+  // The failure rule stops there, so the visit destinations stay quiet
+  assert.equal(posted(DISCORD_URL).length, 1);
+  assert.equal(posted(EU_URL).length, 0);
+});
+
+test('opted-out visitors never trigger alerts', async () => {
+  const res = createResponse();
+  await captureConsole(() => logHandler(createRequest({ remoteAddress: '10.1.2.3', headers: { ...consentHeaders(), 'sec-gpc': '1' } }), res));
+  assert.equal(res.body.nonRoutable, true);
+  assert.equal(posted(ALERTS_URL).length, 0);
+});
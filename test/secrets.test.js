@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import logHandler from '../api/log.js';
+import debugHandler from '../pages/api/debug-ip.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, consentHeaders, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const API_KEY = 'bdc_test_key_9f8e7d6c5b4a';
+const WEBHOOK_ID = '112233445566778899';
+const WEBHOOK_TOKEN = 'webhookTokenZYXWVU987654';
+const WEBHOOK_URL = `https://discord.com/api/webhooks/${WEBHOOK_ID}/${WEBHOOK_TOKEN}`;
+const COOKIE = 'session=cookieValue31337';
+const AUTH = 'Bearer authHeaderValue42';
+
+const LEAKS = [API_KEY, WEBHOOK_URL, WEBHOOK_TOKEN, 'cookieValue31337', 'authHeaderValue42'];
+
+let asnReply;
+let webhookReply;
+
+function assertNoLeaks(text, label) {
+  for (const secret of LEAKS) {
+    assert.ok(!text.includes(secret), `${label} leaked ${secret}`);
+  }
+}
+
+function request() {
+  return createRequest({
+    remoteAddress: '8.8.8.8',
+    headers: { 'user-agent': 'test-agent', cookie: COOKIE, authorization: AUTH, ...consentHeaders() }
+  });
+}
+
+beforeEach(() => {
+  resetCircuits();
+  resetMemoryCache();
+  asnReply = () => ({ body: SAMPLE_ASN });
+  webhookReply = () => ({ status: 204, body: '' });
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: API_KEY,
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'none',
+  OUTBOX_BACKEND: 'none',
+  CONSENT_SECRET
+});
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => asnReply()],
+  [url => url.startsWith(WEBHOOK_URL), () => webhookReply()]
+]);
+
+test('/api/log does not log the API key, webhook URL or request credentials', async () => {
+  const res = createResponse();
+  const { output } = await captureConsole(() => logHandler(request(), res));
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(fetchStub.calls.some(call => call.url.includes(`key=${API_KEY}`)), 'upstream still receives the key');
+  assertNoLeaks(output, 'log output');
+  assertNoLeaks(JSON.stringify(res.body), 'response body');
+});
+
+test('/api/log does not leak secrets when upstream and Discord fail', async () => {
+  asnReply = () => ({ status: 403, body: { description: `bad key ${API_KEY}` } });
+  webhookReply = () => ({ status: 500, body: { message: `cannot post to ${WEBHOOK_URL}` } });
+
+  const res = createResponse();
+  const { output } = await captureConsole(() => logHandler(request(), res));
+
+  assert.equal(res.body.webhooks.main.sent, false);
+  assertNoLeaks(output, 'log output');
+  assertNoLeaks(JSON.stringify(res.body), 'response body');
+});
+
+test('/api/debug-ip does not log the API key, webhook URL or request credentials', async () => {
+  const res = createResponse();
+  const { output } = await captureConsole(() => debugHandler(request(), res));
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(output.includes('"msg":"debug.start"'));
+  assertNoLeaks(output, 'debug output');
+  assertNoLeaks(String(res.body), 'debug page');
+});
@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createAppServer, vercelRoutes } from '../lib/http/server.js';
+import { createLogger } from '../lib/log/logger.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { CONSENT_SECRET, SAMPLE_ASN, SAMPLE_GEO, captureConsole, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/13/serverTest';
+const SERVER_CONFIG = { port: 0, host: '127.0.0.1', shutdownGraceMs: 2000, bodyLimitBytes: 1024 };
+const log = createLogger({ level: 'error' });
+// Requests to the server under test go out before fetch is stubbed
+const realFetch = globalThis.fetch;
+
+let app;
+let base;
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_server_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'memory',
+  OUTBOX_BACKEND: 'none',
+  CONSENT_SECRET,
+  TRUSTED_PROXIES: '127.0.0.1/32'
+}, { clear: ['CONSENT_RECORD_PATH'] });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+beforeEach(async () => {
+  resetCircuits();
+  resetMemoryCache();
+  app = createAppServer({ config: SERVER_CONFIG, log });
+  const { port } = await app.listen();
+  base = `http://127.0.0.1:${port}`;
+});
+
+afterEach(async () => {
+  await app.close();
+});
+
+async function request(path, init) {
+  const { result } = await captureConsole(() => realFetch(`${base}${path}`, init));
+  return result;
+}
+
+test('routes are read from vercel.json, with :params rewritten into the query', () => {
+  const routes = vercelRoutes();
+  const whoami = routes.find(route => route.source === '/api/whoami/:field');
+  assert.deepEqual(whoami.match('/api/whoami/country%20code'), { field: 'country code' });
+  assert.equal(whoami.match('/api/whoami/a/b'), null);
+  assert.equal(whoami.query, 'field=:field');
+  assert.ok(routes.some(route => route.source === '/api/debug-ip' && route.file.endsWith('pages/api/debug-ip.js')));
+});
+
+test('the page, consent and logging work end to end over HTTP', async () => {
+  const page = await request('/');
+  assert.equal(page.status, 200);
+  assert.equal(page.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.match(await page.text(), /<html/i);
+
+  const consent = await request('/api/consent', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ policyVersion: (await (await request('/api/consent')).json()).policy.version })
+  });
+  assert.equal(consent.status, 200);
+  const { token } = await consent.json();
+
+  // The trusted proxy's forwarding header names the visitor
+  const logged = await request('/api/log', { headers: { 'X-Consent-Token': token, 'X-Forwarded-For': '8.8.8.8' } });
+  assert.equal(logged.status, 200);
+  assert.ok(logged.headers.get('x-request-id'));
+  const body = await logged.json();
+  assert.equal(body.success, true);
+  assert.equal(body.data.ip, '8.8.8.8');
+  assert.equal(fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 1);
+});
+
+test('rewritten parameters reach the handler and other paths are 404', async () => {
+  const field = await request('/api/whoami/ip?format=text', { headers: { 'X-Forwarded-For': '8.8.8.8' } });
+  assert.equal(field.status, 200);
+  assert.equal(field.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(await field.text(), '8.8.8.8\n');
+
+  const missing = await request('/api/nothing-here');
+  assert.equal(missing.status, 404);
+  assert.deepEqual(await missing.json(), { success: false, error: 'Not found' });
+
+  const post = await request('/', { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.get('allow'), 'GET, HEAD');
+});
+
+test('bodies are parsed as on Vercel and limited in size', async () => {
+  const malformed = await request('/api/consent', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{oops' });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).error, 'Invalid JSON body');
+
+  const large = await request('/api/consent', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ pad: 'x'.repeat(2048) }) });
+  assert.equal(large.status, 413);
+});
+
+test('shutdown lets in-flight requests finish and refuses new ones', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'server-test-'));
+  try {
+    await writeFile(join(dir, 'vercel.json'), JSON.stringify({ rewrites: [{ source: '/slow', destination: '/slow.js' }] }));
+    await writeFile(join(dir, 'slow.js'), `export default async function handler(req, res) {
+  await new Promise(resolve => setTimeout(resolve, 150));
+  res.status(200).json({ finished: true });
+}
+`);
+    const slowApp = createAppServer({ config: SERVER_CONFIG, routes: vercelRoutes(dir), log });
+    const { port } = await slowApp.listen();
+
+    const pending = realFetch(`http://127.0.0.1:${port}/slow`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const closed = slowApp.close();
+
+    await assert.rejects(realFetch(`http://127.0.0.1:${port}/slow`));
+    const res = await pending;
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('connection'), 'close');
+    assert.deepEqual(await res.json(), { finished: true });
+    await closed;
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ID_HEADER, SIGNATURE_HEADER, TIMESTAMP_HEADER, createReplayGuard, signPayload, verifyWebhook } from '../lib/notify/signature.js';
+import { createDestination, createNotifier } from '../lib/notify/index.js';
+import { normalizeIpData } from '../lib/geo/providers/bigdatacloud.js';
+import { buildMainData } from '../lib/geo/normalize.js';
+import { processConfidenceArea } from '../lib/geo/confidence.js';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { SAMPLE_ASN, SAMPLE_GEO, startHttpServer } from './helpers.js';
+
+const log = createLogger({ level: 'error' });
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const BODY = JSON.stringify({ event: 'ip.logged', data: { ip: '8.8.8.8' } });
+
+const servers = [];
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map(server => server.close()));
+});
+
+function sampleReport() {
+  const geo = normalizeIpData(SAMPLE_GEO);
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  const mainData = buildMainData({ ip: '8.8.8.8', userAgent: 'curl/8.0', geo, asnData: SAMPLE_ASN, confidenceInfo, requestId: 'req-signed' });
+  return { mainData, asnData: SAMPLE_ASN, confidenceInfo };
+}
+
+// Node lower-cases incoming header names
+const received = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+test('signed deliveries verify against the raw body and any current secret', () => {
+  const headers = received(signPayload(BODY, { secrets: ['new-secret', 'old-secret'], id: 'delivery-1', now: NOW }));
+  assert.equal(headers['x-webhook-timestamp'], String(NOW / 1000));
+  assert.match(headers['x-webhook-signature'], /^v1=[0-9a-f]{64},v1=[0-9a-f]{64}$/);
+
+  // Receivers on either side of a rotation accept it
+  assert.deepEqual(verifyWebhook({ body: BODY, headers, secrets: ['old-secret'], now: NOW }), { valid: true, id: 'delivery-1', timestamp: NOW / 1000 });
+  assert.equal(verifyWebhook({ body: Buffer.from(BODY), headers, secrets: ['newer', 'new-secret'], now: NOW }).valid, true);
+  // fetch-style Headers work too
+  assert.equal(verifyWebhook({ body: BODY, headers: new Headers(headers), secrets: 'new-secret', now: NOW }).valid, true);
+
+  const reason = options => verifyWebhook({ body: BODY, headers, secrets: ['new-secret'], now: NOW, ...options }).reason;
+  assert.equal(reason({ body: BODY.replace('8.8.8.8', '1.1.1.1') }), 'bad-signature');
+  assert.equal(reason({ secrets: ['someone-else'] }), 'bad-signature');
+  assert.equal(reason({ headers: { ...headers, 'x-webhook-id': 'delivery-2' } }), 'bad-signature');
+  assert.equal(reason({ headers: { ...headers, 'x-webhook-signature': 'v0=abc' } }), 'missing');
+  assert.equal(reason({ secrets: [] }), 'not-configured');
+  assert.equal(reason({ now: NOW + 301 * 1000 }), 'expired');
+  assert.equal(reason({ now: NOW - 301 * 1000 }), 'expired');
+  assert.throws(() => verifyWebhook({ body: JSON.parse(BODY), headers, secrets: ['new-secret'], now: NOW }), TypeError);
+});
+
+test('the replay guard rejects a delivery id it has already accepted', () => {
+  const guard = createReplayGuard({ toleranceSeconds: 60 });
+  const headers = received(signPayload(BODY, { secrets: ['s'], now: NOW }));
+  const verify = now => verifyWebhook({ body: BODY, headers, secrets: ['s'], toleranceSeconds: 60, replayGuard: guard, now });
+
+  assert.equal(verify(NOW).valid, true);
+  assert.equal(verify(NOW + 1000).reason, 'replayed');
+  // Once the window has passed the timestamp check takes over
+  assert.equal(verify(NOW + 61 * 1000).reason, 'expired');
+
+  const next = received(signPayload(BODY, { secrets: ['s'], now: NOW + 1000 }));
+  assert.equal(verifyWebhook({ body: BODY, headers: next, secrets: ['s'], replayGuard: guard, now: NOW + 1000 }).valid, true);
+});
+
+test('the webhook notifier signs each delivery when a secret is set', async () => {
+  const server = await startHttpServer();
+  servers.push(server);
+  const notifier = createNotifier('webhook', loadConfig({
+    NOTIFY_WEBHOOK_URL: server.url,
+    NOTIFY_WEBHOOK_SECRET: 'Current-Secret, Previous-Secret'
+  }).notify);
+
+  await notifier.send(sampleReport(), { log });
+  await notifier.send(sampleReport(), { log });
+
+  const [first, second] = server.requests;
+  const guard = createReplayGuard();
+  for (const request of [first, second]) {
+    assert.equal(verifyWebhook({ body: request.text, headers: request.headers, secrets: ['Previous-Secret'], replayGuard: guard }).valid, true);
+  }
+  assert.notEqual(first.headers[ID_HEADER.toLowerCase()], second.headers[ID_HEADER.toLowerCase()]);
+  // A replayed copy of the first delivery is refused
+  assert.equal(verifyWebhook({ body: first.text, headers: first.headers, secrets: ['Current-Secret'], replayGuard: guard }).reason, 'replayed');
+});
+
+test('unsigned deliveries stay unsigned and routed destinations bring their own secret', async () => {
+  const server = await startHttpServer();
+  servers.push(server);
+  const config = loadConfig({
+    NOTIFY_WEBHOOK_URL: server.url,
+    NOTIFY_ROUTES: JSON.stringify({
+      destinations: { siem: { type: 'webhook', url: `${server.url}/siem`, secrets: ['siem-secret'] } },
+      rules: [{ when: {}, to: ['webhook', 'siem'] }]
+    })
+  }).notify;
+
+  await createNotifier('webhook', config).send(sampleReport(), { log });
+  await createDestination('siem', config).send(sampleReport(), { log });
+
+  const [plain, siem] = server.requests;
+  assert.equal(plain.headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+  assert.equal(plain.headers[TIMESTAMP_HEADER.toLowerCase()], undefined);
+  assert.equal(siem.url, '/siem');
+  assert.equal(verifyWebhook({ body: siem.text, headers: siem.headers, secrets: ['siem-secret'] }).valid, true);
+});
@@ -0,0 +1,150 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTemplate } from '../lib/notify/template.js';
+import { TEMPLATE_FIELDS, countryFlag, templateContext, validateTemplates } from '../lib/notify/templates.js';
+import { buildMainEmbed } from '../lib/notify/discord.js';
+import { createNotifier, resolveNotifiers } from '../lib/notify/index.js';
+import { normalizeIpData } from '../lib/geo/providers/bigdatacloud.js';
+import { buildMainData } from '../lib/geo/normalize.js';
+import { processConfidenceArea } from '../lib/geo/confidence.js';
+import { loadConfig } from '../lib/config.js';
+import { createLogger } from '../lib/log/logger.js';
+import { SAMPLE_ASN, SAMPLE_GEO, stubFetch } from './helpers.js';
+
+const log = createLogger({ level: 'error' });
+const SLACK_URL = 'https://hooks.slack.com/services/T8/B8/templateTest';
+const DISCORD_URL = 'https://discord.com/api/webhooks/8/templateTest';
+
+let fetchStub;
+
+afterEach(() => {
+  fetchStub?.restore();
+  fetchStub = null;
+});
+
+function sampleReport(overrides = {}) {
+  const geo = normalizeIpData(SAMPLE_GEO);
+  Object.assign(geo.location, overrides);
+  const confidenceInfo = processConfidenceArea(geo.confidenceArea);
+  const mainData = buildMainData({ ip: '8.8.8.8', userAgent: 'curl/8.0', geo, asnData: SAMPLE_ASN, confidenceInfo, requestId: 'req-tpl' });
+  return { mainData, asnData: SAMPLE_ASN, confidenceInfo };
+}
+
+function notifyConfig(templates) {
+  return loadConfig({ SLACK_WEBHOOK_URL: SLACK_URL, DISCORD_WEBHOOK_URL: DISCORD_URL, NOTIFY_TEMPLATES: JSON.stringify(templates) }).notify;
+}
+
+test('flags come from the country code', () => {
+  assert.equal(countryFlag('US'), '🇺🇸');
+  assert.equal(countryFlag('de'), '🇩🇪');
+  assert.equal(countryFlag('Unknown'), '🏳️');
+  assert.equal(countryFlag(null), '🏳️');
+
+  const { mainData } = sampleReport({ countryCode: 'FR', country: 'France' });
+  const country = buildMainEmbed(mainData).fields.find(field => field.name.endsWith('Country'));
+  assert.equal(country.name, '🇫🇷 Country');
+});
+
+test('placeholders, fallbacks and conditional sections render against the record', () => {
+  const render = compileTemplate('{{flag}} {{location.city}}{{#location.accuracyRadius}} ±{{location.accuracyRadius}} km{{/location.accuracyRadius}}{{^consent}} (no consent){{/consent}} {{requestId|-}}');
+  const { mainData, asnData } = sampleReport();
+
+  assert.equal(render(templateContext(mainData, asnData)), '🇺🇸 Mountain View ±5 km (no consent) req-tpl');
+  assert.equal(render(templateContext({ ...mainData, requestId: null, location: { ...mainData.location, accuracyRadius: null } })), '🇺🇸 Mountain View (no consent) -');
+});
+
+test('every normalized field is available as a placeholder', () => {
+  for (const field of ['ip', 'location.countryCode', 'location.confidence', 'network.asn', 'network.rank', 'timezone.name',
+    'consent.policyVersion', 'confidenceArea.validPoints', 'confidenceArea.dataQuality', 'confidenceArea.statistics.areaKm2',
+    'confidenceArea.bounds.minLat', 'device.browser', 'asnDetails.registry', 'flag']) {
+    assert.ok(TEMPLATE_FIELDS.includes(field), field);
+  }
+});
+
+test('validation reports every problem with its location', () => {
+  const { problems } = validateTemplates(loadConfig({
+    NOTIFY_TEMPLATES: JSON.stringify({
+      report: { title: '{{#ip}}open', color: 'blue', fields: [{ name: 'City', value: '{{location.town}}' }] },
+      summary: { title: 'x' },
+      variants: { pager: {}, slack: { asnDetails: { title: 'x' }, confidenceArea: { title: 'x' } }, discord: { asnDetails: { title: '{{/ip}}' } } }
+    })
+  }).notify);
+
+  assert.deepEqual(problems, [
+    'report.title: section "ip" is never closed',
+    'report.color: must be an integer from 0 to 16777215',
+    'report.fields[0].value: unknown field "location.town"',
+    'summary: unknown template (expected report, asnDetails, confidenceArea or variants)',
+    'variants.pager: unknown destination (expected discord, slack, matrix, smtp)',
+    'variants.slack.asnDetails: only Discord sends an ASN details message',
+    'variants.slack.confidenceArea: only Discord sends a confidence area message',
+    'variants.discord.asnDetails.title: "{{/ip}}" has no opening section'
+  ]);
+  assert.match(validateTemplates(loadConfig({ NOTIFY_TEMPLATES: '{nope' }).notify).problems[0], /^NOTIFY_TEMPLATES: invalid JSON/);
+  assert.deepEqual(validateTemplates(loadConfig({}).notify).problems, []);
+});
+
+test('invalid templates stop notifier setup with the full list of problems', () => {
+  const config = notifyConfig({ report: { title: '{{nope}}' } });
+  assert.throws(() => resolveNotifiers(config), { message: /Invalid notification templates:\n {2}- report\.title: unknown field "nope"/ });
+});
+
+test('destinations use their variant and fall back to the shared template', async () => {
+  fetchStub = stubFetch([
+    [url => url.startsWith(SLACK_URL), () => ({ status: 200, body: 'ok' })],
+    [url => url.startsWith(DISCORD_URL), () => ({ status: 204, body: '' })]
+  ]);
+  const config = notifyConfig({
+    report: {
+      title: '{{flag}} Visit from {{location.city}}',
+      color: 0xff0000,
+      fields: [
+        { name: 'Network', value: '{{network.asn}} {{network.organisation}}', inline: false },
+        { name: 'Consent', value: '{{#consent}}{{consent.policyVersion}}{{/consent}}' }
+      ]
+    },
+    variants: {
+      slack: { report: { title: 'Slack: {{ip}}', fields: [{ name: 'Country', value: '{{location.country}}' }] } }
+    }
+  });
+
+  await createNotifier('slack', config).send(sampleReport(), { log });
+  await createNotifier('discord', config).send(sampleReport(), { log });
+
+  const slack = fetchStub.calls.find(call => call.url.startsWith(SLACK_URL)).body;
+  assert.equal(slack.blocks[0].text.text, 'Slack: 8.8.8.8');
+  assert.ok(slack.text.includes('Country: United States'));
+
+  const embeds = fetchStub.calls.filter(call => call.url.startsWith(DISCORD_URL)).flatMap(call => call.body.embeds);
+  assert.equal(embeds[0].title, '🇺🇸 Visit from Mountain View');
+  assert.equal(embeds[0].color, 0xff0000);
+  // The consent field rendered empty, so it was left out
+  assert.deepEqual(embeds[0].fields, [{ name: 'Network', value: 'AS15169 Google LLC', inline: false }]);
+  // Sections without a template keep the built-in layout
+  assert.ok(embeds.some(embed => embed.title === '📡 ASN Detailed Information'));
+});
+
+test('a confidence area template replaces the statistics and keeps the coordinate lists', async () => {
+  fetchStub = stubFetch([[url => url.startsWith(DISCORD_URL), () => ({ status: 204, body: '' })]]);
+  const config = notifyConfig({
+    confidenceArea: {
+      title: 'Area around {{location.city}}',
+      fields: [
+        { name: 'Size', value: '{{confidenceArea.statistics.areaKm2}} km²' },
+        { name: 'Quality', value: '{{confidenceArea.dataQuality}}' }
+      ]
+    }
+  });
+
+  const report = sampleReport();
+  await createNotifier('discord', config).send(report, { log });
+
+  const embeds = fetchStub.calls.flatMap(call => call.body.embeds);
+  const stats = embeds.find(embed => embed.title === 'Area around Mountain View');
+  assert.deepEqual(stats.fields, [
+    { name: 'Size', value: `${report.confidenceInfo.statistics.areaKm2} km²`, inline: true },
+    { name: 'Quality', value: '100.0%', inline: true }
+  ]);
+  assert.ok(!embeds.some(embed => embed.title.includes('Part 1: Statistics')));
+  assert.ok(embeds.some(embed => embed.title.includes('Part 2')));
+});
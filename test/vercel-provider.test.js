@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVercelProvider, decodeHeaderValue, normalizeVercelHeaders } from '../lib/geo/providers/vercel.js';
+
+const HEADERS = {
+  'x-vercel-ip-country': 'BR',
+  'x-vercel-ip-continent': 'SA',
+  'x-vercel-ip-country-region': 'SP',
+  'x-vercel-ip-city': 'S%C3%A3o%20Paulo',
+  'x-vercel-ip-latitude': '-23.5475',
+  'x-vercel-ip-longitude': '-46.6361',
+  'x-vercel-ip-timezone': 'America/Sao_Paulo',
+  'user-agent': 'curl/8.0'
+};
+
+test('a full set of headers becomes a geo record with decoded names', async () => {
+  const provider = createVercelProvider({ headers: HEADERS });
+  assert.equal(provider.available, true);
+  assert.equal(provider.cacheable, false);
+
+  const geo = await provider.lookup('203.0.113.7');
+  assert.equal(geo.provider, 'vercel');
+  assert.deepEqual(
+    [geo.location.continent, geo.location.country, geo.location.countryCode, geo.location.region, geo.location.city],
+    ['South America', 'Brazil', 'BR', 'SP', 'São Paulo']
+  );
+  assert.deepEqual([geo.location.latitude, geo.location.longitude], [-23.5475, -46.6361]);
+  assert.equal(geo.timezone.name, 'America/Sao_Paulo');
+  // Only Vercel's own geo headers are kept as the raw answer
+  assert.equal(geo.raw['user-agent'], undefined);
+  assert.equal(geo.raw['x-vercel-ip-city'], 'S%C3%A3o%20Paulo');
+});
+
+test('header values are URL-decoded, and left alone when not valid encoding', () => {
+  assert.equal(decodeHeaderValue('S%C3%A3o%20Paulo'), 'São Paulo');
+  assert.equal(decodeHeaderValue('Z%C3%BCrich'), 'Zürich');
+  assert.equal(decodeHeaderValue('Berlin'), 'Berlin');
+  assert.equal(decodeHeaderValue('100%'), '100%');
+  assert.equal(decodeHeaderValue('%E0%A4%A'), '%E0%A4%A');
+  assert.equal(decodeHeaderValue(''), null);
+  assert.equal(decodeHeaderValue(null), null);
+});
+
+test('missing or partial headers leave the rest of the record unknown', async () => {
+  const none = createVercelProvider({ headers: { 'user-agent': 'curl/8.0' } });
+  assert.equal(none.available, false);
+  assert.equal(createVercelProvider().available, false);
+  // Blank values count as missing
+  assert.equal(createVercelProvider({ headers: { 'x-vercel-ip-country': '  ' } }).available, false);
+
+  const partial = createVercelProvider({ headers: { 'x-vercel-ip-country': ['de'], 'x-vercel-ip-city': 'M%C3%BCnchen' } });
+  assert.equal(partial.available, true);
+  const geo = await partial.lookup('203.0.113.7');
+  assert.deepEqual(
+    [geo.location.continent, geo.location.country, geo.location.countryCode, geo.location.region, geo.location.city],
+    ['Unknown', 'Germany', 'de', 'Unknown', 'München']
+  );
+  assert.deepEqual([geo.location.latitude, geo.location.longitude], [null, null]);
+  assert.equal(geo.timezone.name, 'Unknown');
+
+  const unknownCodes = normalizeVercelHeaders({ 'x-vercel-ip-country': 'ZZZZ', 'x-vercel-ip-continent': 'XX' });
+  assert.equal(unknownCodes.location.country, 'Unknown');
+  assert.equal(unknownCodes.location.continent, 'Unknown');
+});
+
+test('coordinates are kept only as a pair of plain numbers within range', () => {
+  const located = (latitude, longitude) => {
+    const { location } = normalizeVercelHeaders({
+      ...HEADERS,
+      'x-vercel-ip-latitude': latitude,
+      'x-vercel-ip-longitude': longitude
+    });
+    return [location.latitude, location.longitude];
+  };
+
+  assert.deepEqual(located('0', '0'), [0, 0]);
+  assert.deepEqual(located(' 52.52 ', '+13.405'), [52.52, 13.405]);
+  assert.deepEqual(located('90', '-180'), [90, -180]);
+  for (const [latitude, longitude] of [
+    ['12abc', '13.4'],
+    ['52.5', 'east'],
+    ['NaN', 'Infinity'],
+    ['1e2', '13.4'],
+    ['0x1A', '13.4'],
+    ['91', '13.4'],
+    ['52.5', '180.5'],
+    ['52.5', ''],
+    [undefined, '13.4']
+  ]) {
+    assert.deepEqual(located(latitude, longitude), [null, null], `${latitude}, ${longitude}`);
+  }
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import whoamiHandler from '../api/whoami.js';
+import { negotiate } from '../lib/http/negotiate.js';
+import { resetCircuits } from '../lib/geo/breaker.js';
+import { resetMemoryCache } from '../lib/cache/index.js';
+import { SAMPLE_ASN, SAMPLE_GEO, captureConsole, createRequest, createResponse, withEnv, withFetchStub } from './helpers.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/11/whoamiTest';
+
+beforeEach(() => {
+  resetCircuits();
+  resetMemoryCache();
+});
+
+withEnv({
+  BIGDATACLOUD_API_KEY: 'bdc_whoami_test_key',
+  DISCORD_WEBHOOK_URL: WEBHOOK_URL,
+  CACHE_BACKEND: 'memory',
+  OUTBOX_BACKEND: 'none'
+}, { clear: ['ANONYMIZE_RESPONSE_IP'] });
+
+const fetchStub = withFetchStub([
+  [url => url.includes('ip-geolocation-full'), () => ({ body: SAMPLE_GEO })],
+  [url => url.includes('asn-info-full'), () => ({ body: SAMPLE_ASN })],
+  [url => url.startsWith(WEBHOOK_URL), () => ({ status: 204, body: '' })]
+]);
+
+async function whoami({ url = '/api/whoami', headers = {}, method = 'GET', remoteAddress = '8.8.8.8' } = {}) {
+  const res = createResponse();
+  await captureConsole(() => whoamiHandler(createRequest({ method, url, headers, remoteAddress }), res));
+  return res;
+}
+
+const geoCalls = () => fetchStub.calls.filter(call => call.url.includes('ip-geolocation-full')).length;
+
+test('Accept negotiation prefers exact types and quality, with a fallback for anything', () => {
+  const offered = ['application/json', 'text/plain'];
+  assert.equal(negotiate('text/plain', offered), 'text/plain');
+  assert.equal(negotiate('application/json;q=0.5, text/*', offered), 'text/plain');
+  assert.equal(negotiate('text/plain;q=0.2, application/json', offered), 'application/json');
+  assert.equal(negotiate('text/html,application/xhtml+xml,*/*;q=0.8', offered, { fallback: 'text/plain' }), 'text/plain');
+  assert.equal(negotiate('', offered), 'application/json');
+  assert.equal(negotiate('image/png', offered), null);
+});
+
+test('curl gets aligned plain text and nothing is notified', async () => {
+  const res = await whoami({ headers: { 'user-agent': 'curl/8.5.0', accept: '*/*' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.equal(res.headers['cache-control'], 'no-store');
+  const lines = res.body.trimEnd().split('\n');
+  assert.equal(lines[0], 'ip:             8.8.8.8');
+  assert.ok(lines.includes('countryCode:    US'));
+  assert.ok(lines.includes('asn:            AS15169'));
+  assert.ok(lines.includes('organisation:   Google LLC'));
+  assert.equal(fetchStub.calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 0);
+});
+
+test('browsers and JSON clients get the fields as JSON', async () => {
+  const res = await whoami({ headers: { accept: 'application/json', 'user-agent': 'curl/8.5.0' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.provider, 'bigdatacloud');
+  assert.equal(res.body.data.ip, '8.8.8.8');
+  assert.equal(res.body.data.city, 'Mountain View');
+  assert.equal(res.body.data.timezone, 'America/Los_Angeles');
+  assert.equal(res.body.data.latitude, 37.42);
+
+  // format= wins over Accept
+  const text = await whoami({ url: '/api/whoami?format=text', headers: { accept: 'application/json' } });
+  assert.match(text.body, /^ip: +8\.8\.8\.8$/m);
+});
+
+test('a single field comes back bare, or as JSON when asked', async () => {
+  assert.equal((await whoami({ url: '/api/whoami?field=countrycode', headers: { 'user-agent': 'curl/8.5.0' } })).body, 'US\n');
+  assert.deepEqual((await whoami({ url: '/api/whoami?field=asn&format=json' })).body, { success: true, data: { asn: 'AS15169' } });
+
+  // The address alone needs no lookup, so reserved ranges answer too
+  const calls = geoCalls();
+  assert.equal((await whoami({ url: '/api/whoami?field=ip&format=text', remoteAddress: '10.0.0.7' })).body, '10.0.0.7\n');
+  assert.equal(geoCalls(), calls);
+});
+
+test('the response anonymization policy applies', async () => {
+  process.env.ANONYMIZE_RESPONSE_IP = 'truncate';
+  assert.equal((await whoami({ url: '/api/whoami?field=ip&format=text' })).body, '8.8.8.0/24\n');
+});
+
+test('unknown fields, unacceptable types and other methods are refused', async () => {
+  const unknown = await whoami({ url: '/api/whoami?field=password&format=text' });
+  assert.equal(unknown.statusCode, 404);
+  assert.match(unknown.body, /^Unknown field "password" \(expected ip, continent/);
+
+  assert.equal((await whoami({ headers: { accept: 'image/png' } })).statusCode, 406);
+  assert.equal((await whoami({ url: '/api/whoami?format=xml' })).statusCode, 400);
+
+  const post = await whoami({ method: 'POST' });
+  assert.equal(post.statusCode, 405);
+  assert.equal(post.headers.allow, 'GET, HEAD');
+
+  const reserved = await whoami({ remoteAddress: '192.168.0.5', url: '/api/whoami?format=text' });
+  assert.equal(reserved.body, 'Non-routable address (private)\n');
+  assert.equal(geoCalls(), 0);
+});